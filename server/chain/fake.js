@@ -0,0 +1,42 @@
+// In-memory chain provider for offline testing.
+// Transfers are added with addTransfer() (see /api/admin/dev/chain-transfers).
+
+const crypto = require('crypto');
+
+function createFakeProvider() {
+  const transfers = [];
+
+  function addTransfer({ txHash, from, to, amount, timestamp, memo, confirmed = true }) {
+    const transfer = {
+      txHash: txHash || crypto.randomBytes(32).toString('hex'),
+      from: from || 'TFakeSender000000000000000000000000',
+      to,
+      amount: Number(amount),
+      timestamp: timestamp || Date.now(),
+      memo: memo || null,
+      confirmed
+    };
+    transfers.push(transfer);
+    return transfer;
+  }
+
+  async function getIncomingTransfers(address, { since } = {}) {
+    return transfers.filter(t =>
+      t.to && t.to.toLowerCase() === address.toLowerCase() &&
+      (!since || t.timestamp >= since)
+    );
+  }
+
+  async function getTransaction(txHash) {
+    return transfers.find(t => t.txHash === txHash) || null;
+  }
+
+  return {
+    name: 'fake',
+    addTransfer,
+    getIncomingTransfers,
+    getTransaction
+  };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,23 @@
+// Chain provider factory.
+// A provider implements:
+//   getIncomingTransfers(address, { since }) -> [{ txHash, from, to, amount, timestamp, memo, confirmed }]
+//   getTransaction(txHash) -> transfer | null   (TRON providers only)
+
+const { createTronScanProvider } = require('./tronscan');
+const { createTonCenterProvider } = require('./toncenter');
+const { createFakeProvider } = require('./fake');
+
+function createChainProvider(name = 'tronscan', options = {}) {
+  switch (name) {
+    case 'tronscan':
+      return createTronScanProvider(options);
+    case 'toncenter':
+      return createTonCenterProvider(options);
+    case 'fake':
+      return createFakeProvider(options);
+    default:
+      throw new Error(`Unknown chain provider: ${name}`);
+  }
+}
+
+module.exports = { createChainProvider };
@@ -0,0 +1,52 @@
+// TON Center chain provider (native TON transfers, API v3)
+//
+// Only incoming transfers are supported: TON Center reports addresses in raw form,
+// so transfers are looked up through the queried account rather than by hash.
+
+const API_URL = 'https://toncenter.com/api/v3';
+const TON_DECIMALS = 9;
+
+function createTonCenterProvider(options = {}) {
+  const apiUrl = options.apiUrl || API_URL;
+  const headers = { 'Accept': 'application/json' };
+  if (options.apiKey) {
+    headers['X-API-Key'] = options.apiKey;
+  }
+
+  // Normalized transfer: { txHash, from, to, amount, timestamp, memo, confirmed }
+  async function getIncomingTransfers(address, { since } = {}) {
+    const params = new URLSearchParams({
+      account: address,
+      limit: '50',
+      sort: 'desc'
+    });
+    if (since) {
+      params.set('start_utime', String(Math.floor(since / 1000)));
+    }
+
+    const response = await fetch(`${apiUrl}/transactions?${params}`, { headers });
+    if (!response.ok) {
+      throw new Error(`TON Center API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.transactions || [])
+      .filter(t => t.in_msg && t.in_msg.source && Number(t.in_msg.value) > 0)
+      .map(t => ({
+        txHash: t.hash,
+        from: t.in_msg.source,
+        to: address,
+        amount: Number(t.in_msg.value) / Math.pow(10, TON_DECIMALS),
+        timestamp: t.now * 1000,
+        memo: t.in_msg.message_content?.decoded?.comment || null,
+        confirmed: !t.description?.aborted
+      }));
+  }
+
+  return {
+    name: 'toncenter',
+    getIncomingTransfers
+  };
+}
+
+module.exports = { createTonCenterProvider };
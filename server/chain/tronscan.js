@@ -0,0 +1,113 @@
+// TronScan chain provider (USDT TRC-20)
+
+const API_URL = 'https://apilist.tronscan.org/api';
+const USDT_CONTRACT = 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t';
+const USDT_DECIMALS = 6;
+
+function createTronScanProvider(options = {}) {
+  const apiUrl = options.apiUrl || API_URL;
+  const contract = options.contract || USDT_CONTRACT;
+  const headers = { 'Accept': 'application/json' };
+  if (options.apiKey) {
+    headers['TRON-PRO-API-KEY'] = options.apiKey;
+  }
+
+  // Normalized transfer: { txHash, from, to, amount, timestamp, memo, confirmed }
+  async function getIncomingTransfers(address, { since } = {}) {
+    const params = new URLSearchParams({
+      toAddress: address,
+      contract_address: contract,
+      start: '0',
+      limit: '50',
+      sort: '-timestamp'
+    });
+    if (since) {
+      params.set('start_timestamp', String(since));
+    }
+
+    const response = await fetch(`${apiUrl}/token_trc20/transfers?${params}`, { headers });
+    if (!response.ok) {
+      throw new Error(`TronScan API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.token_transfers || []).map(t => ({
+      txHash: t.transaction_id,
+      from: t.from_address,
+      to: t.to_address,
+      amount: Number(t.quant) / Math.pow(10, t.tokenInfo?.tokenDecimal ?? USDT_DECIMALS),
+      timestamp: t.block_ts,
+      memo: null,
+      confirmed: !!t.confirmed
+    }));
+  }
+
+  // Returns null if the transaction doesn't exist or isn't a successful transfer of
+  // the configured token: TRX transfers and other TRC-20 tokens don't count as payment
+  async function getTransaction(txHash) {
+    const response = await fetch(`${apiUrl}/transaction-info?hash=${encodeURIComponent(txHash)}`, { headers });
+    if (!response.ok) {
+      return null;
+    }
+
+    const txData = await response.json();
+    if (!txData || txData.code === 'NOT_FOUND' || !txData.hash) {
+      return null;
+    }
+
+    if (txData.contractRet && txData.contractRet !== 'SUCCESS') {
+      return null;
+    }
+
+    const transfer = findTokenTransfer(txData);
+    if (!transfer) {
+      return null;
+    }
+
+    return {
+      txHash: txData.hash,
+      from: transfer.from || txData.ownerAddress || '',
+      to: transfer.to,
+      amount: transfer.amount,
+      timestamp: txData.timestamp,
+      memo: null,
+      confirmed: !!txData.confirmed
+    };
+  }
+
+  // { from, to, amount } of the transfer of our token in a transaction-info response
+  function findTokenTransfer(txData) {
+    const transfers = [
+      ...(txData.trc20TransferInfo || []),
+      ...(txData.tokenTransferInfo ? [txData.tokenTransferInfo] : [])
+    ];
+    const info = transfers.find(t => t.contract_address === contract);
+    if (info) {
+      return {
+        from: info.from_address,
+        to: info.to_address,
+        amount: Number(info.amount_str) / Math.pow(10, info.decimals ?? USDT_DECIMALS)
+      };
+    }
+
+    // Older responses only carry the decoded contract call
+    const trigger = txData.trigger_info;
+    if (trigger && trigger.contract_address === contract && /^transfer\(/.test(trigger.method || '') && trigger.parameter) {
+      return {
+        from: txData.ownerAddress,
+        to: trigger.parameter._to,
+        amount: Number(trigger.parameter._value) / Math.pow(10, USDT_DECIMALS)
+      };
+    }
+
+    return null;
+  }
+
+  return {
+    name: 'tronscan',
+    getIncomingTransfers,
+    getTransaction
+  };
+}
+
+module.exports = { createTronScanProvider };
@@ -0,0 +1,93 @@
+// Printable standalone HTML: inline styles only, so the file opens the same when saved.
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const STYLES = `
+  body { font-family: 'DejaVu Sans', Arial, sans-serif; color: #111; margin: 0; padding: 32px; font-size: 14px; }
+  .page { max-width: 720px; margin: 0 auto; }
+  .seller { font-size: 18px; font-weight: bold; }
+  .muted { color: #666; font-size: 12px; }
+  h1 { font-size: 22px; margin: 24px 0 4px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  th, td { padding: 6px 8px; text-align: left; vertical-align: top; }
+  .fields td:first-child { color: #666; width: 35%; }
+  .items th { border-bottom: 2px solid #111; font-size: 12px; }
+  .items td { border-bottom: 1px solid #ddd; }
+  .num { text-align: right; white-space: nowrap; }
+  .totals td { text-align: right; }
+  .totals .strong td { font-weight: bold; font-size: 16px; border-top: 2px solid #111; }
+  .hash { font-family: monospace; font-size: 11px; word-break: break-all; }
+  .note { margin-top: 24px; padding: 12px; background: #f5f5f5; }
+  footer { margin-top: 32px; }
+  @media print { body { padding: 0; } }
+`;
+
+function renderDocumentHtml(doc) {
+  const fields = doc.fields.map(([label, value]) => `
+        <tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('');
+
+  const items = doc.items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.name)}</td>
+          <td class="num">${escapeHtml(item.quantity)}</td>
+          <td class="num">${escapeHtml(item.price)}</td>
+          <td class="num">${escapeHtml(item.total)}</td>
+        </tr>`).join('');
+
+  const totals = doc.totals.map(total => `
+        <tr${total.strong ? ' class="strong"' : ''}><td>${escapeHtml(total.label)}</td><td class="num">${escapeHtml(total.value)}</td></tr>`).join('');
+
+  const payments = (doc.payments || []).map(payment => `
+        <tr>
+          <td>${escapeHtml(payment.date)}</td>
+          <td>${escapeHtml(payment.label)}<div class="hash">${escapeHtml(payment.txHash || '')}</div></td>
+          <td class="num">${escapeHtml(payment.amount)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(doc.title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <div class="page">
+    <div class="seller">${escapeHtml(doc.seller.name)}</div>
+    ${doc.seller.details ? `<div class="muted">${escapeHtml(doc.seller.details)}</div>` : ''}
+
+    <h1>${escapeHtml(doc.title)}</h1>
+    ${doc.subtitle ? `<div class="muted">${escapeHtml(doc.subtitle)}</div>` : ''}
+
+    <table class="fields">${fields}
+    </table>
+
+    <table class="items">
+      <tr><th>Наименование</th><th class="num">Кол-во</th><th class="num">Цена</th><th class="num">Сумма</th></tr>${items}
+    </table>
+
+    <table class="totals">${totals}
+    </table>
+
+    ${payments ? `
+    <table class="items">
+      <tr><th>Дата</th><th>Платёж</th><th class="num">Сумма</th></tr>${payments}
+    </table>` : ''}
+
+    ${doc.note ? `<div class="note">${escapeHtml(doc.note)}</div>` : ''}
+
+    <footer class="muted">${escapeHtml(doc.footer)}</footer>
+  </div>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDocumentHtml };
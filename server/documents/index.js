@@ -0,0 +1,19 @@
+// Invoice and receipt documents.
+// Both renderers take the same document, already formatted for display:
+//   {
+//     title, subtitle,
+//     seller: { name, details },
+//     fields: [[label, value]],                  client, order, dates
+//     items: [{ name, quantity, price, total }],
+//     totals: [{ label, value, strong }],
+//     payments: [{ date, label, amount, txHash }], receipts only
+//     note, footer
+//   }
+//
+// renderDocumentHtml(doc) -> string
+// renderDocumentPdf(doc) -> Promise<Buffer>
+
+const { renderDocumentHtml } = require('./html');
+const { renderDocumentPdf } = require('./pdf');
+
+module.exports = { renderDocumentHtml, renderDocumentPdf };
@@ -0,0 +1,113 @@
+// A4 PDF with pdfkit. The standard PDF fonts have no Cyrillic, so DejaVu is embedded.
+
+const PDFDocument = require('pdfkit');
+
+const FONTS = {
+  regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+  bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf'),
+  mono: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSansMono.ttf')
+};
+
+const MARGIN = 50;
+const MUTED = '#666666';
+
+// Table columns as [x offset, width, align] within the content width
+function itemColumns(width) {
+  return [
+    [0, width - 230, 'left'],
+    [width - 230, 50, 'right'],
+    [width - 180, 80, 'right'],
+    [width - 100, 100, 'right']
+  ];
+}
+
+function renderDocumentPdf(doc) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: doc.title } });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    pdf.registerFont('regular', FONTS.regular);
+    pdf.registerFont('bold', FONTS.bold);
+    pdf.registerFont('mono', FONTS.mono);
+
+    const width = pdf.page.width - MARGIN * 2;
+
+    // Draw one table row and move below its tallest cell
+    const row = (cells, columns, { font = 'regular', size = 10, color = '#111111' } = {}) => {
+      if (pdf.y > pdf.page.height - MARGIN * 2) pdf.addPage();
+      const top = pdf.y;
+      let bottom = top;
+      cells.forEach((text, i) => {
+        const [x, cellWidth, align] = columns[i];
+        pdf.font(font).fontSize(size).fillColor(color)
+          .text(String(text ?? ''), MARGIN + x, top, { width: cellWidth, align });
+        bottom = Math.max(bottom, pdf.y);
+      });
+      pdf.y = bottom + 4;
+    };
+
+    const rule = (lineWidth = 0.5) => {
+      pdf.moveTo(MARGIN, pdf.y).lineTo(MARGIN + width, pdf.y).lineWidth(lineWidth).stroke('#999999');
+      pdf.y += 4;
+    };
+
+    pdf.font('bold').fontSize(16).fillColor('#111111').text(doc.seller.name, MARGIN, MARGIN);
+    if (doc.seller.details) {
+      pdf.font('regular').fontSize(9).fillColor(MUTED).text(doc.seller.details);
+    }
+
+    pdf.moveDown(1.5);
+    pdf.font('bold').fontSize(18).fillColor('#111111').text(doc.title);
+    if (doc.subtitle) {
+      pdf.font('regular').fontSize(10).fillColor(MUTED).text(doc.subtitle);
+    }
+    pdf.moveDown();
+
+    const fieldColumns = [[0, 170, 'left'], [170, width - 170, 'left']];
+    for (const [label, value] of doc.fields) {
+      row([label, value], fieldColumns);
+    }
+    pdf.moveDown();
+
+    const columns = itemColumns(width);
+    row(['Наименование', 'Кол-во', 'Цена', 'Сумма'], columns, { font: 'bold', size: 9 });
+    rule(1);
+    for (const item of doc.items) {
+      row([item.name, item.quantity, item.price, item.total], columns);
+    }
+    rule();
+
+    const totalColumns = [[0, width - 100, 'right'], [width - 100, 100, 'right']];
+    for (const total of doc.totals) {
+      row([total.label, total.value], totalColumns, total.strong ? { font: 'bold', size: 12 } : {});
+    }
+
+    if (doc.payments && doc.payments.length > 0) {
+      pdf.moveDown();
+      const paymentColumns = [[0, 110, 'left'], [110, width - 210, 'left'], [width - 100, 100, 'right']];
+      row(['Дата', 'Платёж', 'Сумма'], paymentColumns, { font: 'bold', size: 9 });
+      rule(1);
+      for (const payment of doc.payments) {
+        row([payment.date, payment.label, payment.amount], paymentColumns);
+        if (payment.txHash) {
+          row(['', payment.txHash], [[0, 110, 'left'], [110, width - 110, 'left']], { font: 'mono', size: 8, color: MUTED });
+        }
+      }
+    }
+
+    if (doc.note) {
+      pdf.moveDown();
+      pdf.font('regular').fontSize(10).fillColor('#111111').text(doc.note, MARGIN, pdf.y, { width });
+    }
+
+    pdf.moveDown(2);
+    pdf.font('regular').fontSize(8).fillColor(MUTED).text(doc.footer, MARGIN, pdf.y, { width });
+
+    pdf.end();
+  });
+}
+
+module.exports = { renderDocumentPdf };
@@ -5,10 +5,25 @@ const crypto = require('crypto');
 const path = require('path');
 const Database = require('better-sqlite3');
 const { Telegraf } = require('telegraf');
+const multer = require('multer');
+const sharp = require('sharp');
+const { createChainProvider } = require('./chain');
+const { createMigrator, migrationLabel } = require('./migrations');
+const { createStorage } = require('./storage');
+const { createRateProvider } = require('./rates');
+const { renderDocumentHtml, renderDocumentPdf } = require('./documents');
 
 const app = express();
 const db = new Database('database.sqlite');
-const bot = new Telegraf(process.env.BOT_TOKEN);
+// TELEGRAM_API_ROOT points the bot at another Bot API server, e.g. a mock in tests
+const bot = new Telegraf(process.env.BOT_TOKEN, {
+  telegram: { apiRoot: process.env.TELEGRAM_API_ROOT || 'https://api.telegram.org' }
+});
+
+// Behind a reverse proxy (Railway, nginx) set TRUST_PROXY so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors());
@@ -19,233 +34,22 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // ==================== DATABASE ====================
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY,
-    telegram_id TEXT UNIQUE,
-    name TEXT,
-    username TEXT,
-    level TEXT DEFAULT 'none',
-    total_spent REAL DEFAULT 0,
-    cashback REAL DEFAULT 0,
-    referral_code TEXT UNIQUE,
-    referred_by TEXT,
-    referral_earnings REAL DEFAULT 0,
-    trc20_wallet TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  CREATE TABLE IF NOT EXISTS orders (
-    id TEXT PRIMARY KEY,
-    user_id INTEGER,
-    service TEXT,
-    niche TEXT,
-    formats TEXT,
-    description TEXT,
-    refs TEXT,
-    media TEXT,
-    items TEXT,
-    comment TEXT,
-    base_price REAL,
-    discount REAL,
-    cashback_used REAL,
-    total REAL,
-    cashback_earned REAL,
-    status TEXT DEFAULT 'pending',
-    tx_hash TEXT,
-    payment_method TEXT,
-    reviewed INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS cashback_history (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER,
-    amount REAL,
-    description TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS referrals (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    referrer_id INTEGER,
-    referred_id INTEGER,
-    earnings REAL DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (referrer_id) REFERENCES users(id),
-    FOREIGN KEY (referred_id) REFERENCES users(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS notifications (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER,
-    title TEXT,
-    message TEXT,
-    read INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS pending_referrals (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    telegram_id TEXT,
-    referral_code TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  CREATE TABLE IF NOT EXISTS app_settings (
-    id INTEGER PRIMARY KEY CHECK (id = 1),
-    services TEXT DEFAULT '[]',
-    prices TEXT DEFAULT '{}',
-    form_fields TEXT DEFAULT '[]',
-    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  CREATE TABLE IF NOT EXISTS promo_codes (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    code TEXT UNIQUE NOT NULL,
-    discount_percent INTEGER NOT NULL,
-    max_uses INTEGER DEFAULT NULL,
-    current_uses INTEGER DEFAULT 0,
-    expires_at DATETIME DEFAULT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    is_active INTEGER DEFAULT 1
-  );
-
-  CREATE TABLE IF NOT EXISTS promo_uses (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    promo_id INTEGER,
-    user_id INTEGER,
-    order_id TEXT,
-    used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (promo_id) REFERENCES promo_codes(id),
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS products (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    description TEXT,
-    price INTEGER NOT NULL,
-    icon TEXT DEFAULT '🎨',
-    sort_order INTEGER DEFAULT 0,
-    is_active INTEGER DEFAULT 1,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  );
-
-  CREATE TABLE IF NOT EXISTS invoices (
-    id TEXT PRIMARY KEY,
-    order_id TEXT UNIQUE,
-    user_id INTEGER,
-    amount REAL NOT NULL,
-    promo_code TEXT,
-    discount_amount REAL DEFAULT 0,
-    final_amount REAL NOT NULL,
-    payment_address TEXT,
-    tx_hash TEXT,
-    status TEXT DEFAULT 'awaiting_payment',
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    paid_at DATETIME,
-    FOREIGN KEY (order_id) REFERENCES orders(id),
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS withdrawals (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    amount REAL NOT NULL,
-    wallet_address TEXT NOT NULL,
-    type TEXT NOT NULL,
-    status TEXT DEFAULT 'pending',
-    tx_hash TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    processed_at DATETIME,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-`);
-
-// ==================== MIGRATIONS ====================
-
-// Add media column to orders if it doesn't exist
-try {
-  db.prepare('ALTER TABLE orders ADD COLUMN media TEXT').run();
-  console.log('Migration: Added media column to orders table');
-} catch (error) {
-  // Column already exists, ignore
-  if (!error.message.includes('duplicate column name')) {
-    console.error('Migration error:', error.message);
-  }
-}
-
-// Add items and comment columns to orders if they don't exist
-try {
-  db.prepare('ALTER TABLE orders ADD COLUMN items TEXT').run();
-  console.log('Migration: Added items column to orders table');
-} catch (error) {
-  if (!error.message.includes('duplicate column name')) {
-    console.error('Migration error:', error.message);
-  }
-}
-
-try {
-  db.prepare('ALTER TABLE orders ADD COLUMN comment TEXT').run();
-  console.log('Migration: Added comment column to orders table');
-} catch (error) {
-  if (!error.message.includes('duplicate column name')) {
-    console.error('Migration error:', error.message);
-  }
-}
-
-// Add promo_code column to orders if it doesn't exist
-try {
-  db.prepare('ALTER TABLE orders ADD COLUMN promo_code TEXT').run();
-  console.log('Migration: Added promo_code column to orders table');
-} catch (error) {
-  if (!error.message.includes('duplicate column name')) {
-    console.error('Migration error:', error.message);
-  }
-}
-
-// Add discount_amount column to orders if it doesn't exist
-try {
-  db.prepare('ALTER TABLE orders ADD COLUMN discount_amount REAL DEFAULT 0').run();
-  console.log('Migration: Added discount_amount column to orders table');
-} catch (error) {
-  if (!error.message.includes('duplicate column name')) {
-    console.error('Migration error:', error.message);
-  }
-}
-
-// Add subtotal column to orders if it doesn't exist
-try {
-  db.prepare('ALTER TABLE orders ADD COLUMN subtotal REAL').run();
-  console.log('Migration: Added subtotal column to orders table');
-} catch (error) {
-  if (!error.message.includes('duplicate column name')) {
-    console.error('Migration error:', error.message);
-  }
-}
+// Schema lives in ./migrations. Apply it with `npm run migrate`;
+// AUTO_MIGRATE=true applies pending migrations on startup instead.
+const migrator = createMigrator(db);
 
-// Add image_url column to products if it doesn't exist
-try {
-  db.prepare('ALTER TABLE products ADD COLUMN image_url TEXT').run();
-  console.log('Migration: Added image_url column to products table');
-} catch (error) {
-  if (!error.message.includes('duplicate column name')) {
-    console.error('Migration error:', error.message);
-  }
+if (process.env.AUTO_MIGRATE === 'true') {
+  migrator.up();
 }
 
-// Add file_url column to orders if it doesn't exist
-try {
-  db.prepare('ALTER TABLE orders ADD COLUMN file_url TEXT').run();
-  console.log('Migration: Added file_url column to orders table');
-} catch (error) {
-  if (!error.message.includes('duplicate column name')) {
-    console.error('Migration error:', error.message);
-  }
+const pendingMigrations = migrator.pending();
+if (pendingMigrations.length > 0) {
+  console.error(
+    `Database has ${pendingMigrations.length} pending migration(s): ` +
+    pendingMigrations.map(migrationLabel).join(', ') +
+    '\nRun `npm run migrate` before starting the server.'
+  );
+  process.exit(1);
 }
 
 // Seed initial products if table is empty
@@ -271,6 +75,14 @@ if (productCount.count === 0) {
 
 // ==================== AUTH ====================
 
+// Constant-time string comparison for signatures and secrets sent by clients
+function safeEqual(expected, actual) {
+  if (typeof actual !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
 function validateTelegramData(initData) {
   try {
     const urlParams = new URLSearchParams(initData);
@@ -292,7 +104,7 @@ function validateTelegramData(initData) {
       .update(dataCheckString)
       .digest('hex');
     
-    return calculatedHash === hash;
+    return safeEqual(calculatedHash, hash);
   } catch (error) {
     console.error('Auth validation error:', error);
     return false;
@@ -322,15 +134,704 @@ function authMiddleware(req, res, next) {
   }
 }
 
-// Admin auth middleware
+// ==================== ADMIN AUTH ====================
+
+// Each role gets a fixed set of permissions; routes check permissions, not roles.
+const ADMIN_ROLES = {
+  owner: ['*'],
+  manager: ['orders.view', 'orders.manage', 'users.view', 'messages', 'reviews'],
+  finance: ['orders.view', 'users.view', 'stats', 'invoices', 'withdrawals', 'cashback', 'payments']
+};
+
+const ADMIN_SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_TTL_HOURS, 10) || 12;
+const TELEGRAM_LOGIN_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+// Failed logins are throttled per account and client IP together, so admins sharing an
+// office or proxy address don't lock each other out: after the free attempts each further
+// failure doubles the wait before the next try. Counters are kept in memory and forgotten
+// after an hour without failures.
+const ADMIN_LOGIN_FREE_ATTEMPTS = 5;
+const ADMIN_LOGIN_BASE_DELAY_MS = 1000;
+const ADMIN_LOGIN_MAX_DELAY_MS = 15 * 60 * 1000;
+const ADMIN_LOGIN_RESET_MS = 60 * 60 * 1000;
+
+const adminLoginFailures = new Map(); // key -> { count, lastAt, blockedUntil }
+
+function hashAdminPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyAdminPassword(password, stored) {
+  if (!stored) return false;
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getAdminPermissions(role) {
+  return ADMIN_ROLES[role] || [];
+}
+
+function adminHasPermission(admin, permission) {
+  const permissions = getAdminPermissions(admin.role);
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+function publicAdmin(admin) {
+  return {
+    id: admin.id,
+    username: admin.username,
+    role: admin.role,
+    telegramId: admin.telegram_id,
+    active: !!admin.active,
+    permissions: getAdminPermissions(admin.role),
+    createdAt: admin.created_at,
+    lastLoginAt: admin.last_login_at
+  };
+}
+
+function createAdminSession(admin) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ADMIN_SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+  db.prepare("DELETE FROM admin_sessions WHERE expires_at <= datetime('now')").run();
+  db.prepare(`
+    INSERT INTO admin_sessions (token_hash, admin_id, expires_at)
+    VALUES (?, ?, ?)
+  `).run(hashSessionToken(token), admin.id, expiresAt.toISOString().replace('T', ' ').slice(0, 19));
+  db.prepare('UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(admin.id);
+
+  return { token, expiresAt: expiresAt.toISOString(), admin: publicAdmin(admin) };
+}
+
+function revokeAdminSessions(adminId) {
+  db.prepare('DELETE FROM admin_sessions WHERE admin_id = ?').run(adminId);
+}
+
+// Throttle key of a login attempt: the account and the client IP (req.ip honours
+// TRUST_PROXY), or the IP alone when no account is named
+function adminLoginKey(req, account = null) {
+  return account ? `account:${String(account).toLowerCase()}@${req.ip}` : `ip:${req.ip}`;
+}
+
+// Seconds until another attempt is allowed, 0 when it is allowed now
+function getAdminLoginWait(key) {
+  const now = Date.now();
+  const entry = adminLoginFailures.get(key);
+  const waitMs = entry && now - entry.lastAt <= ADMIN_LOGIN_RESET_MS ? entry.blockedUntil - now : 0;
+  return Math.ceil(Math.max(0, waitMs) / 1000);
+}
+
+function recordAdminLoginFailure(key) {
+  const now = Date.now();
+
+  for (const [staleKey, entry] of adminLoginFailures) {
+    if (now - entry.lastAt > ADMIN_LOGIN_RESET_MS) adminLoginFailures.delete(staleKey);
+  }
+
+  const entry = adminLoginFailures.get(key) || { count: 0 };
+  entry.count++;
+  entry.lastAt = now;
+  const extra = entry.count - ADMIN_LOGIN_FREE_ATTEMPTS;
+  entry.blockedUntil = extra > 0 ? now + Math.min(ADMIN_LOGIN_BASE_DELAY_MS * 2 ** (extra - 1), ADMIN_LOGIN_MAX_DELAY_MS) : 0;
+  adminLoginFailures.set(key, entry);
+}
+
+function clearAdminLoginFailures(key) {
+  adminLoginFailures.delete(key);
+}
+
+function sendAdminLoginThrottled(res, wait) {
+  res.set('Retry-After', String(wait));
+  return res.status(429).json({ error: 'too_many_attempts', message: `Слишком много попыток входа. Повторите через ${wait} с` });
+}
+
+// Telegram Login Widget payload (not WebApp initData): secret is sha256(bot token)
+function validateTelegramLogin(data) {
+  const { hash, ...fields } = data || {};
+  if (!hash || !fields.id || !fields.auth_date) return false;
+
+  const dataCheckString = Object.keys(fields)
+    .sort()
+    .map(key => `${key}=${fields[key]}`)
+    .join('\n');
+
+  const secretKey = crypto.createHash('sha256').update(process.env.BOT_TOKEN || '').digest();
+  const calculatedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+  if (!safeEqual(calculatedHash, hash)) return false;
+
+  return Date.now() / 1000 - Number(fields.auth_date) < TELEGRAM_LOGIN_MAX_AGE_SECONDS;
+}
+
+// Admin auth middleware: resolves the session from "Authorization: Bearer <token>"
 function adminAuthMiddleware(req, res, next) {
-  const adminKey = req.headers['x-admin-key'];
-  if (adminKey !== process.env.ADMIN_KEY) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const session = db.prepare(`
+    SELECT s.token_hash, s.expires_at, a.*
+    FROM admin_sessions s
+    JOIN admin_users a ON s.admin_id = a.id
+    WHERE s.token_hash = ? AND s.expires_at > datetime('now')
+  `).get(hashSessionToken(token));
+
+  if (!session || !session.active) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
+
+  db.prepare('UPDATE admin_sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE token_hash = ?').run(session.token_hash);
+
+  req.admin = session;
+  req.adminSessionHash = session.token_hash;
   next();
 }
 
+function requireAdminPermission(permission) {
+  return (req, res, next) => {
+    if (!req.admin || !adminHasPermission(req.admin, permission)) {
+      return res.status(403).json({ error: 'forbidden', message: 'Недостаточно прав для этого действия' });
+    }
+    next();
+  };
+}
+
+// Actor string for order history and logs
+function adminActor(req) {
+  return `admin:${req.admin.username}`;
+}
+
+// Append a row to the admin audit log. before/after are JSON snapshots of the target.
+// `admin` defaults to the logged-in admin; login routes pass it explicitly.
+function recordAdminAudit(req, action, { targetType = null, targetId = null, before = null, after = null, admin = req.admin } = {}) {
+  try {
+    db.prepare(`
+      INSERT INTO admin_audit_log (admin_id, admin_username, action, target_type, target_id, before_json, after_json, ip)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      admin?.id || null,
+      admin?.username || null,
+      action,
+      targetType,
+      targetId === null || targetId === undefined ? null : String(targetId),
+      before === null || before === undefined ? null : JSON.stringify(before),
+      after === null || after === undefined ? null : JSON.stringify(after),
+      req.ip || null
+    );
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
+
+// Admin snapshot without the password hash
+function auditAdminSnapshot(admin) {
+  if (!admin) return null;
+  const { password_hash, ...rest } = admin;
+  return { ...rest, has_password: !!password_hash };
+}
+
+// ==================== PRICING ====================
+
+const MAX_CASHBACK_USAGE = 0.5; // cashback can cover up to 50% of the order
+const PRICE_TOLERANCE = 0.01;
+
+function roundMoney(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+const PROMO_DISCOUNT_TYPES = ['percent', 'fixed'];
+
+class PromoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromoError';
+  }
+}
+
+function parsePromoList(value) {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// A restricted promo applies only to the listed products and categories, otherwise to the whole cart
+function isPromoEligibleProduct(promo, product) {
+  const productIds = parsePromoList(promo.product_ids).map(Number);
+  const categories = parsePromoList(promo.categories);
+  if (productIds.length === 0 && categories.length === 0) return true;
+  return productIds.includes(product.id) || (!!product.category && categories.includes(product.category));
+}
+
+function countPromoUses(promoId, userId) {
+  return db.prepare('SELECT COUNT(*) as count FROM promo_uses WHERE promo_id = ? AND user_id = ?').get(promoId, userId).count;
+}
+
+// Codes of one campaign are interchangeable, so a client redeems only one of them
+function countCampaignUses(campaignId, userId) {
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM promo_uses pu
+    JOIN promo_codes pc ON pc.id = pu.promo_id
+    WHERE pc.campaign_id = ? AND pu.user_id = ?
+  `).get(campaignId, userId).count;
+}
+
+function countActiveOrders(userId) {
+  return db.prepare("SELECT COUNT(*) as count FROM orders WHERE user_id = ? AND status != 'cancelled'").get(userId).count;
+}
+
+// Look up an active promo code and check its rules for the user and cart lines
+// ([{ product, quantity }]). Without lines only the code and the user limits are checked.
+// Returns { promo, eligibleTotal } or { error }
+function findValidPromo(code, user, lines = null) {
+  const promo = db.prepare('SELECT * FROM promo_codes WHERE code = ? AND is_active = 1').get(String(code).toUpperCase());
+
+  if (!promo) {
+    return { error: 'Промокод не найден' };
+  }
+  if (promo.expires_at && new Date(promo.expires_at) < new Date()) {
+    return { error: 'Промокод истёк' };
+  }
+  if (promo.max_uses && promo.current_uses >= promo.max_uses) {
+    return { error: 'Промокод исчерпан' };
+  }
+  if (promo.per_user_limit && countPromoUses(promo.id, user.id) >= promo.per_user_limit) {
+    return { error: 'Вы уже использовали этот промокод' };
+  }
+  if (promo.campaign_id && countCampaignUses(promo.campaign_id, user.id) > 0) {
+    return { error: 'Вы уже использовали промокод этой акции' };
+  }
+  if (promo.first_order_only && countActiveOrders(user.id) > 0) {
+    return { error: 'Промокод действует только на первый заказ' };
+  }
+
+  if (!lines) {
+    return { promo, eligibleTotal: null };
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, { product, quantity }) => sum + product.price * quantity, 0));
+  if (promo.min_order_amount && subtotal < promo.min_order_amount) {
+    return { error: `Промокод действует на заказ от $${promo.min_order_amount}` };
+  }
+
+  const eligibleTotal = roundMoney(lines
+    .filter(({ product }) => isPromoEligibleProduct(promo, product))
+    .reduce((sum, { product, quantity }) => sum + product.price * quantity, 0));
+  if (eligibleTotal <= 0) {
+    return { error: 'Промокод не действует на выбранные товары' };
+  }
+
+  return { promo, eligibleTotal };
+}
+
+// Discount of a promo on the amount left after the other discounts
+function calculatePromoDiscount(promo, base) {
+  if (promo.discount_type === 'fixed') {
+    return roundMoney(Math.min(promo.discount_amount || 0, base));
+  }
+  return roundMoney(base * promo.discount_percent / 100);
+}
+
+// Count a promo use for a new order. Must run inside the order's transaction:
+// the limits are re-checked against committed uses, so a code can't be
+// redeemed past max_uses or per_user_limit by parallel or replayed requests.
+// Throws PromoError when a limit is already reached.
+function redeemPromo(code, userId, orderId, discountAmount) {
+  const promo = db.prepare('SELECT * FROM promo_codes WHERE code = ?').get(code);
+  if (!promo) {
+    throw new PromoError('Промокод не найден');
+  }
+
+  const counted = db.prepare(`
+    UPDATE promo_codes SET current_uses = current_uses + 1
+    WHERE id = ? AND is_active = 1 AND (max_uses IS NULL OR max_uses = 0 OR current_uses < max_uses)
+  `).run(promo.id);
+  if (counted.changes === 0) {
+    throw new PromoError('Промокод исчерпан');
+  }
+
+  if (promo.per_user_limit && countPromoUses(promo.id, userId) >= promo.per_user_limit) {
+    throw new PromoError('Вы уже использовали этот промокод');
+  }
+  if (promo.campaign_id && countCampaignUses(promo.campaign_id, userId) > 0) {
+    throw new PromoError('Вы уже использовали промокод этой акции');
+  }
+
+  db.prepare(`
+    INSERT INTO promo_uses (promo_id, user_id, order_id, discount_amount)
+    VALUES (?, ?, ?, ?)
+  `).run(promo.id, userId, orderId, discountAmount);
+}
+
+// A cancelled order gives its promo use back
+function releaseOrderPromo(orderId) {
+  const uses = db.prepare('SELECT * FROM promo_uses WHERE order_id = ?').all(orderId);
+  for (const use of uses) {
+    db.prepare('UPDATE promo_codes SET current_uses = MAX(current_uses - 1, 0) WHERE id = ?').run(use.promo_id);
+    db.prepare('DELETE FROM promo_uses WHERE id = ?').run(use.id);
+  }
+}
+
+// Resolve client cart lines against the products table.
+// Accepts [{ product_id, quantity }], prices always come from the DB.
+function resolveCartItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'empty_cart', message: 'Корзина пуста' };
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const productId = item.product_id ?? item.productId;
+    const quantity = Number(item.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 100) {
+      return { error: 'invalid_quantity', message: 'Неверное количество товара' };
+    }
+
+    const product = db.prepare('SELECT * FROM products WHERE id = ? AND is_active = 1').get(productId);
+    if (!product) {
+      return { error: 'invalid_product', message: `Товар ${item.name || productId} недоступен` };
+    }
+
+    lines.push({ product, quantity });
+  }
+
+  return { lines };
+}
+
+// Compute the authoritative price of an order for a user.
+// Discounts apply in order: level -> referral (first order) -> promo, then cashback up to 50%.
+// The discount and the cashback rate come from the user's loyalty tier (see LOYALTY TIERS).
+// options.cashbackUsed - amount the client wants to pay with cashback,
+// options.useMaxCashback - take as much cashback as allowed instead.
+function priceOrder(user, lines, options = {}) {
+  const items = lines.map(({ product, quantity }) => ({
+    product_id: product.id,
+    name: product.name,
+    price: product.price,
+    quantity,
+    total: roundMoney(product.price * quantity)
+  }));
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.total, 0));
+  let remaining = subtotal;
+
+  const tier = getLoyaltyTier(user.level);
+  const levelDiscount = roundMoney(remaining * tier.discount_percent / 100);
+  remaining -= levelDiscount;
+
+  let referralDiscount = 0;
+  if (user.referred_by) {
+    if (countActiveOrders(user.id) === 0) {
+      referralDiscount = roundMoney(remaining * getReferralSettings().referee_discount_percent / 100);
+      remaining -= referralDiscount;
+    }
+  }
+
+  let promoCode = null;
+  let promoDiscount = 0;
+  if (options.promoCode) {
+    const { promo, eligibleTotal, error } = findValidPromo(options.promoCode, user, lines);
+    if (error) {
+      return { error: 'invalid_promo', message: error };
+    }
+    // A restricted promo discounts only the eligible products' share of the remaining amount
+    promoCode = promo.code;
+    promoDiscount = calculatePromoDiscount(promo, roundMoney(remaining * eligibleTotal / subtotal));
+    remaining -= promoDiscount;
+  }
+
+  const afterDiscounts = roundMoney(remaining);
+  const cashbackAvailable = roundMoney(user.cashback || 0);
+  const cashbackMax = roundMoney(Math.min(cashbackAvailable, afterDiscounts * MAX_CASHBACK_USAGE));
+
+  let cashbackUsed = 0;
+  if (options.useMaxCashback) {
+    cashbackUsed = cashbackMax;
+  } else if (options.cashbackUsed > 0) {
+    cashbackUsed = roundMoney(options.cashbackUsed);
+    if (cashbackUsed > cashbackAvailable + PRICE_TOLERANCE) {
+      return { error: 'insufficient_cashback', message: 'Insufficient cashback balance' };
+    }
+    if (cashbackUsed > roundMoney(afterDiscounts * MAX_CASHBACK_USAGE) + PRICE_TOLERANCE) {
+      return { error: 'cashback_limit', message: 'Cashback usage exceeds 50% limit' };
+    }
+    cashbackUsed = Math.min(cashbackUsed, cashbackMax);
+  }
+
+  const total = roundMoney(afterDiscounts - cashbackUsed);
+
+  return {
+    quote: {
+      items,
+      subtotal,
+      level: tier.key,
+      level_discount: levelDiscount,
+      referral_discount: referralDiscount,
+      promo_code: promoCode,
+      promo_discount: promoDiscount,
+      discount_amount: roundMoney(levelDiscount + referralDiscount + promoDiscount),
+      cashback_available: cashbackAvailable,
+      cashback_max: cashbackMax,
+      cashback_used: cashbackUsed,
+      total,
+      cashback_earned: roundMoney(total * tier.cashback_percent / 100)
+    }
+  };
+}
+
+// Compare the totals a client submitted with the server quote
+function findPriceMismatch(clientData, quote, fields) {
+  return fields.find(([clientField, quoteField]) => {
+    const value = clientData[clientField];
+    if (value === undefined || value === null) return false;
+    return Math.abs(Number(value) - quote[quoteField]) > PRICE_TOLERANCE;
+  });
+}
+
+// Catalog products of an order: from cart items, or by service name for single-service orders
+function getOrderProducts(order) {
+  let items = [];
+  try {
+    items = JSON.parse(order.items || '[]');
+  } catch (error) {
+    items = [];
+  }
+
+  const productIds = items.map(item => item.product_id).filter(Boolean);
+  if (productIds.length > 0) {
+    return db.prepare(`SELECT * FROM products WHERE id IN (${productIds.map(() => '?').join(', ')})`).all(...productIds);
+  }
+  return db.prepare('SELECT * FROM products WHERE name = ?').all(order.service || '');
+}
+
+// ==================== ORDER STATUS ====================
+
+// Allowed order status transitions
+const ORDER_TRANSITIONS = {
+  pending: ['awaiting_payment', 'working', 'cancelled'],
+  awaiting_manager: ['awaiting_payment', 'cancelled'],
+  awaiting_payment: ['working', 'awaiting_manager', 'cancelled'],
+  working: ['completed', 'cancelled'],
+  completed: ['revision'],
+  revision: ['completed'],
+  cancelled: []
+};
+
+// Statuses that can only be reached once the order is paid
+const PAID_STATUSES = ['working', 'completed', 'revision'];
+
+// Statuses set by the client's own actions (a revision request), not by the admin status buttons
+const CLIENT_ONLY_STATUSES = ['revision'];
+
+function isOrderPaid(order) {
+  if (order.tx_hash) return true;
+  if (order.total !== null && order.total <= 0) return true;
+  const paidInvoice = db.prepare("SELECT id FROM invoices WHERE order_id = ? AND status = 'paid'").get(order.id);
+  return !!paidInvoice;
+}
+
+// Returns null when the transition is allowed, otherwise { error, message }
+function checkOrderTransition(order, toStatus) {
+  if (!ORDER_TRANSITIONS[toStatus]) {
+    return { error: 'invalid_status', message: `Неизвестный статус: ${toStatus}` };
+  }
+
+  const allowed = ORDER_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(toStatus)) {
+    return { error: 'invalid_transition', message: `Нельзя перевести заказ из "${order.status}" в "${toStatus}"` };
+  }
+
+  if (PAID_STATUSES.includes(toStatus) && !isOrderPaid(order)) {
+    return { error: 'not_paid', message: 'Заказ ещё не оплачен' };
+  }
+
+  // A cancelled order would strand money already received on its invoice
+  if (toStatus === 'cancelled') {
+    const partlyPaid = db.prepare("SELECT id FROM invoices WHERE order_id = ? AND status = 'partially_paid'").get(order.id);
+    if (partlyPaid) {
+      return { error: 'partially_paid', message: `По счёту #${partlyPaid.id} уже получена часть оплаты — сначала оформите возврат` };
+    }
+  }
+
+  if (toStatus === 'awaiting_payment') {
+    const invoice = db.prepare("SELECT id FROM invoices WHERE order_id = ? AND status IN ('awaiting_payment', 'partially_paid')").get(order.id);
+    if (!invoice) {
+      return { error: 'no_invoice', message: 'Для заказа не выставлен счёт' };
+    }
+  }
+
+  return null;
+}
+
+function recordOrderStatus(orderId, fromStatus, toStatus, actor, note = null) {
+  db.prepare(`
+    INSERT INTO order_status_history (order_id, from_status, to_status, actor, note)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(orderId, fromStatus, toStatus, actor, note);
+}
+
+// Move an order to a new status, validating the transition and writing history.
+// actor: 'admin:<username>', 'system', 'watcher' or 'user:<id>'
+function changeOrderStatus(order, toStatus, actor, note = null) {
+  const error = checkOrderTransition(order, toStatus);
+  if (error) return error;
+
+  db.transaction(() => {
+    db.prepare('UPDATE orders SET status = ? WHERE id = ?').run(toStatus, order.id);
+    recordOrderStatus(order.id, order.status, toStatus, actor, note);
+
+    // Leaving the revision state resolves the open revision request
+    if (order.status === 'revision') {
+      db.prepare(`
+        UPDATE order_revisions SET status = 'done', resolved_at = CURRENT_TIMESTAMP, resolved_by = ?
+        WHERE order_id = ? AND status = 'open'
+      `).run(actor, order.id);
+    }
+
+    if (toStatus === 'cancelled') {
+      releaseOrderPromo(order.id);
+    }
+  })();
+
+  return { success: true };
+}
+
+function getOrderStatusHistory(orderId) {
+  return db.prepare('SELECT * FROM order_status_history WHERE order_id = ? ORDER BY created_at, id').all(orderId);
+}
+
+// ==================== LEDGER ====================
+
+// Double-entry ledger for user balances. Every posting moves money between a
+// user account (user:<id>:cashback / user:<id>:referral) and a platform account,
+// so the entries of one transaction always sum to zero.
+// users.cashback and users.referral_earnings are a cache of the ledger balance.
+
+const BALANCE_COLUMNS = {
+  cashback: 'cashback',
+  referral: 'referral_earnings'
+};
+
+// Platform account on the other side of each transaction type
+const LEDGER_COUNTER_ACCOUNTS = {
+  opening_balance: 'platform:opening_balance',
+  legacy_history: 'platform:opening_balance',
+  order_cashback: 'platform:cashback_expense',
+  cashback_payment: 'platform:sales',
+  cashback_refund: 'platform:sales',
+  cashback_reversal: 'platform:cashback_expense',
+  overpayment_credit: 'platform:overpayments',
+  review_bonus: 'platform:marketing_expense',
+  referral_commission: 'platform:referral_expense',
+  referral_reversal: 'platform:referral_expense',
+  withdrawal: 'platform:payouts',
+  admin_adjustment: 'platform:adjustments'
+};
+
+class LedgerError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'LedgerError';
+    this.code = code;
+  }
+}
+
+function userLedgerAccount(userId, kind) {
+  return `user:${userId}:${kind}`;
+}
+
+function getLedgerBalance(account) {
+  const last = db.prepare('SELECT balance_after FROM ledger_entries WHERE account = ? ORDER BY id DESC LIMIT 1').get(account);
+  return last ? last.balance_after : 0;
+}
+
+// Post a balanced transaction. entries: [{ account, amount, userId }]
+function postLedgerTransaction({ type, refType = null, refId = null, description = null, createdAt = null, entries }) {
+  const sum = entries.reduce((total, entry) => total + entry.amount, 0);
+  if (Math.abs(sum) > 0.000001) {
+    throw new LedgerError(`Unbalanced ledger transaction (${type}): ${sum}`, 'unbalanced');
+  }
+
+  return db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO ledger_transactions (type, ref_type, ref_id, description, created_at)
+      VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `).run(type, refType, refId === null ? null : String(refId), description, createdAt);
+
+    for (const entry of entries) {
+      const balanceAfter = roundMoney(getLedgerBalance(entry.account) + entry.amount);
+      db.prepare(`
+        INSERT INTO ledger_entries (transaction_id, account, user_id, amount, balance_after, created_at)
+        VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+      `).run(result.lastInsertRowid, entry.account, entry.userId || null, entry.amount, balanceAfter, createdAt);
+    }
+
+    return result.lastInsertRowid;
+  })();
+}
+
+// Credit (amount > 0) or debit (amount < 0) a user balance.
+// kind: 'cashback' | 'referral'. Throws LedgerError if a debit would overdraw the balance.
+function postUserBalance(userId, kind, amount, { type, refType = null, refId = null, description = null, allowNegative = false, createdAt = null }) {
+  amount = roundMoney(amount);
+  if (amount === 0) return null;
+
+  const account = userLedgerAccount(userId, kind);
+  const counterAccount = LEDGER_COUNTER_ACCOUNTS[type];
+  if (!BALANCE_COLUMNS[kind] || !counterAccount) {
+    throw new LedgerError(`Unknown ledger posting: ${kind}/${type}`, 'invalid_posting');
+  }
+
+  return db.transaction(() => {
+    const balance = getLedgerBalance(account);
+    if (!allowNegative && balance + amount < -PRICE_TOLERANCE) {
+      throw new LedgerError('Insufficient balance', 'insufficient_balance');
+    }
+
+    const transactionId = postLedgerTransaction({
+      type,
+      refType,
+      refId,
+      description,
+      createdAt,
+      entries: [
+        { account, amount, userId },
+        { account: counterAccount, amount: -amount }
+      ]
+    });
+
+    // Refresh the cached balance on the user row
+    db.prepare(`UPDATE users SET ${BALANCE_COLUMNS[kind]} = ? WHERE id = ?`).run(getLedgerBalance(account), userId);
+
+    return transactionId;
+  })();
+}
+
+function getUserLedger(userId, kind, limit = 100) {
+  return db.prepare(`
+    SELECT e.id, e.amount, e.balance_after, e.created_at, t.type, t.ref_type, t.ref_id, t.description
+    FROM ledger_entries e
+    JOIN ledger_transactions t ON e.transaction_id = t.id
+    WHERE e.account = ?
+    ORDER BY e.id DESC
+    LIMIT ?
+  `).all(userLedgerAccount(userId, kind), limit);
+}
+
 // ==================== API ROUTES ====================
 
 // Health check
@@ -380,8 +881,16 @@ app.get('/api/user', authMiddleware, (req, res) => {
     // Get orders
     const orders = db.prepare('SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC').all(user.id);
     
+    // Get order status timelines
+    const statusHistory = db.prepare(`
+      SELECT h.* FROM order_status_history h
+      JOIN orders o ON h.order_id = o.id
+      WHERE o.user_id = ?
+      ORDER BY h.created_at, h.id
+    `).all(user.id);
+
     // Get cashback history
-    const cashbackHistory = db.prepare('SELECT * FROM cashback_history WHERE user_id = ? ORDER BY created_at DESC').all(user.id);
+    const cashbackHistory = getUserLedger(user.id, 'cashback');
     
     // Get referrals
     const referrals = db.prepare(`
@@ -404,11 +913,18 @@ app.get('/api/user', authMiddleware, (req, res) => {
       username: user.username,
       level: user.level,
       totalSpent: user.total_spent,
+      qualifyingSpent: getQualifyingSpend(user),
       cashback: user.cashback,
       referralCode: user.referral_code,
       referredBy: user.referred_by,
       referralEarnings: user.referral_earnings,
+      referralHeld: db.prepare(`
+        SELECT COALESCE(SUM(amount), 0) as sum FROM referral_earnings
+        WHERE referrer_id = ? AND status IN ('held', 'review')
+      `).get(user.id).sum,
+      referralProgram: serializeReferralProgram(),
       trc20Wallet: user.trc20_wallet,
+      currency: serializeCurrency(getCurrency(user.currency)),
       orders: orders.map(o => ({
         id: o.id,
         service: o.service,
@@ -416,7 +932,7 @@ app.get('/api/user', authMiddleware, (req, res) => {
         formats: JSON.parse(o.formats || '[]'),
         description: o.description,
         refs: o.refs,
-        media: JSON.parse(o.media || '[]'),
+        media: getOrderMedia(req, o),
         items: JSON.parse(o.items || '[]'),
         comment: o.comment,
         basePrice: o.base_price,
@@ -428,10 +944,17 @@ app.get('/api/user', authMiddleware, (req, res) => {
         txHash: o.tx_hash,
         paymentMethod: o.payment_method,
         reviewed: o.reviewed === 1,
-        createdAt: o.created_at
+        createdAt: o.created_at,
+        revisions: getOrderRevisionSummary(req, o),
+        unreadMessages: countUnreadMessages(o.id, 'client'),
+        statusHistory: statusHistory
+          .filter(h => h.order_id === o.id)
+          .map(h => ({ status: h.to_status, note: h.note, date: h.created_at }))
       })),
       cashbackHistory: cashbackHistory.map(h => ({
         amount: h.amount,
+        balance: h.balance_after,
+        type: h.type,
         description: h.description,
         date: h.created_at
       })),
@@ -450,13 +973,17 @@ app.get('/api/user', authMiddleware, (req, res) => {
       })),
       invoices: invoices.map(i => ({
         id: i.id,
-        order_id: i.order_id,
+        order_id: getInvoiceOrderId(i),
         amount: i.amount,
+        display_currency: i.display_currency,
+        display_amount: i.display_amount,
         status: i.status,
         tx_hash: i.tx_hash,
         wallet_address: i.wallet_address,
         created_at: i.created_at,
-        paid_at: i.paid_at
+        paid_at: i.paid_at,
+        expires_at: i.expires_at,
+        outstanding: getInvoiceTotals(i).outstanding
       })),
       settings: {
         notifOrders: true,
@@ -489,7 +1016,7 @@ app.post('/api/user', authMiddleware, (req, res) => {
 });
 
 // Create order
-app.post('/api/orders', authMiddleware, (req, res) => {
+app.post('/api/orders', authMiddleware, async (req, res) => {
   try {
     const tgUser = req.telegramUser;
     const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(tgUser.id.toString());
@@ -500,43 +1027,92 @@ app.post('/api/orders', authMiddleware, (req, res) => {
     
     const order = req.body;
     const orderId = order.id || ('ORD' + Date.now());
+
+    // Legacy service orders reference the product by name
+    const product = db.prepare('SELECT * FROM products WHERE name = ? AND is_active = 1').get(order.service);
+    if (!product) {
+      return res.status(400).json({ error: 'invalid_product', message: `Услуга ${order.service} недоступна` });
+    }
+
+    const pricing = priceOrder(user, [{ product, quantity: 1 }], {
+      promoCode: order.promoCode,
+      cashbackUsed: order.cashbackUsed || 0
+    });
+    if (pricing.error) {
+      return res.status(400).json(pricing);
+    }
+
+    const { quote } = pricing;
+    const mismatch = findPriceMismatch(order, quote, [['basePrice', 'subtotal'], ['total', 'total']]);
+    if (mismatch) {
+      return res.status(400).json({ error: 'price_mismatch', message: 'Цена заказа изменилась, проверьте сумму', quote });
+    }
+
+    const media = resolveOrderMedia(order.media, user);
+    if (media.error) {
+      return res.status(400).json(media);
+    }
+
+    // Legacy orders are prepaid: the transaction is verified here, not trusted from the client
+    const txHash = order.txHash || null;
+    if (txHash) {
+      if (isTxHashUsed(txHash)) {
+        return res.status(400).json({ error: 'tx_used', message: 'Эта транзакция уже использована для другой оплаты' });
+      }
+
+      const verification = await verifyPaymentTransaction(txHash, {
+        expectedAmount: quote.total,
+        recipientAddress: process.env.PAYMENT_ADDRESS || 'TAXtuQh2zJHks5yZQ2zzVdEFExs7ktoYuV'
+      });
+      if (!verification.verified) {
+        return res.status(400).json({ error: 'payment_not_verified', message: verification.error });
+      }
+
+      if (isTxHashUsed(txHash)) {
+        return res.status(400).json({ error: 'tx_used', message: 'Эта транзакция уже использована для другой оплаты' });
+      }
+    }
     
-    // Insert order
-    db.prepare(`
-      INSERT INTO orders (id, user_id, service, niche, formats, description, refs, media, base_price, discount, cashback_used, total, cashback_earned, status, tx_hash, payment_method, promo_code, discount_amount, subtotal)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)
-    `).run(
-      orderId,
-      user.id,
-      order.service,
-      order.niche,
-      JSON.stringify(order.formats || []),
-      order.description || '',
-      order.refs || '',
-      JSON.stringify(order.media || []),
-      order.basePrice,
-      order.discount,
-      order.cashbackUsed || 0,
-      order.total,
-      order.cashbackEarned,
-      order.txHash || null,
-      order.paymentMethod || null,
-      order.promoCode || null,
-      (order.promoDiscount || 0) + (order.referralDiscount || 0),
-      order.basePrice
-    );
-    
-    // Deduct used cashback (if any)
-    if (order.cashbackUsed > 0) {
+    // Order, promo redemption and cashback deduction succeed or fail together
+    db.transaction(() => {
       db.prepare(`
-        UPDATE users SET cashback = cashback - ? WHERE id = ?
-      `).run(order.cashbackUsed, user.id);
+        INSERT INTO orders (id, user_id, service, niche, formats, description, refs, media, base_price, discount, cashback_used, total, cashback_earned, status, tx_hash, payment_method, promo_code, discount_amount, subtotal)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)
+      `).run(
+        orderId,
+        user.id,
+        product.name,
+        order.niche,
+        JSON.stringify(order.formats || []),
+        order.description || '',
+        order.refs || '',
+        JSON.stringify(media.fileIds),
+        quote.subtotal,
+        quote.level_discount,
+        quote.cashback_used,
+        quote.total,
+        quote.cashback_earned,
+        txHash,
+        order.paymentMethod || null,
+        quote.promo_code,
+        quote.referral_discount + quote.promo_discount,
+        quote.subtotal
+      );
+      recordOrderStatus(orderId, null, 'pending', `user:${user.id}`, 'Заказ создан');
+      attachFilesToOrder(media.fileIds, orderId);
+
+      if (quote.promo_code) {
+        redeemPromo(quote.promo_code, user.id, orderId, quote.promo_discount);
+      }
 
-      db.prepare(`
-        INSERT INTO cashback_history (user_id, amount, description)
-        VALUES (?, ?, ?)
-      `).run(user.id, -order.cashbackUsed, `Оплата заказа #${orderId}`);
-    }
+      // Deduct used cashback (if any)
+      postUserBalance(user.id, 'cashback', -quote.cashback_used, {
+        type: 'cashback_payment',
+        refType: 'order',
+        refId: orderId,
+        description: `Оплата заказа #${orderId}`
+      });
+    })();
 
     // NOTE: Cashback rewards, total_spent, level updates and referral bonuses
     // will be processed AFTER payment confirmation
@@ -551,20 +1127,58 @@ app.post('/api/orders', authMiddleware, (req, res) => {
     notifyAdmin(
       `🆕 Новый заказ #${orderId}\n\n` +
       `👤 Клиент: ${user.name} (@${user.username || 'no username'})\n` +
-      `📋 Услуга: ${order.service}\n` +
+      `📋 Услуга: ${product.name}\n` +
       `🎯 Ниша: ${order.niche}\n` +
-      `💰 Сумма: $${order.total}\n` +
+      `💰 Сумма: $${quote.total}\n` +
       `💳 Оплата: ${order.paymentMethod || 'не указано'}\n` +
       `${order.txHash ? `🔗 TxHash: ${order.txHash}` : ''}`
     );
     
-    res.json({ success: true, orderId });
+    res.json({ success: true, orderId, quote });
   } catch (error) {
+    if (error instanceof PromoError) {
+      return res.status(400).json({ error: 'invalid_promo', message: error.message });
+    }
+    if (error instanceof LedgerError) {
+      return res.status(400).json({ error: 'insufficient_cashback', message: 'Insufficient cashback balance' });
+    }
     console.error('Error creating order:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Get a priced quote for the cart (server-side pricing)
+app.post('/api/cart/quote', authMiddleware, (req, res) => {
+  try {
+    const tgUser = req.telegramUser;
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(tgUser.id.toString());
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { items, promo_code, use_cashback } = req.body;
+
+    const resolved = resolveCartItems(items);
+    if (resolved.error) {
+      return res.status(400).json(resolved);
+    }
+
+    const pricing = priceOrder(user, resolved.lines, {
+      promoCode: promo_code,
+      useMaxCashback: !!use_cashback
+    });
+    if (pricing.error) {
+      return res.status(400).json(pricing);
+    }
+
+    res.json(pricing.quote);
+  } catch (error) {
+    console.error('Error pricing cart:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Create cart order (new order system with items)
 app.post('/api/cart-orders', authMiddleware, (req, res) => {
   try {
@@ -577,52 +1191,76 @@ app.post('/api/cart-orders', authMiddleware, (req, res) => {
 
     const orderData = req.body;
     const orderId = orderData.id || ('ORD' + Date.now());
-    const cashbackUsed = orderData.cashback_used || 0;
 
-    // Validate cashback usage
-    if (cashbackUsed > 0) {
-      if (cashbackUsed > user.cashback) {
-        return res.status(400).json({ error: 'Insufficient cashback balance' });
-      }
-      const afterDiscounts = orderData.subtotal - (orderData.discount_amount || 0);
-      const maxAllowed = afterDiscounts * 0.5;
-      if (cashbackUsed > maxAllowed) {
-        return res.status(400).json({ error: 'Cashback usage exceeds 50% limit' });
-      }
+    const resolved = resolveCartItems(orderData.items);
+    if (resolved.error) {
+      return res.status(400).json(resolved);
     }
 
-    // Insert cart order with items
-    db.prepare(`
-      INSERT INTO orders (id, user_id, items, comment, promo_code, discount_amount, cashback_used, subtotal, total, status, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      orderId,
-      user.id,
-      JSON.stringify(orderData.items || []),
-      orderData.comment || '',
-      orderData.promo_code || null,
-      orderData.discount_amount || 0,
-      cashbackUsed,
-      orderData.subtotal || orderData.total,
-      orderData.total,
-      'awaiting_manager',
-      new Date().toISOString()
-    );
+    const pricing = priceOrder(user, resolved.lines, {
+      promoCode: orderData.promo_code,
+      cashbackUsed: orderData.cashback_used || 0
+    });
+    if (pricing.error) {
+      return res.status(400).json(pricing);
+    }
 
-    // Deduct cashback from user balance if used
-    if (cashbackUsed > 0) {
-      db.prepare(`
-        UPDATE users SET cashback = cashback - ?
-        WHERE id = ?
-      `).run(cashbackUsed, user.id);
+    // Reject orders whose client totals don't match the server price
+    const { quote } = pricing;
+    const mismatch = findPriceMismatch(orderData, quote, [
+      ['subtotal', 'subtotal'],
+      ['discount_amount', 'discount_amount'],
+      ['cashback_used', 'cashback_used'],
+      ['total', 'total']
+    ]);
+    if (mismatch) {
+      return res.status(400).json({ error: 'price_mismatch', message: 'Цены изменились, обновите корзину', quote });
+    }
 
-      // Add to cashback history
-      db.prepare(`
-        INSERT INTO cashback_history (user_id, amount, description)
-        VALUES (?, ?, ?)
-      `).run(user.id, -cashbackUsed, `Оплата кешбэком за заказ #${orderId}`);
+    const media = resolveOrderMedia(orderData.media, user);
+    if (media.error) {
+      return res.status(400).json(media);
     }
 
+    const cashbackUsed = quote.cashback_used;
+
+    // Order, promo redemption and cashback deduction succeed or fail together
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO orders (id, user_id, items, comment, media, promo_code, discount, discount_amount, cashback_used, subtotal, total, cashback_earned, status, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        orderId,
+        user.id,
+        JSON.stringify(quote.items),
+        orderData.comment || '',
+        JSON.stringify(media.fileIds),
+        quote.promo_code,
+        quote.level_discount,
+        quote.discount_amount,
+        cashbackUsed,
+        quote.subtotal,
+        quote.total,
+        quote.cashback_earned,
+        'awaiting_manager',
+        new Date().toISOString()
+      );
+      recordOrderStatus(orderId, null, 'awaiting_manager', `user:${user.id}`, 'Заказ отправлен менеджеру');
+      attachFilesToOrder(media.fileIds, orderId);
+
+      if (quote.promo_code) {
+        redeemPromo(quote.promo_code, user.id, orderId, quote.promo_discount);
+      }
+
+      // Deduct cashback from user balance if used
+      postUserBalance(user.id, 'cashback', -cashbackUsed, {
+        type: 'cashback_payment',
+        refType: 'order',
+        refId: orderId,
+        description: `Оплата кешбэком за заказ #${orderId}`
+      });
+    })();
+
     // NOTE: Cashback earnings and referral bonuses will be added AFTER payment confirmation
     // in the payment verification endpoint
 
@@ -633,13 +1271,18 @@ app.post('/api/cart-orders', authMiddleware, (req, res) => {
     `).run(user.id, '📤 Заказ отправлен', `Заказ #${orderId} отправлен менеджеру. Ожидайте ответа.`);
 
     // Format items list for admin notification
-    const itemsList = orderData.items.map(item =>
+    const itemsList = quote.items.map(item =>
       `  • ${item.name} x${item.quantity} - $${item.total}`
     ).join('\n');
 
     // Build promo info for notification
-    const promoInfo = orderData.promo_code
-      ? `🎫 Промокод: ${orderData.promo_code} (-$${orderData.discount_amount})\n`
+    const promoInfo = quote.promo_code
+      ? `🎫 Промокод: ${quote.promo_code} (-$${quote.promo_discount.toFixed(2)})\n`
+      : '';
+
+    // Build level/referral discount info for notification
+    const discountInfo = quote.level_discount + quote.referral_discount > 0
+      ? `🏷 Скидки (уровень/реферал): -$${(quote.level_discount + quote.referral_discount).toFixed(2)}\n`
       : '';
 
     // Build cashback info for notification
@@ -653,37 +1296,53 @@ app.post('/api/cart-orders', authMiddleware, (req, res) => {
       `👤 Клиент: ${user.name} (@${user.username || 'no username'})\n` +
       `Telegram ID: ${user.telegram_id}\n\n` +
       `📦 Товары:\n${itemsList}\n\n` +
+      `${discountInfo}` +
       `${promoInfo}` +
       `${cashbackInfo}` +
-      `💰 К оплате: $${orderData.total}\n` +
+      `💰 К оплате: $${quote.total}\n` +
       `${orderData.comment ? `💬 Комментарий: ${orderData.comment}\n` : ''}\n` +
       `⚡ Требуется создать инвойс в админ-панели`
     );
 
-    res.json({ success: true, orderId });
+    res.json({ success: true, orderId, quote });
   } catch (error) {
+    if (error instanceof PromoError) {
+      return res.status(400).json({ error: 'invalid_promo', message: error.message });
+    }
+    if (error instanceof LedgerError) {
+      return res.status(400).json({ error: 'insufficient_cashback', message: 'Insufficient cashback balance' });
+    }
     console.error('Error creating cart order:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Update order status (for admin - old endpoint, keep for compatibility)
-app.post('/api/orders/:orderId/status', (req, res) => {
+app.post('/api/orders/:orderId/status', adminAuthMiddleware, requireAdminPermission('orders.manage'), (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status, adminKey } = req.body;
-    
-    // Simple admin auth
-    if (adminKey !== process.env.ADMIN_KEY) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+    const { status, note } = req.body;
     
     const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+
+    if (CLIENT_ONLY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'invalid_transition', message: 'Правки запрашивает клиент из приложения' });
+    }
     
-    db.prepare('UPDATE orders SET status = ? WHERE id = ?').run(status, orderId);
+    const result = changeOrderStatus(order, status, adminActor(req), note || null);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    recordAdminAudit(req, 'order.status', {
+      targetType: 'order',
+      targetId: orderId,
+      before: { status: order.status },
+      after: { status, note: note || null }
+    });
     
     // Notify user
     notifyOrderStatus(order.user_id, orderId, status);
@@ -695,40 +1354,6 @@ app.post('/api/orders/:orderId/status', (req, res) => {
   }
 });
 
-// Submit review
-app.post('/api/reviews', authMiddleware, (req, res) => {
-  try {
-    const tgUser = req.telegramUser;
-    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(tgUser.id.toString());
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    const { orderId, rating, text } = req.body;
-    
-    // Mark order as reviewed
-    db.prepare('UPDATE orders SET reviewed = 1 WHERE id = ? AND user_id = ?').run(orderId, user.id);
-    
-    // Add review bonus
-    const reviewBonus = 2;
-    db.prepare('UPDATE users SET cashback = cashback + ? WHERE id = ?').run(reviewBonus, user.id);
-    
-    db.prepare(`
-      INSERT INTO cashback_history (user_id, amount, description)
-      VALUES (?, ?, ?)
-    `).run(user.id, reviewBonus, 'Бонус за отзыв');
-    
-    // Notify admin
-    notifyAdmin(`⭐ Новый отзыв (${rating}/5)\n\n👤 Клиент: ${user.name}\n📦 Заказ: #${orderId}\n\n💬 ${text || 'Без текста'}`);
-    
-    res.json({ success: true, bonus: reviewBonus });
-  } catch (error) {
-    console.error('Error submitting review:', error);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
 // Apply promo/referral code
 app.post('/api/referral/apply', authMiddleware, (req, res) => {
   try {
@@ -763,7 +1388,7 @@ app.post('/api/referral/apply', authMiddleware, (req, res) => {
       VALUES (?, ?)
     `).run(referrer.id, user.id);
     
-    res.json({ success: true, discount: 15 });
+    res.json({ success: true, discount: getReferralSettings().referee_discount_percent });
   } catch (error) {
     console.error('Error applying referral:', error);
     res.status(500).json({ error: 'Server error' });
@@ -789,17 +1414,321 @@ app.post('/api/notifications/read', authMiddleware, (req, res) => {
 
 // ==================== ADMIN API ====================
 
+// Login screen configuration: whether the first owner still has to be created
+app.get('/api/admin/auth/config', (req, res) => {
+  try {
+    const adminCount = db.prepare('SELECT COUNT(*) as count FROM admin_users').get().count;
+    res.json({
+      setupRequired: adminCount === 0,
+      telegramBotUsername: process.env.TELEGRAM_BOT_USERNAME || null
+    });
+  } catch (error) {
+    console.error('Admin auth config error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create the first owner account. Only works while there are no admins,
+// and requires ADMIN_KEY from .env as proof of server access.
+app.post('/api/admin/auth/setup', (req, res) => {
+  try {
+    const { setupKey, username, password } = req.body;
+
+    const throttleKey = adminLoginKey(req);
+    const wait = getAdminLoginWait(throttleKey);
+    if (wait > 0) {
+      return sendAdminLoginThrottled(res, wait);
+    }
+
+    const adminCount = db.prepare('SELECT COUNT(*) as count FROM admin_users').get().count;
+    if (adminCount > 0) {
+      return res.status(409).json({ error: 'already_configured', message: 'Администратор уже создан' });
+    }
+
+    if (!process.env.ADMIN_KEY || !safeEqual(process.env.ADMIN_KEY, setupKey)) {
+      recordAdminLoginFailure(throttleKey);
+      return res.status(401).json({ error: 'invalid_setup_key', message: 'Неверный ADMIN_KEY' });
+    }
+
+    if (!username || !password || password.length < 8) {
+      return res.status(400).json({ error: 'invalid_credentials', message: 'Укажите логин и пароль не короче 8 символов' });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO admin_users (username, password_hash, role)
+      VALUES (?, ?, 'owner')
+    `).run(username.trim(), hashAdminPassword(password));
+
+    const admin = db.prepare('SELECT * FROM admin_users WHERE id = ?').get(result.lastInsertRowid);
+    recordAdminAudit(req, 'auth.setup', { admin, targetType: 'admin', targetId: admin.id, after: auditAdminSnapshot(admin) });
+    res.json({ success: true, ...createAdminSession(admin) });
+  } catch (error) {
+    console.error('Admin setup error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Login with username and password
+app.post('/api/admin/auth/login', (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res.status(400).json({ error: 'invalid_credentials', message: 'Введите логин и пароль' });
+    }
+
+    const throttleKey = adminLoginKey(req, username.trim());
+    const wait = getAdminLoginWait(throttleKey);
+    if (wait > 0) {
+      return sendAdminLoginThrottled(res, wait);
+    }
+
+    const admin = db.prepare('SELECT * FROM admin_users WHERE username = ?').get(username.trim());
+    if (!admin || !admin.active || !verifyAdminPassword(password, admin.password_hash)) {
+      recordAdminLoginFailure(throttleKey);
+      recordAdminAudit(req, 'auth.login_failed', { admin: admin || { username: username.trim() } });
+      return res.status(401).json({ error: 'invalid_credentials', message: 'Неверный логин или пароль' });
+    }
+
+    clearAdminLoginFailures(throttleKey);
+    recordAdminAudit(req, 'auth.login', { admin });
+    res.json({ success: true, ...createAdminSession(admin) });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Login with Telegram Login Widget (account must be bound to the Telegram ID)
+app.post('/api/admin/auth/telegram', (req, res) => {
+  try {
+    const throttleKey = adminLoginKey(req, req.body && req.body.id ? `telegram:${req.body.id}` : null);
+    const wait = getAdminLoginWait(throttleKey);
+    if (wait > 0) {
+      return sendAdminLoginThrottled(res, wait);
+    }
+
+    if (!validateTelegramLogin(req.body)) {
+      recordAdminLoginFailure(throttleKey);
+      return res.status(401).json({ error: 'invalid_telegram_auth', message: 'Не удалось проверить вход через Telegram' });
+    }
+
+    const admin = db.prepare('SELECT * FROM admin_users WHERE telegram_id = ?').get(String(req.body.id));
+    if (!admin || !admin.active) {
+      recordAdminLoginFailure(throttleKey);
+      recordAdminAudit(req, 'auth.login_failed', { admin: admin || { username: `telegram:${req.body.id}` } });
+      return res.status(403).json({ error: 'not_admin', message: 'Этот Telegram аккаунт не привязан к администратору' });
+    }
+
+    clearAdminLoginFailures(throttleKey);
+    recordAdminAudit(req, 'auth.telegram_login', { admin });
+    res.json({ success: true, ...createAdminSession(admin) });
+  } catch (error) {
+    console.error('Admin Telegram login error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Current admin
+app.get('/api/admin/auth/me', adminAuthMiddleware, (req, res) => {
+  res.json(publicAdmin(req.admin));
+});
+
+// Logout (ends the current session only)
+app.post('/api/admin/auth/logout', adminAuthMiddleware, (req, res) => {
+  try {
+    db.prepare('DELETE FROM admin_sessions WHERE token_hash = ?').run(req.adminSessionHash);
+    recordAdminAudit(req, 'auth.logout');
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List admin accounts (owner only)
+app.get('/api/admin/admins', adminAuthMiddleware, requireAdminPermission('admins'), (req, res) => {
+  try {
+    const admins = db.prepare('SELECT * FROM admin_users ORDER BY created_at').all();
+    res.json(admins.map(publicAdmin));
+  } catch (error) {
+    console.error('Get admins error:', error);
+    res.status(500).json({ error: 'Failed to get admins' });
+  }
+});
+
+// Create admin account (owner only)
+app.post('/api/admin/admins', adminAuthMiddleware, requireAdminPermission('admins'), (req, res) => {
+  try {
+    const { username, password, role, telegramId } = req.body;
+
+    if (!username || !ADMIN_ROLES[role]) {
+      return res.status(400).json({ error: 'invalid_admin', message: 'Укажите логин и роль' });
+    }
+
+    if (!password && !telegramId) {
+      return res.status(400).json({ error: 'invalid_admin', message: 'Нужен пароль или Telegram ID для входа' });
+    }
+
+    if (password && password.length < 8) {
+      return res.status(400).json({ error: 'weak_password', message: 'Пароль должен быть не короче 8 символов' });
+    }
+
+    const exists = db.prepare('SELECT id FROM admin_users WHERE username = ? OR (telegram_id IS NOT NULL AND telegram_id = ?)')
+      .get(username.trim(), telegramId ? String(telegramId) : null);
+    if (exists) {
+      return res.status(409).json({ error: 'admin_exists', message: 'Администратор с таким логином или Telegram ID уже есть' });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO admin_users (username, password_hash, telegram_id, role)
+      VALUES (?, ?, ?, ?)
+    `).run(username.trim(), password ? hashAdminPassword(password) : null, telegramId ? String(telegramId) : null, role);
+
+    const admin = db.prepare('SELECT * FROM admin_users WHERE id = ?').get(result.lastInsertRowid);
+    recordAdminAudit(req, 'admin.create', { targetType: 'admin', targetId: admin.id, after: auditAdminSnapshot(admin) });
+    res.json(publicAdmin(admin));
+  } catch (error) {
+    console.error('Create admin error:', error);
+    res.status(500).json({ error: 'Failed to create admin' });
+  }
+});
+
+// Update admin account: role, password, Telegram binding, active flag (owner only)
+app.put('/api/admin/admins/:id', adminAuthMiddleware, requireAdminPermission('admins'), (req, res) => {
+  try {
+    const admin = db.prepare('SELECT * FROM admin_users WHERE id = ?').get(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    const { role, password, telegramId, active } = req.body;
+
+    if (role !== undefined && !ADMIN_ROLES[role]) {
+      return res.status(400).json({ error: 'invalid_role', message: 'Неизвестная роль' });
+    }
+
+    if (password && password.length < 8) {
+      return res.status(400).json({ error: 'weak_password', message: 'Пароль должен быть не короче 8 символов' });
+    }
+
+    const nextRole = role !== undefined ? role : admin.role;
+    const nextActive = active !== undefined ? (active ? 1 : 0) : admin.active;
+
+    // Never leave the panel without an active owner
+    if (admin.role === 'owner' && admin.active && (nextRole !== 'owner' || !nextActive)) {
+      const owners = db.prepare("SELECT COUNT(*) as count FROM admin_users WHERE role = 'owner' AND active = 1").get().count;
+      if (owners <= 1) {
+        return res.status(400).json({ error: 'last_owner', message: 'Нельзя понизить или отключить последнего владельца' });
+      }
+    }
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE admin_users
+        SET role = ?, active = ?, telegram_id = ?, password_hash = ?
+        WHERE id = ?
+      `).run(
+        nextRole,
+        nextActive,
+        telegramId !== undefined ? (telegramId ? String(telegramId) : null) : admin.telegram_id,
+        password ? hashAdminPassword(password) : admin.password_hash,
+        admin.id
+      );
+
+      // Changed credentials or access end all existing sessions of that admin
+      if (password || !nextActive || nextRole !== admin.role) {
+        revokeAdminSessions(admin.id);
+      }
+    })();
+
+    const updated = db.prepare('SELECT * FROM admin_users WHERE id = ?').get(admin.id);
+    recordAdminAudit(req, 'admin.update', {
+      targetType: 'admin',
+      targetId: admin.id,
+      before: auditAdminSnapshot(admin),
+      after: { ...auditAdminSnapshot(updated), password_changed: !!password }
+    });
+
+    res.json(publicAdmin(updated));
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({ error: 'admin_exists', message: 'Этот Telegram ID уже привязан к другому администратору' });
+    }
+    console.error('Update admin error:', error);
+    res.status(500).json({ error: 'Failed to update admin' });
+  }
+});
+
+// Admin audit log with filters (owner only)
+app.get('/api/admin/audit', adminAuthMiddleware, requireAdminPermission('audit'), (req, res) => {
+  try {
+    const { admin_id, action, target_type, target_id, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const conditions = [];
+    const params = [];
+
+    if (admin_id) {
+      conditions.push('admin_id = ?');
+      params.push(admin_id);
+    }
+    if (action) {
+      // "order" matches every order.* action
+      conditions.push('(action = ? OR action LIKE ?)');
+      params.push(action, `${action}.%`);
+    }
+    if (target_type) {
+      conditions.push('target_type = ?');
+      params.push(target_type);
+    }
+    if (target_id) {
+      conditions.push('target_id = ?');
+      params.push(target_id);
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push("created_at < datetime(?, '+1 day')");
+      params.push(to);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) as count FROM admin_audit_log ${where}`).get(...params).count;
+    const entries = db.prepare(`
+      SELECT * FROM admin_audit_log ${where}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    res.json({
+      total,
+      entries: entries.map(({ before_json, after_json, ...entry }) => ({
+        ...entry,
+        before: before_json ? JSON.parse(before_json) : null,
+        after: after_json ? JSON.parse(after_json) : null
+      }))
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to get audit log' });
+  }
+});
+
 // Get all orders (for admin panel)
-app.get('/api/admin/orders', adminAuthMiddleware, (req, res) => {
+app.get('/api/admin/orders', adminAuthMiddleware, requireAdminPermission('orders.view'), (req, res) => {
   try {
     const orders = db.prepare(`
-      SELECT o.*, u.name as user_name, u.username, u.telegram_id
+      SELECT o.*, u.name as user_name, u.username, u.telegram_id,
+        (SELECT COUNT(*) FROM order_messages m WHERE m.order_id = o.id AND m.sender = 'client' AND m.read_at IS NULL) as unread_messages
       FROM orders o
       LEFT JOIN users u ON o.user_id = u.id
       ORDER BY o.created_at DESC
     `).all();
     
-    res.json(orders);
+    res.json(orders.map(o => ({ ...o, media: getOrderMedia(req, o) })));
   } catch (error) {
     console.error('Error getting admin orders:', error);
     res.status(500).json({ error: 'Server error' });
@@ -807,7 +1736,7 @@ app.get('/api/admin/orders', adminAuthMiddleware, (req, res) => {
 });
 
 // Get all users (for admin panel)
-app.get('/api/admin/users', adminAuthMiddleware, (req, res) => {
+app.get('/api/admin/users', adminAuthMiddleware, requireAdminPermission('users.view'), (req, res) => {
   try {
     const users = db.prepare('SELECT * FROM users ORDER BY created_at DESC').all();
     res.json(users);
@@ -818,12 +1747,14 @@ app.get('/api/admin/users', adminAuthMiddleware, (req, res) => {
 });
 
 // Get all referrals (for admin panel)
-app.get('/api/admin/referrals', adminAuthMiddleware, (req, res) => {
+app.get('/api/admin/referrals', adminAuthMiddleware, requireAdminPermission('cashback'), (req, res) => {
   try {
     const referrals = db.prepare(`
       SELECT r.*, 
         u1.name as referrer_name, u1.username as referrer_username, u1.trc20_wallet,
-        u2.name as referred_name, u2.username as referred_username
+        u2.name as referred_name, u2.username as referred_username,
+        (SELECT COALESCE(SUM(amount), 0) FROM referral_earnings
+          WHERE referral_id = r.id AND status IN ('held', 'review')) as held_earnings
       FROM referrals r
       JOIN users u1 ON r.referrer_id = u1.id
       JOIN users u2 ON r.referred_id = u2.id
@@ -837,52 +1768,188 @@ app.get('/api/admin/referrals', adminAuthMiddleware, (req, res) => {
   }
 });
 
-// Update order status (admin panel - new endpoint with header auth)
-app.post('/api/admin/orders/:orderId/status', adminAuthMiddleware, (req, res) => {
+// Get referral programme rules (admin panel)
+app.get('/api/admin/referral-settings', adminAuthMiddleware, requireAdminPermission('cashback'), (req, res) => {
   try {
-    const { orderId } = req.params;
-    const { status, file_url } = req.body;
+    res.json(getReferralSettings());
+  } catch (error) {
+    console.error('Error getting referral settings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
+// Update referral programme rules (admin panel). Applies to orders paid from now on
+app.put('/api/admin/referral-settings', adminAuthMiddleware, requireAdminPermission('cashback'), (req, res) => {
+  try {
+    const previous = getReferralSettings();
+    const next = {};
 
-    // Update status and file_url if provided
-    if (file_url) {
-      db.prepare('UPDATE orders SET status = ?, file_url = ? WHERE id = ?').run(status, file_url, orderId);
-    } else {
-      db.prepare('UPDATE orders SET status = ? WHERE id = ?').run(status, orderId);
+    for (const field of REFERRAL_SETTING_FIELDS) {
+      const raw = req.body[field] === undefined ? previous[field] : req.body[field];
+      const value = raw === null || raw === '' ? null : Number(raw);
+      const optional = field === 'cap_per_referral' || field === 'lifetime_days';
+
+      if (value === null && !optional) {
+        return res.status(400).json({ error: 'invalid_settings', message: `Поле ${field} обязательно` });
+      }
+      if (value !== null && (!Number.isFinite(value) || value < 0)) {
+        return res.status(400).json({ error: 'invalid_settings', message: `Неверное значение ${field}` });
+      }
+      if (field.endsWith('_percent') && value > 100) {
+        return res.status(400).json({ error: 'invalid_settings', message: 'Процент не может быть больше 100' });
+      }
+      if ((field === 'lifetime_days' || field === 'hold_days') && value !== null && !Number.isInteger(value)) {
+        return res.status(400).json({ error: 'invalid_settings', message: 'Срок задаётся целым числом дней' });
+      }
+      // An empty cap or window means "no limit"
+      next[field] = optional && value === 0 ? null : value;
     }
 
-    // Notify user
-    notifyOrderStatus(order.user_id, orderId, status, file_url);
+    db.prepare(`
+      UPDATE referral_settings
+      SET first_order_percent = ?, repeat_order_percent = ?, second_tier_percent = ?, cap_per_referral = ?,
+        lifetime_days = ?, referee_discount_percent = ?, hold_days = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = 1
+    `).run(
+      next.first_order_percent, next.repeat_order_percent, next.second_tier_percent,
+      next.cap_per_referral, next.lifetime_days, next.referee_discount_percent, next.hold_days, adminActor(req)
+    );
 
-    res.json({ success: true });
+    const settings = getReferralSettings();
+    recordAdminAudit(req, 'referral.settings', { targetType: 'settings', targetId: 'referral', before: previous, after: settings });
+    res.json(settings);
   } catch (error) {
-    console.error('Error updating order status:', error);
+    console.error('Error updating referral settings:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Send notification (admin panel)
-app.post('/api/admin/notify', adminAuthMiddleware, async (req, res) => {
+// Commission history per order, filtered by referrals link, referrer or status (admin panel).
+// status=review is the queue of commissions flagged as possible self-referrals
+app.get('/api/admin/referral-earnings', adminAuthMiddleware, requireAdminPermission('cashback'), (req, res) => {
   try {
-    const { userId, title, message, sendTelegram } = req.body;
-    
-    if (userId === 'all') {
-      const users = db.prepare('SELECT * FROM users').all();
-      for (const user of users) {
-        db.prepare('INSERT INTO notifications (user_id, title, message) VALUES (?, ?, ?)').run(user.id, title, message);
-        if (sendTelegram && user.telegram_id) {
-          await bot.telegram.sendMessage(user.telegram_id, `${title}\n\n${message}`).catch(err => {
-            console.error(`Failed to send to ${user.telegram_id}:`, err.message);
-          });
-        }
-      }
-    } else {
-      const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
-      if (user) {
+    const conditions = [];
+    const params = [];
+    if (req.query.status) {
+      conditions.push('re.status = ?');
+      params.push(req.query.status);
+    }
+    if (req.query.referral_id) {
+      conditions.push('re.referral_id = ?');
+      params.push(req.query.referral_id);
+    }
+    if (req.query.referrer_id) {
+      conditions.push('re.referrer_id = ?');
+      params.push(req.query.referrer_id);
+    }
+
+    const earnings = db.prepare(`
+      SELECT re.*, u1.name as referrer_name, u1.trc20_wallet as referrer_wallet,
+        u2.name as referee_name, u2.trc20_wallet as referee_wallet, o.status as order_status
+      FROM referral_earnings re
+      JOIN users u1 ON u1.id = re.referrer_id
+      JOIN users u2 ON u2.id = re.referee_id
+      LEFT JOIN orders o ON o.id = re.order_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY re.created_at DESC, re.id DESC
+      LIMIT 500
+    `).all(...params);
+
+    res.json(earnings.map(earning => ({ ...earning, flags: parseReferralFlags(earning) })));
+  } catch (error) {
+    console.error('Error getting referral earnings:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update order status (admin panel - new endpoint with header auth)
+app.post('/api/admin/orders/:orderId/status', adminAuthMiddleware, requireAdminPermission('orders.manage'), (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { status, file_url, note } = req.body;
+
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (CLIENT_ONLY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'invalid_transition', message: 'Правки запрашивает клиент из приложения' });
+    }
+
+    const result = changeOrderStatus(order, status, adminActor(req), note || null);
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    // A link passed with the status is stored as a deliverable of the current version
+    if (file_url) {
+      addExternalDeliverable(orderId, file_url, {
+        version: getCurrentDeliverableVersion(orderId) || 1,
+        createdBy: adminActor(req)
+      });
+    }
+
+    recordAdminAudit(req, 'order.status', {
+      targetType: 'order',
+      targetId: orderId,
+      before: { status: order.status },
+      after: { status, note: note || null, file_url: file_url || null }
+    });
+
+    // Notify user
+    notifyOrderStatus(order.user_id, orderId, status);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get order status timeline (admin panel)
+app.get('/api/admin/orders/:orderId/history', adminAuthMiddleware, requireAdminPermission('orders.view'), (req, res) => {
+  try {
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      status: order.status,
+      allowed: (ORDER_TRANSITIONS[order.status] || []).filter(status => !CLIENT_ONLY_STATUSES.includes(status)),
+      history: getOrderStatusHistory(order.id)
+    });
+  } catch (error) {
+    console.error('Error getting order history:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send notification (admin panel)
+app.post('/api/admin/notify', adminAuthMiddleware, requireAdminPermission('messages'), async (req, res) => {
+  try {
+    const { userId, title, message, sendTelegram } = req.body;
+
+    recordAdminAudit(req, userId === 'all' ? 'notification.broadcast' : 'notification.send', {
+      targetType: userId === 'all' ? null : 'user',
+      targetId: userId === 'all' ? null : userId,
+      after: { title, message, sendTelegram: !!sendTelegram }
+    });
+    
+    if (userId === 'all') {
+      const users = db.prepare('SELECT * FROM users').all();
+      for (const user of users) {
+        db.prepare('INSERT INTO notifications (user_id, title, message) VALUES (?, ?, ?)').run(user.id, title, message);
+        if (sendTelegram && user.telegram_id) {
+          await bot.telegram.sendMessage(user.telegram_id, `${title}\n\n${message}`).catch(err => {
+            console.error(`Failed to send to ${user.telegram_id}:`, err.message);
+          });
+        }
+      }
+    } else {
+      const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+      if (user) {
         db.prepare('INSERT INTO notifications (user_id, title, message) VALUES (?, ?, ?)').run(userId, title, message);
         if (sendTelegram && user.telegram_id) {
           await bot.telegram.sendMessage(user.telegram_id, `${title}\n\n${message}`).catch(err => {
@@ -900,41 +1967,26 @@ app.post('/api/admin/notify', adminAuthMiddleware, async (req, res) => {
 });
 
 // Send message about order (admin panel)
-app.post('/api/admin/orders/:orderId/message', adminAuthMiddleware, async (req, res) => {
+app.post('/api/admin/orders/:orderId/message', adminAuthMiddleware, requireAdminPermission('messages'), async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { message } = req.body;
-    
-    const order = db.prepare(`
-      SELECT o.*, u.telegram_id, u.name, u.id as uid
-      FROM orders o
-      JOIN users u ON o.user_id = u.id
-      WHERE o.id = ?
-    `).get(orderId);
+    const message = (req.body.message || '').trim();
     
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+
+    if (!message) {
+      return res.status(400).json({ error: 'empty_message', message: 'Напишите сообщение' });
+    }
     
-    // Send Telegram message
-    const webAppUrl = process.env.WEBAPP_URL || 'https://white-agency-app.vercel.app';
-    await bot.telegram.sendMessage(order.telegram_id,
-      `💬 Сообщение по заказу #${orderId}\n\n${message}`,
-      {
-        reply_markup: {
-          inline_keyboard: [[
-            { text: '📱 Открыть в приложении', web_app: { url: webAppUrl } }
-          ]]
-        }
-      }
-    );
-    
-    // Save notification
-    db.prepare('INSERT INTO notifications (user_id, title, message) VALUES (?, ?, ?)').run(
-      order.uid, 
-      `Сообщение по заказу #${orderId}`, 
-      message
-    );
+    // Kept for older admin clients: the message goes into the order chat
+    const saved = addOrderMessage({ orderId, sender: 'manager', body: message, adminId: req.admin.id, source: 'admin' });
+
+    recordAdminAudit(req, 'order.message', { targetType: 'order', targetId: orderId, after: { message_id: saved.id, body: message } });
+
+    await relayManagerMessage(order, saved);
     
     res.json({ success: true });
   } catch (error) {
@@ -944,12 +1996,26 @@ app.post('/api/admin/orders/:orderId/message', adminAuthMiddleware, async (req,
 });
 
 // Mark referral as paid (admin panel)
-app.post('/api/admin/referrals/:referralId/paid', adminAuthMiddleware, (req, res) => {
+app.post('/api/admin/referrals/:referralId/paid', adminAuthMiddleware, requireAdminPermission('cashback'), (req, res) => {
   try {
     const { referralId } = req.params;
+    const referral = db.prepare('SELECT * FROM referrals WHERE id = ?').get(referralId);
     
-    // Reset earnings to 0 after payment
-    db.prepare('UPDATE referrals SET earnings = 0 WHERE id = ?').run(referralId);
+    // Reset earnings to 0 after payment and mark the paid commissions
+    db.transaction(() => {
+      db.prepare('UPDATE referrals SET earnings = 0 WHERE id = ?').run(referralId);
+      db.prepare(`
+        UPDATE referral_earnings SET paid_at = CURRENT_TIMESTAMP
+        WHERE referral_id = ? AND paid_at IS NULL AND status = 'available'
+      `).run(referralId);
+    })();
+
+    recordAdminAudit(req, 'referral.paid', {
+      targetType: 'referral',
+      targetId: referralId,
+      before: referral ? { earnings: referral.earnings } : null,
+      after: { earnings: 0 }
+    });
     
     res.json({ success: true });
   } catch (error) {
@@ -959,7 +2025,7 @@ app.post('/api/admin/referrals/:referralId/paid', adminAuthMiddleware, (req, res
 });
 
 // Get stats (admin panel)
-app.get('/api/admin/stats', adminAuthMiddleware, (req, res) => {
+app.get('/api/admin/stats', adminAuthMiddleware, requireAdminPermission('stats'), (req, res) => {
   try {
     const totalOrders = db.prepare('SELECT COUNT(*) as count FROM orders').get().count;
     const pendingOrders = db.prepare("SELECT COUNT(*) as count FROM orders WHERE status = 'pending'").get().count;
@@ -967,6 +2033,7 @@ app.get('/api/admin/stats', adminAuthMiddleware, (req, res) => {
     const completedOrders = db.prepare("SELECT COUNT(*) as count FROM orders WHERE status = 'completed'").get().count;
     const totalUsers = db.prepare('SELECT COUNT(*) as count FROM users').get().count;
     const totalRevenue = db.prepare("SELECT COALESCE(SUM(total), 0) as sum FROM orders WHERE status = 'completed'").get().sum;
+    const tips = db.prepare("SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as sum FROM tips WHERE status = 'paid'").get();
     
     res.json({
       totalOrders,
@@ -974,7 +2041,9 @@ app.get('/api/admin/stats', adminAuthMiddleware, (req, res) => {
       workingOrders,
       completedOrders,
       totalUsers,
-      totalRevenue
+      totalRevenue,
+      totalTips: tips.sum,
+      tipsCount: tips.count
     });
   } catch (error) {
     console.error('Error getting stats:', error);
@@ -990,33 +2059,18 @@ function generateRefCode(name) {
   return prefix + rand;
 }
 
+// After a payment the tier can only go up; downgrades happen in requalifyUserLevels
 function updateUserLevel(userId) {
   try {
     const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
     if (!user) return;
-    
-    const spent = user.total_spent;
-    
-    let newLevel = 'none';
-    if (spent >= 10000) newLevel = 'platinum';
-    else if (spent >= 1000) newLevel = 'gold';
-    else if (spent >= 500) newLevel = 'silver';
-    else if (spent >= 100) newLevel = 'bronze';
-    
-    if (newLevel !== user.level && newLevel !== 'none') {
-      db.prepare('UPDATE users SET level = ? WHERE id = ?').run(newLevel, userId);
-      
-      const discounts = { bronze: 5, silver: 10, gold: 15, platinum: 20 };
-      
-      db.prepare(`
-        INSERT INTO notifications (user_id, title, message)
-        VALUES (?, ?, ?)
-      `).run(userId, '🎉 Новый уровень!', `Теперь вы ${newLevel}. Скидка ${discounts[newLevel]}%`);
-      
-      // Send Telegram notification
-      bot.telegram.sendMessage(user.telegram_id, 
-        `🎉 Поздравляем! Вы достигли уровня ${newLevel.toUpperCase()}!\n\nТеперь ваша скидка: ${discounts[newLevel]}%`
-      ).catch(err => console.error('Failed to send level notification:', err.message));
+
+    const tiers = getLoyaltyTiers();
+    const spent = getQualifyingSpend(user);
+    const target = getTierForSpent(spent, tiers);
+
+    if (getTierRank(target.key, tiers) > getTierRank(user.level, tiers)) {
+      setUserLevel(user, target);
     }
   } catch (error) {
     console.error('Error updating user level:', error);
@@ -1033,66 +2087,262 @@ function notifyAdmin(message) {
   }
 }
 
-// Process referral payment after first order
-function processReferralPayment(userId) {
+// Referral programme rules, edited in the admin panel. Percentages are of the
+// order price before discounts; cap_per_referral limits what one referrer earns
+// from one referee, lifetime_days how long after joining their orders count,
+// hold_days how long a commission waits before it can be withdrawn.
+const REFERRAL_SETTING_FIELDS = [
+  'first_order_percent',
+  'repeat_order_percent',
+  'second_tier_percent',
+  'cap_per_referral',
+  'lifetime_days',
+  'referee_discount_percent',
+  'hold_days'
+];
+
+function getReferralSettings() {
+  return db.prepare('SELECT * FROM referral_settings WHERE id = 1').get() || {
+    first_order_percent: 25,
+    repeat_order_percent: 0,
+    second_tier_percent: 0,
+    cap_per_referral: null,
+    lifetime_days: null,
+    referee_discount_percent: 25,
+    hold_days: 7
+  };
+}
+
+// One line for the bot welcome message, e.g. "25% с первого заказа приглашенного друга, 5% с его следующих заказов"
+function describeReferralReward(settings) {
+  const parts = [`${settings.first_order_percent}% с первого заказа приглашенного друга`];
+  if (settings.repeat_order_percent > 0) {
+    parts.push(`${settings.repeat_order_percent}% с его следующих заказов`);
+  }
+  if (settings.second_tier_percent > 0) {
+    parts.push(`${settings.second_tier_percent}% с заказов друзей ваших друзей`);
+  }
+  return parts.join(', ');
+}
+
+// The rules shown to clients in the app and the bot
+function serializeReferralProgram(settings = getReferralSettings()) {
+  return {
+    firstOrderPercent: settings.first_order_percent,
+    repeatOrderPercent: settings.repeat_order_percent,
+    secondTierPercent: settings.second_tier_percent,
+    capPerReferral: settings.cap_per_referral,
+    lifetimeDays: settings.lifetime_days,
+    refereeDiscountPercent: settings.referee_discount_percent,
+    holdDays: settings.hold_days
+  };
+}
+
+function isWithinReferralWindow(referral, settings) {
+  if (!settings.lifetime_days) return true;
+  return Date.now() - parseDbDate(referral.created_at).getTime() <= settings.lifetime_days * 24 * 60 * 60 * 1000;
+}
+
+// Commission of one referrer for one order, capped per referral. Returns { amount, percent } or null
+function calculateReferralCommission(referrerId, refereeId, baseAmount, percent, settings) {
+  if (!(percent > 0) || !(baseAmount > 0)) return null;
+
+  let amount = roundMoney(baseAmount * percent / 100);
+  if (settings.cap_per_referral) {
+    const earned = db.prepare(`
+      SELECT COALESCE(SUM(amount), 0) as sum FROM referral_earnings
+      WHERE referrer_id = ? AND referee_id = ? AND status != 'rejected'
+    `).get(referrerId, refereeId).sum;
+    amount = roundMoney(Math.min(amount, settings.cap_per_referral - earned));
+  }
+
+  return amount > 0 ? { amount, percent } : null;
+}
+
+// Record referral commissions for a paid order invoice: the direct referrer gets the
+// first- or repeat-order percentage, the referrer's own referrer the second-tier
+// percentage of the same orders. Each order is commissioned once per tier.
+// Commissions are held for hold_days (see REFERRAL HOLDS) and suspicious ones
+// wait for an admin; with no hold and no flags they are credited right away.
+function processReferralPayment(invoice) {
   try {
-    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
-    if (!user || !user.referred_by) return;
-    
-    // Check if this is first order
-    const ordersCount = db.prepare('SELECT COUNT(*) as count FROM orders WHERE user_id = ?').get(userId).count;
-    if (ordersCount !== 1) return;
-    
-    const firstOrder = db.prepare('SELECT * FROM orders WHERE user_id = ? ORDER BY created_at LIMIT 1').get(userId);
-    if (!firstOrder) return;
+    if (invoice.revision_id || invoice.tip_id) return;
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(invoice.user_id);
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(invoice.order_id);
+    if (!user || !user.referred_by || !order) return;
+
+    // referred_by is a TEXT column, ids must be numbers to build ledger account names
+    const referrerId = Number(user.referred_by);
+    const referral = db.prepare('SELECT * FROM referrals WHERE referrer_id = ? AND referred_id = ?').get(referrerId, user.id);
+    const settings = getReferralSettings();
+    if (!referral || !isWithinReferralWindow(referral, settings)) return;
+
+    const paidOrdersBefore = db.prepare(`
+      SELECT COUNT(*) as count FROM orders
+      WHERE user_id = ? AND id != ? AND status IN (${PAID_STATUSES.map(() => '?').join(', ')})
+    `).get(user.id, order.id, ...PAID_STATUSES).count;
+    const isFirstOrder = paidOrdersBefore === 0;
 
     // Use subtotal (before discounts) or base_price if subtotal not available
-    const baseAmount = firstOrder.subtotal || firstOrder.base_price || firstOrder.total;
-    const referralAmount = baseAmount * 0.25; // 25% of original price
-    
-    // Update referrer earnings
-    db.prepare(`
-      UPDATE users SET referral_earnings = referral_earnings + ?
-      WHERE id = ?
-    `).run(referralAmount, user.referred_by);
-    
-    db.prepare(`
-      UPDATE referrals SET earnings = ?
-      WHERE referrer_id = ? AND referred_id = ?
-    `).run(referralAmount, user.referred_by, userId);
-    
-    const referrer = db.prepare('SELECT * FROM users WHERE id = ?').get(user.referred_by);
-    if (!referrer) return;
-    
-    // Notify referrer
-    db.prepare(`
-      INSERT INTO notifications (user_id, title, message)
-      VALUES (?, ?, ?)
-    `).run(referrer.id, '💰 Реферальный бонус!', `+$${referralAmount.toFixed(2)} за приглашённого ${user.name}`);
-    
-    const walletMessage = referrer.trc20_wallet 
-      ? 'Выплата будет отправлена на ваш TRC-20 кошелёк'
-      : '⚠️ Укажите TRC-20 кошелёк в настройках для получения выплаты';
-    
-    bot.telegram.sendMessage(referrer.telegram_id,
-      `💰 Реферальный бонус!\n\n${user.name} сделал первый заказ.\nВаш бонус: $${referralAmount.toFixed(2)}\n\n${walletMessage}`
-    ).catch(err => console.error('Failed to send referral notification:', err.message));
-    
-    // Notify admin about referral payment
-    notifyAdmin(
-      `💸 Реферальная выплата\n\n` +
-      `👤 Получатель: ${referrer.name} (@${referrer.username || 'no username'})\n` +
-      `💰 Сумма: $${referralAmount.toFixed(2)}\n` +
-      `💎 Кошелёк: ${referrer.trc20_wallet || 'НЕ УКАЗАН'}\n` +
-      `👥 За пользователя: ${user.name}`
-    );
+    const baseAmount = roundMoney(order.subtotal || order.base_price || order.total || 0);
+
+    const directPercent = isFirstOrder ? settings.first_order_percent : settings.repeat_order_percent;
+    const direct = calculateReferralCommission(referrerId, user.id, baseAmount, directPercent, settings);
+    if (!direct) return;
+
+    const payouts = [{ tier: 1, referral, referrerId, ...direct }];
+
+    // The second tier is paid on the same orders as the direct commission
+    const referrer = db.prepare('SELECT * FROM users WHERE id = ?').get(referrerId);
+    const upperReferrerId = referrer && referrer.referred_by ? Number(referrer.referred_by) : null;
+    if (upperReferrerId && upperReferrerId !== user.id) {
+      const upperReferral = db.prepare('SELECT * FROM referrals WHERE referrer_id = ? AND referred_id = ?').get(upperReferrerId, referrer.id);
+      const second = calculateReferralCommission(upperReferrerId, user.id, baseAmount, settings.second_tier_percent, settings);
+      if (upperReferral && second) {
+        payouts.push({ tier: 2, referral: upperReferral, referrerId: upperReferrerId, ...second });
+      }
+    }
+
+    for (const payout of payouts) {
+      const flags = detectReferralFraud(payout.referrerId, user, payout.referral, isFirstOrder);
+
+      const earning = db.transaction(() => {
+        const result = db.prepare(`
+          INSERT OR IGNORE INTO referral_earnings
+            (referral_id, referrer_id, referee_id, order_id, tier, base_amount, percent, amount, status, available_at, flags)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime(CURRENT_TIMESTAMP, ?), ?)
+        `).run(
+          payout.referral.id, payout.referrerId, user.id, order.id, payout.tier, baseAmount, payout.percent, payout.amount,
+          flags.length > 0 ? 'review' : 'held', `+${settings.hold_days || 0} days`,
+          flags.length > 0 ? JSON.stringify(flags) : null
+        );
+        if (result.changes === 0) return null;
+
+        const created = db.prepare('SELECT * FROM referral_earnings WHERE id = ?').get(result.lastInsertRowid);
+        if (created.status === 'held' && !(settings.hold_days > 0)) {
+          creditReferralEarning(created);
+        }
+        return db.prepare('SELECT * FROM referral_earnings WHERE id = ?').get(created.id);
+      })();
+      if (!earning) continue;
+
+      notifyReferralPayout(db.prepare('SELECT * FROM users WHERE id = ?').get(payout.referrerId), user, payout, isFirstOrder, earning);
+    }
   } catch (error) {
     console.error('Error processing referral payment:', error);
   }
 }
 
+function notifyReferralPayout(referrer, user, payout, isFirstOrder, earning) {
+  if (!referrer) return;
+
+  const amount = payout.amount.toFixed(2);
+  const source = payout.tier === 1
+    ? `${user.name} сделал ${isFirstOrder ? 'первый ' : ''}заказ.`
+    : `${user.name}, приглашённый вашим рефералом, сделал заказ.`;
+
+  db.prepare(`
+    INSERT INTO notifications (user_id, title, message)
+    VALUES (?, ?, ?)
+  `).run(referrer.id, '💰 Реферальный бонус!', `+$${amount} за ${payout.tier === 1 ? 'приглашённого' : 'реферала 2-го уровня'} ${user.name}`);
+
+  const walletMessage = referrer.trc20_wallet
+    ? 'Выплата будет отправлена на ваш TRC-20 кошелёк'
+    : '⚠️ Укажите TRC-20 кошелёк в настройках для получения выплаты';
+  const holdMessage = earning.status === 'available'
+    ? ''
+    : earning.status === 'review'
+      ? 'Бонус станет доступен к выводу после проверки.\n'
+      : `Бонус станет доступен к выводу ${formatDocumentDate(earning.available_at)}.\n`;
+
+  bot.telegram.sendMessage(referrer.telegram_id,
+    `💰 Реферальный бонус!\n\n${source}\nВаш бонус: $${amount} (${payout.percent}%)\n\n${holdMessage}${walletMessage}`
+  ).catch(err => console.error('Failed to send referral notification:', err.message));
+
+  const flags = parseReferralFlags(earning);
+  notifyAdmin(
+    `${flags.length > 0 ? '⚠️ Реферальное начисление на проверке' : '💸 Реферальная выплата'}\n\n` +
+    `👤 Получатель: ${referrer.name} (@${referrer.username || 'no username'})\n` +
+    `💰 Сумма: $${amount} (${payout.percent}%, уровень ${payout.tier})\n` +
+    `💎 Кошелёк: ${referrer.trc20_wallet || 'НЕ УКАЗАН'}\n` +
+    `👥 За пользователя: ${user.name}` +
+    (flags.length > 0 ? `\n\n🚩 ${flags.map(flag => flag.detail).join('\n🚩 ')}` : '')
+  );
+}
+
+// Mark an invoice paid and run the reward pipeline (cashback, level, referral).
+// actor: who confirmed the payment, e.g. 'user:12' or 'watcher'
+// method: 'usdt' or 'ton'
+function confirmInvoicePayment(invoice, txHash, actor, method = 'usdt') {
+  if (invoice.tip_id) {
+    confirmTipPayment(invoice, txHash, actor, method);
+    return;
+  }
+
+  const id = invoice.id;
+  const orderId = getInvoiceOrderId(invoice);
+
+  db.transaction(() => {
+    // Update invoice status
+    db.prepare('UPDATE invoices SET status = ?, tx_hash = ?, payment_method = ?, paid_at = CURRENT_TIMESTAMP WHERE id = ?').run('paid', txHash, method, id);
+
+    // An extra revision opens once paid; a regular invoice moves the order to working
+    const paidOrder = invoice.revision_id ? null : db.prepare('SELECT * FROM orders WHERE id = ?').get(invoice.order_id);
+    if (invoice.revision_id) {
+      const revision = db.prepare('SELECT * FROM order_revisions WHERE id = ?').get(invoice.revision_id);
+      const revisionResult = activateRevision(revision, actor, `Правка #${revision.number}, оплата по счёту #${id}`);
+      if (revisionResult.error) {
+        console.error(`Revision ${invoice.revision_id} not opened:`, revisionResult.message);
+      }
+    } else if (paidOrder) {
+      db.prepare('UPDATE orders SET tx_hash = ? WHERE id = ?').run(txHash, invoice.order_id);
+      const statusResult = changeOrderStatus({ ...paidOrder, tx_hash: txHash }, 'working', actor, `Оплата по счёту #${id}`);
+      if (statusResult.error) {
+        console.error(`Order ${invoice.order_id} status not changed:`, statusResult.message);
+      }
+    }
+
+    // NOW PROCESS PAYMENT REWARDS (cashback, referrals, level)
+    // Cashback at the rate of the tier the client had when paying
+    const payer = db.prepare('SELECT level FROM users WHERE id = ?').get(invoice.user_id);
+    const cashbackAmount = roundMoney(invoice.amount * getLoyaltyTier(payer && payer.level).cashback_percent / 100);
+
+    db.prepare('UPDATE users SET total_spent = total_spent + ? WHERE id = ?').run(invoice.amount, invoice.user_id);
+
+    postUserBalance(invoice.user_id, 'cashback', cashbackAmount, {
+      type: 'order_cashback',
+      refType: 'invoice',
+      refId: id,
+      description: `Кешбэк за заказ #${orderId}`
+    });
+
+    // Send notification to user
+    db.prepare(`
+      INSERT INTO notifications (user_id, title, message)
+      VALUES (?, ?, ?)
+    `).run(invoice.user_id, '✅ Оплата подтверждена', `Счет #${id} оплачен. ${invoice.revision_id ? 'Правки приняты в работу!' : 'Заказ принят в работу!'}`);
+  })();
+
+  // Check and update user level
+  updateUserLevel(invoice.user_id);
+
+  // Referral commissions for the order
+  processReferralPayment(invoice);
+
+  // Notify admin
+  notifyAdmin(
+    `✅ Оплата подтверждена\n\n` +
+    `Счет: #${id}\n` +
+    `Заказ: #${orderId}${invoice.revision_id ? ' (доп. правка)' : ''}\n` +
+    `Сумма: $${invoice.final_amount}${method === 'ton' ? ` (${invoice.ton_amount} TON)` : method === 'stars' ? ` (${invoice.stars_amount} ⭐)` : ''}\n` +
+    `TxHash: ${txHash}\n` +
+    `Подтвердил: ${actor}`
+  );
+}
+
 // Notify user about order status
-async function notifyOrderStatus(userId, orderId, status, fileUrl = null) {
+async function notifyOrderStatus(userId, orderId, status) {
   try {
     const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
     if (!user) return;
@@ -1101,15 +2351,17 @@ async function notifyOrderStatus(userId, orderId, status, fileUrl = null) {
       pending: { emoji: '⏳', text: 'Заказ ожидает обработки' },
       working: { emoji: '🎨', text: 'Ваш заказ в работе!' },
       completed: { emoji: '✅', text: 'Ваш заказ готов!' },
+      revision: { emoji: '✏️', text: 'Заказ на доработке' },
       cancelled: { emoji: '❌', text: 'Заказ отменён' }
     };
 
     const statusInfo = statuses[status] || { emoji: '📦', text: 'Статус заказа обновлён' };
+    const deliverables = status === 'completed' ? getOrderDeliverables(orderId, { latestOnly: true }) : [];
 
     // Build notification message
     let notificationMsg = `Заказ #${orderId}`;
-    if (fileUrl && status === 'completed') {
-      notificationMsg += `\n\n📎 Файлы готовы: ${fileUrl}`;
+    if (deliverables.length > 0) {
+      notificationMsg += `\n\n📎 Файлы готовы (${deliverables.length}) — в разделе «Ваши работы»`;
     }
 
     // Add notification to DB
@@ -1122,15 +2374,18 @@ async function notifyOrderStatus(userId, orderId, status, fileUrl = null) {
     const webAppUrl = process.env.WEBAPP_URL || 'https://white-agency-app.vercel.app';
     let telegramMsg = `${statusInfo.emoji} ${statusInfo.text}\n\nЗаказ #${orderId}`;
 
-    if (fileUrl && status === 'completed') {
-      telegramMsg += `\n\n📎 Скачать файлы:\n${fileUrl}`;
+    if (deliverables.length > 0) {
+      telegramMsg += `\n\n📎 Файлов готово: ${deliverables.length}`;
     }
 
     const buttons = [[{ text: '📱 Открыть в приложении', web_app: { url: webAppUrl } }]];
 
-    // Add download button if file URL is provided
-    if (fileUrl && status === 'completed') {
-      buttons.push([{ text: '📥 Скачать файлы', url: fileUrl }]);
+    // Files open in the app gallery; external links (Drive, Dropbox) don't expire and get their own buttons
+    if (deliverables.length > 0) {
+      buttons.push([{ text: '🖼️ Ваши работы', web_app: { url: `${webAppUrl}#gallery` } }]);
+      deliverables
+        .filter(d => d.external_url)
+        .forEach(d => buttons.push([{ text: `📥 ${d.caption || 'Скачать файлы'}`, url: d.external_url }]));
     }
 
     await bot.telegram.sendMessage(user.telegram_id, telegramMsg, {
@@ -1148,6 +2403,7 @@ async function notifyOrderStatus(userId, orderId, status, fileUrl = null) {
 bot.command('start', async (ctx) => {
   try {
     const refCode = ctx.message.text.split(' ')[1];
+    const referral = getReferralSettings();
 
     // Save pending referral
     if (refCode) {
@@ -1170,7 +2426,7 @@ bot.command('start', async (ctx) => {
 
           // Send Telegram notification
           bot.telegram.sendMessage(referrer.telegram_id,
-            `🎉 По вашей реферальной ссылке перешёл ${userName}!\n\nКогда он сделает первый заказ, вы получите 25% от его суммы.`
+            `🎉 По вашей реферальной ссылке перешёл ${userName}!\n\nКогда он сделает первый заказ, вы получите ${referral.first_order_percent}% от его суммы.`
           ).catch(err => console.error('Failed to send referral notification:', err.message));
         }
       }
@@ -1183,6 +2439,7 @@ bot.command('start', async (ctx) => {
       ]]
     };
 
+    const tiers = getLoyaltyTiers();
     const welcomeMessage =
       `👋 Добро пожаловать в *White Agency*!\n\n` +
       `Мы делаем креативы под результат для:\n` +
@@ -1191,11 +2448,11 @@ bot.command('start', async (ctx) => {
       `• 📦 Товарка\n` +
       `• 💼 Вакансии / Лидген\n` +
       `• И другие ниши\n\n` +
-      `${refCode ? '🎁 *Вас пригласил друг!*\nПолучите скидку 25% на первый заказ!\n\n' : ''}` +
+      `${refCode && referral.referee_discount_percent > 0 ? `🎁 *Вас пригласил друг!*\nПолучите скидку ${referral.referee_discount_percent}% на первый заказ!\n\n` : ''}` +
       `✨ *Что вы получите:*\n` +
-      `• Скидки до 20% по программе лояльности\n` +
-      `• 5% кешбэк с каждого заказа\n` +
-      `• 25% с первого заказа приглашенного друга\n\n` +
+      `• Скидки до ${Math.max(...tiers.map(tier => tier.discount_percent))}% по программе лояльности\n` +
+      `• ${formatCashbackRange(tiers)} кешбэк с каждого заказа\n` +
+      `• ${describeReferralReward(referral)}\n\n` +
       `👇 *Нажмите кнопку ниже, чтобы начать*`;
 
     await ctx.reply(welcomeMessage, {
@@ -1243,7 +2500,7 @@ bot.command('prices', async (ctx) => {
       `📱 UGC-видео — от $100\n` +
       `🎞 GIF/Анимация — от $15\n` +
       `💻 Дизайн лендинга — от $200\n\n` +
-      `➕ *5% кешбэк* с каждого заказа!`,
+      `➕ *${formatCashbackRange(getLoyaltyTiers())} кешбэк* с каждого заказа!`,
       {
         parse_mode: 'Markdown',
         reply_markup: {
@@ -1308,6 +2565,44 @@ bot.command('support', async (ctx) => {
   }
 });
 
+// Replies to a relayed manager message go into that order's chat
+bot.on('message', async (ctx, next) => {
+  const replyTo = ctx.message.reply_to_message;
+  if (!replyTo || replyTo.from?.id !== ctx.botInfo.id) return next();
+
+  try {
+    const thread = db.prepare(`
+      SELECT m.order_id, o.*, u.id as uid
+      FROM order_messages m
+      JOIN orders o ON m.order_id = o.id
+      JOIN users u ON o.user_id = u.id
+      WHERE m.telegram_message_id = ? AND u.telegram_id = ?
+    `).get(replyTo.message_id, ctx.from.id.toString());
+    if (!thread) return next();
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(thread.uid);
+    const body = (ctx.message.text || ctx.message.caption || '').trim();
+    const file = await storeTelegramAttachment(ctx.message, user, thread.order_id);
+    if (!body && !file) {
+      await ctx.reply('⚠️ Этот тип сообщения не поддерживается. Отправьте текст, фото или файл.');
+      return;
+    }
+
+    const message = db.transaction(() => addOrderMessage({
+      orderId: thread.order_id,
+      sender: 'client',
+      body,
+      fileIds: file ? [file.id] : [],
+      source: 'telegram'
+    }))();
+
+    notifyAdminAboutMessage(thread, user, message);
+    await ctx.reply(`✅ Сообщение добавлено в чат заказа #${thread.order_id}`);
+  } catch (error) {
+    console.error('Error handling order chat reply:', error);
+  }
+});
+
 // Handle any errors
 bot.catch((err, ctx) => {
   console.error('Bot error:', err);
@@ -1357,9 +2652,10 @@ app.get('/api/settings', (req, res) => {
 });
 
 // Update app settings (admin only)
-app.post('/api/admin/settings', adminAuthMiddleware, (req, res) => {
+app.post('/api/admin/settings', adminAuthMiddleware, requireAdminPermission('settings'), (req, res) => {
   try {
     const { services, prices, form_fields } = req.body;
+    const previous = db.prepare('SELECT services, prices, form_fields FROM app_settings WHERE id = 1').get();
 
     db.prepare(`
       INSERT OR REPLACE INTO app_settings (id, services, prices, form_fields, updated_at)
@@ -1370,6 +2666,17 @@ app.post('/api/admin/settings', adminAuthMiddleware, (req, res) => {
       JSON.stringify(form_fields || [])
     );
 
+    recordAdminAudit(req, 'settings.update', {
+      targetType: 'settings',
+      targetId: 1,
+      before: previous ? {
+        services: JSON.parse(previous.services || '[]'),
+        prices: JSON.parse(previous.prices || '{}'),
+        form_fields: JSON.parse(previous.form_fields || '[]')
+      } : null,
+      after: { services: services || [], prices: prices || {}, form_fields: form_fields || [] }
+    });
+
     res.json({ success: true });
   } catch (error) {
     console.error('Update settings error:', error);
@@ -1377,97 +2684,649 @@ app.post('/api/admin/settings', adminAuthMiddleware, (req, res) => {
   }
 });
 
-// ==================== PRODUCTS ====================
+// ==================== CURRENCIES ====================
 
-// Get all products (public)
-app.get('/api/products', (req, res) => {
-  try {
-    const products = db.prepare('SELECT * FROM products WHERE is_active = 1 ORDER BY sort_order, id').all();
-    res.json(products);
-  } catch (error) {
-    console.error('Get products error:', error);
-    res.status(500).json({ error: 'Failed to get products' });
+// Prices are stored in USD and invoices settle in USDT. Other currencies are for display only;
+// a currency's rate is units per 1 USD, set by admins or refreshed from FIAT_RATE_PROVIDER.
+const BASE_CURRENCY = { code: 'USD', symbol: '$', rate: 1, decimals: 2 };
+const SETTLEMENT_CURRENCY = 'USDT';
+const FIAT_RATE_REFRESH_MS = (parseInt(process.env.FIAT_RATE_REFRESH_HOURS) || 6) * 60 * 60 * 1000;
+
+const fiatRateProvider = process.env.FIAT_RATE_PROVIDER
+  ? createRateProvider(process.env.FIAT_RATE_PROVIDER)
+  : null;
+
+let currencyRefreshTimer = null;
+
+// Unknown or disabled currencies fall back to USD
+function getCurrency(code) {
+  const currency = code && db.prepare('SELECT * FROM currencies WHERE code = ? AND is_active = 1').get(code);
+  return currency || BASE_CURRENCY;
+}
+
+function serializeCurrency(currency) {
+  return {
+    code: currency.code,
+    symbol: currency.symbol,
+    rate: currency.rate,
+    decimals: currency.decimals
+  };
+}
+
+function convertFromUsd(amount, currency) {
+  const factor = Math.pow(10, currency.decimals);
+  return Math.round(amount * currency.rate * factor) / factor;
+}
+
+// "$12.00", "1104 ₽"
+function formatMoney(amount, currency) {
+  const value = Number(amount).toFixed(currency.decimals);
+  return currency.code === BASE_CURRENCY.code ? `${currency.symbol}${value}` : `${value} ${currency.symbol}`;
+}
+
+// Freeze the client's currency and today's rate on a new invoice
+function recordInvoiceDisplayCurrency(invoiceId) {
+  const invoice = db.prepare(`
+    SELECT i.final_amount, u.currency FROM invoices i
+    LEFT JOIN users u ON i.user_id = u.id
+    WHERE i.id = ?
+  `).get(invoiceId);
+  const currency = getCurrency(invoice.currency);
+
+  db.prepare(`
+    UPDATE invoices SET settlement_currency = ?, display_currency = ?, display_rate = ?, display_amount = ?
+    WHERE id = ?
+  `).run(SETTLEMENT_CURRENCY, currency.code, currency.rate, convertFromUsd(invoice.final_amount, currency), invoiceId);
+}
+
+// "$12.00" or "$12.00 (≈ 1104 ₽)" using the rate stored on the invoice
+function formatInvoiceAmount(invoice) {
+  const usd = formatMoney(invoice.final_amount, BASE_CURRENCY);
+  if (!invoice.display_currency || invoice.display_currency === BASE_CURRENCY.code) return usd;
+
+  const currency = db.prepare('SELECT * FROM currencies WHERE code = ?').get(invoice.display_currency) ||
+    { code: invoice.display_currency, symbol: invoice.display_currency, decimals: 2 };
+  return `${usd} (≈ ${formatMoney(invoice.display_amount, currency)})`;
+}
+
+// Update auto-updated currencies from the provider. Returns the codes that changed.
+async function refreshCurrencyRates(actor) {
+  if (!fiatRateProvider) {
+    throw new Error('FIAT_RATE_PROVIDER is not configured');
   }
-});
 
-// Get all products (admin - including inactive)
-app.get('/api/admin/products', adminAuthMiddleware, (req, res) => {
-  try {
-    const products = db.prepare('SELECT * FROM products ORDER BY sort_order, id').all();
-    res.json(products);
-  } catch (error) {
-    console.error('Get products error:', error);
-    res.status(500).json({ error: 'Failed to get products' });
+  const currencies = db.prepare('SELECT * FROM currencies WHERE auto_update = 1 AND code != ?').all(BASE_CURRENCY.code);
+  const updated = [];
+  for (const currency of currencies) {
+    try {
+      const { rate, source } = await fiatRateProvider.getRate(currency.code);
+      db.prepare(`
+        UPDATE currencies SET rate = ?, source = ?, updated_at = CURRENT_TIMESTAMP, updated_by = ?
+        WHERE code = ?
+      `).run(1 / rate, source, actor, currency.code);
+      updated.push(currency.code);
+    } catch (error) {
+      console.error(`Currency ${currency.code} not refreshed:`, error.message);
+    }
   }
-});
+  return updated;
+}
 
-// Create product (admin only)
-app.post('/api/admin/products', adminAuthMiddleware, (req, res) => {
-  try {
-    const { name, description, price, icon, sort_order } = req.body;
+function startCurrencyRefresh() {
+  if (currencyRefreshTimer || !fiatRateProvider) return;
 
-    const result = db.prepare(`
-      INSERT INTO products (name, description, price, icon, sort_order)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(name, description || '', price, icon || '🎨', sort_order || 0);
+  const refresh = () => refreshCurrencyRates('auto').catch(err => console.error('Currency refresh error:', err.message));
+  console.log(`💱 Currency rates refresh started (${fiatRateProvider.name}, every ${FIAT_RATE_REFRESH_MS / 3600000}h)`);
+  currencyRefreshTimer = setInterval(refresh, FIAT_RATE_REFRESH_MS);
+  refresh();
+}
 
-    const product = db.prepare('SELECT * FROM products WHERE id = ?').get(result.lastInsertRowid);
-    res.json(product);
+// Currencies the client can pick
+app.get('/api/currencies', (req, res) => {
+  try {
+    const currencies = db.prepare('SELECT * FROM currencies WHERE is_active = 1 ORDER BY code = ? DESC, code').all(BASE_CURRENCY.code);
+    res.json(currencies.map(serializeCurrency));
   } catch (error) {
-    console.error('Create product error:', error);
-    res.status(500).json({ error: 'Failed to create product' });
+    console.error('Get currencies error:', error);
+    res.status(500).json({ error: 'Failed to get currencies' });
   }
 });
 
-// Update product (admin only)
-app.put('/api/admin/products/:id', adminAuthMiddleware, (req, res) => {
+// Set the client's display currency
+app.put('/api/user/currency', authMiddleware, (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, description, price, icon, sort_order, is_active } = req.body;
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    db.prepare(`
-      UPDATE products
-      SET name = ?, description = ?, price = ?, icon = ?, sort_order = ?, is_active = ?
-      WHERE id = ?
-    `).run(name, description, price, icon, sort_order, is_active ? 1 : 0, id);
+    const code = String(req.body.currency || '').toUpperCase();
+    const currency = db.prepare('SELECT * FROM currencies WHERE code = ? AND is_active = 1').get(code);
+    if (!currency) {
+      return res.status(400).json({ error: 'invalid_currency', message: 'Валюта не поддерживается' });
+    }
 
-    const product = db.prepare('SELECT * FROM products WHERE id = ?').get(id);
-    res.json(product);
+    db.prepare('UPDATE users SET currency = ? WHERE id = ?').run(currency.code, user.id);
+    res.json({ success: true, currency: serializeCurrency(currency) });
   } catch (error) {
-    console.error('Update product error:', error);
-    res.status(500).json({ error: 'Failed to update product' });
+    console.error('Set currency error:', error);
+    res.status(500).json({ error: 'Failed to set currency' });
   }
 });
 
-// Delete product (admin only)
-app.delete('/api/admin/products/:id', adminAuthMiddleware, (req, res) => {
+// All currencies with their rate source (admin)
+app.get('/api/admin/currencies', adminAuthMiddleware, requireAdminPermission('settings'), (req, res) => {
   try {
-    const { id } = req.params;
-    db.prepare('DELETE FROM products WHERE id = ?').run(id);
-    res.json({ success: true });
+    const currencies = db.prepare('SELECT * FROM currencies ORDER BY code = ? DESC, code').all(BASE_CURRENCY.code);
+    res.json({ currencies, provider: fiatRateProvider ? fiatRateProvider.name : null });
   } catch (error) {
-    console.error('Delete product error:', error);
-    res.status(500).json({ error: 'Failed to delete product' });
+    console.error('Get admin currencies error:', error);
+    res.status(500).json({ error: 'Failed to get currencies' });
   }
 });
 
-// Test notification endpoint (admin only)
-app.post('/api/admin/test-notification', adminAuthMiddleware, async (req, res) => {
+// Add or update a currency (admin). A rate set by hand stays until auto_update is turned back on.
+app.put('/api/admin/currencies/:code', adminAuthMiddleware, requireAdminPermission('settings'), (req, res) => {
   try {
-    const { user_id } = req.body;
+    const code = req.params.code.toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) {
+      return res.status(400).json({ error: 'invalid_code', message: 'Код валюты — три латинские буквы (ISO 4217)' });
+    }
 
-    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(user_id);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const previous = db.prepare('SELECT * FROM currencies WHERE code = ?').get(code);
+    const { symbol, rate, decimals, auto_update, is_active } = req.body;
+
+    const isBase = code === BASE_CURRENCY.code;
+    const newRate = isBase ? 1 : parseFloat(rate ?? previous?.rate);
+    if (!(newRate > 0)) {
+      return res.status(400).json({ error: 'invalid_rate', message: 'Курс должен быть больше нуля' });
     }
 
-    if (!user.telegram_id) {
-      return res.status(400).json({ error: 'User has no telegram_id' });
+    const newSymbol = (symbol ?? previous?.symbol ?? '').trim();
+    if (!newSymbol) {
+      return res.status(400).json({ error: 'symbol_required', message: 'Укажите символ валюты' });
     }
 
-    console.log('Testing notification to user:', user.telegram_id);
+    const newDecimals = Math.min(Math.max(parseInt(decimals ?? previous?.decimals ?? 2) || 0, 0), 4);
+    const autoUpdate = isBase ? 0 : (auto_update ?? previous?.auto_update ?? 0) ? 1 : 0;
+    const isActive = isBase ? 1 : (is_active ?? previous?.is_active ?? 1) ? 1 : 0;
+    const rateChanged = !previous || previous.rate !== newRate;
 
-    const webAppUrl = process.env.WEB_APP_URL || 'https://white-agency-app-production.up.railway.app';
+    db.prepare(`
+      INSERT INTO currencies (code, symbol, rate, decimals, auto_update, is_active, source, updated_by)
+      VALUES (?, ?, ?, ?, ?, ?, 'manual', ?)
+      ON CONFLICT(code) DO UPDATE SET
+        symbol = excluded.symbol,
+        rate = excluded.rate,
+        decimals = excluded.decimals,
+        auto_update = excluded.auto_update,
+        is_active = excluded.is_active,
+        source = CASE WHEN ? THEN 'manual' ELSE currencies.source END,
+        updated_at = CURRENT_TIMESTAMP,
+        updated_by = excluded.updated_by
+    `).run(code, newSymbol, newRate, newDecimals, autoUpdate, isActive, adminActor(req), rateChanged ? 1 : 0);
+
+    const currency = db.prepare('SELECT * FROM currencies WHERE code = ?').get(code);
+    recordAdminAudit(req, 'currency.update', {
+      targetType: 'currency',
+      targetId: code,
+      before: previous || null,
+      after: currency
+    });
+
+    res.json({ success: true, currency });
+  } catch (error) {
+    console.error('Update currency error:', error);
+    res.status(500).json({ error: 'Failed to update currency' });
+  }
+});
+
+// Pull rates from the provider now (admin)
+app.post('/api/admin/currencies/refresh', adminAuthMiddleware, requireAdminPermission('settings'), async (req, res) => {
+  try {
+    if (!fiatRateProvider) {
+      return res.status(400).json({ error: 'no_provider', message: 'Источник курсов не настроен (FIAT_RATE_PROVIDER)' });
+    }
+
+    const updated = await refreshCurrencyRates(adminActor(req));
+    recordAdminAudit(req, 'currency.refresh', { after: { provider: fiatRateProvider.name, updated } });
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error('Refresh currencies error:', error);
+    res.status(500).json({ error: 'Failed to refresh currencies' });
+  }
+});
+
+// ==================== LOYALTY TIERS ====================
+
+// Tiers are edited in the admin panel and ordered by min_spent: a client is on the
+// highest tier their qualifying spend reaches. That spend is total_spent or, with
+// requalification on, what they paid in the last requalification_months months.
+// Payments only move clients up; the periodic requalification pass also moves
+// them down. Every change is sent to the client in the app and the bot.
+
+const BASE_LOYALTY_TIER = 'none';
+const LOYALTY_TIER_KEY_REGEX = /^[a-z][a-z0-9_]{1,19}$/;
+const MAX_REQUALIFICATION_MONTHS = 36;
+const MAX_TIER_PERKS = 10;
+const LOYALTY_REQUALIFY_INTERVAL_MS = parseInt(process.env.LOYALTY_REQUALIFY_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+let loyaltyRequalifyTimer = null;
+
+function parseTierPerks(tier) {
+  try {
+    return JSON.parse(tier.perks || '[]');
+  } catch (error) {
+    return [];
+  }
+}
+
+function getLoyaltyTiers() {
+  return db.prepare('SELECT * FROM loyalty_tiers ORDER BY min_spent, key').all()
+    .map(tier => ({ ...tier, perks: parseTierPerks(tier) }));
+}
+
+// Unknown or removed tiers count as the base tier
+function getLoyaltyTier(key, tiers = getLoyaltyTiers()) {
+  return tiers.find(tier => tier.key === key) || tiers.find(tier => tier.key === BASE_LOYALTY_TIER) || tiers[0];
+}
+
+function getTierRank(key, tiers) {
+  return tiers.findIndex(tier => tier.key === key);
+}
+
+function getTierForSpent(spent, tiers) {
+  const amount = roundMoney(spent || 0);
+  return tiers.filter(tier => amount >= tier.min_spent).pop() || getLoyaltyTier(BASE_LOYALTY_TIER, tiers);
+}
+
+function getLoyaltySettings() {
+  return db.prepare('SELECT * FROM loyalty_settings WHERE id = 1').get() || {
+    requalification_enabled: 0,
+    requalification_months: 12
+  };
+}
+
+// Paid order and revision invoices of the requalification window; tips don't count, as in total_spent
+function getQualifyingSpend(user, settings = getLoyaltySettings()) {
+  if (!settings.requalification_enabled) return roundMoney(user.total_spent || 0);
+
+  return roundMoney(db.prepare(`
+    SELECT COALESCE(SUM(amount), 0) as sum FROM invoices
+    WHERE user_id = ? AND status = 'paid' AND tip_id IS NULL AND paid_at >= datetime('now', ?)
+  `).get(user.id, `-${settings.requalification_months} months`).sum);
+}
+
+function serializeLoyaltyTier(tier) {
+  return {
+    key: tier.key,
+    name: tier.name,
+    minSpent: tier.min_spent,
+    discountPercent: tier.discount_percent,
+    cashbackPercent: tier.cashback_percent,
+    perks: tier.perks
+  };
+}
+
+// "5%" or "5–10%" for the bot copy
+function formatCashbackRange(tiers) {
+  const rates = tiers.map(tier => tier.cashback_percent);
+  const min = Math.min(...rates);
+  const max = Math.max(...rates);
+  return min === max ? `${min}%` : `${min}–${max}%`;
+}
+
+// Move a client to a tier and tell them. Upgrades come without a note;
+// a downgrade or a move off a removed tier says why in note
+function setUserLevel(user, tier, note = null) {
+  db.prepare('UPDATE users SET level = ? WHERE id = ?').run(tier.key, user.id);
+
+  const terms = `Скидка ${tier.discount_percent}%, кешбэк ${tier.cashback_percent}%.` +
+    (tier.perks.length > 0 ? `\n${tier.perks.map(perk => `• ${perk}`).join('\n')}` : '');
+
+  if (note) {
+    notifyClient(user.id, '📉 Уровень изменён', `Ваш уровень теперь ${tier.name}: ${note}.\n${terms}`);
+  } else {
+    notifyClient(user.id, '🎉 Новый уровень!', `Поздравляем! Вы достигли уровня ${tier.name}.\n${terms}`);
+  }
+}
+
+// One requalification pass over all clients. Without requalification it only
+// catches up upgrades (e.g. after a threshold was lowered) and clients whose tier was removed
+function requalifyUserLevels() {
+  const summary = { upgraded: 0, downgraded: 0 };
+  const tiers = getLoyaltyTiers();
+  const settings = getLoyaltySettings();
+
+  for (const user of db.prepare('SELECT * FROM users').all()) {
+    try {
+      const spent = getQualifyingSpend(user, settings);
+      const target = getTierForSpent(spent, tiers);
+      const currentRank = getTierRank(user.level, tiers);
+      const targetRank = getTierRank(target.key, tiers);
+      if (target.key === user.level) continue;
+
+      if (currentRank === -1) {
+        setUserLevel(user, target, 'прежний уровень больше не действует');
+        summary[targetRank > 0 ? 'upgraded' : 'downgraded']++;
+      } else if (targetRank > currentRank) {
+        setUserLevel(user, target);
+        summary.upgraded++;
+      } else if (settings.requalification_enabled) {
+        setUserLevel(user, target, `за последние ${settings.requalification_months} мес. оплачено заказов на $${spent.toFixed(2)}`);
+        summary.downgraded++;
+      }
+    } catch (error) {
+      console.error(`Loyalty requalification error (user ${user.id}):`, error.message);
+    }
+  }
+
+  if (summary.upgraded || summary.downgraded) {
+    console.log(`🏅 Loyalty requalification: ${summary.upgraded} upgraded, ${summary.downgraded} downgraded`);
+  }
+  return summary;
+}
+
+function startLoyaltyRequalification() {
+  if (loyaltyRequalifyTimer || process.env.LOYALTY_REQUALIFY === 'off') return;
+
+  loyaltyRequalifyTimer = setInterval(requalifyUserLevels, LOYALTY_REQUALIFY_INTERVAL_MS);
+  requalifyUserLevels();
+}
+
+// Perks come as a list or as text with one perk per line
+function parseTierPerksInput(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split('\n');
+  return list.map(perk => String(perk).trim()).filter(Boolean);
+}
+
+// Tiers and requalification rules for the mini app (public)
+app.get('/api/loyalty-tiers', (req, res) => {
+  try {
+    const settings = getLoyaltySettings();
+    res.json({
+      tiers: getLoyaltyTiers().map(serializeLoyaltyTier),
+      requalification: {
+        enabled: !!settings.requalification_enabled,
+        months: settings.requalification_months
+      }
+    });
+  } catch (error) {
+    console.error('Get loyalty tiers error:', error);
+    res.status(500).json({ error: 'Failed to get loyalty tiers' });
+  }
+});
+
+// Tiers with client counts and the requalification rules (admin)
+app.get('/api/admin/loyalty-tiers', adminAuthMiddleware, requireAdminPermission('settings'), (req, res) => {
+  try {
+    const tiers = getLoyaltyTiers();
+    const counts = db.prepare('SELECT level, COUNT(*) as count FROM users GROUP BY level').all();
+    res.json({
+      tiers: tiers.map(tier => ({
+        ...tier,
+        users_count: counts.filter(row => getLoyaltyTier(row.level, tiers).key === tier.key).reduce((sum, row) => sum + row.count, 0)
+      })),
+      settings: getLoyaltySettings()
+    });
+  } catch (error) {
+    console.error('Get admin loyalty tiers error:', error);
+    res.status(500).json({ error: 'Failed to get loyalty tiers' });
+  }
+});
+
+// Add or update a tier (admin). Clients move to a changed tier on their next payment or requalification pass
+app.put('/api/admin/loyalty-tiers/:key', adminAuthMiddleware, requireAdminPermission('settings'), (req, res) => {
+  try {
+    const key = req.params.key.toLowerCase();
+    if (!LOYALTY_TIER_KEY_REGEX.test(key)) {
+      return res.status(400).json({ error: 'invalid_key', message: 'Ключ уровня — латинские буквы, цифры и _, от 2 до 20 символов' });
+    }
+
+    const previous = db.prepare('SELECT * FROM loyalty_tiers WHERE key = ?').get(key);
+    const name = String(req.body.name ?? previous?.name ?? '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'name_required', message: 'Укажите название уровня' });
+    }
+
+    // The base tier is where every client starts, its threshold is always zero
+    const minSpent = key === BASE_LOYALTY_TIER ? 0 : Number(req.body.min_spent ?? previous?.min_spent);
+    if (key !== BASE_LOYALTY_TIER && !(minSpent > 0)) {
+      return res.status(400).json({ error: 'invalid_threshold', message: 'Порог уровня должен быть больше нуля' });
+    }
+    if (db.prepare('SELECT key FROM loyalty_tiers WHERE min_spent = ? AND key != ?').get(minSpent, key)) {
+      return res.status(400).json({ error: 'duplicate_threshold', message: 'Уровень с таким порогом уже есть' });
+    }
+
+    const rates = {};
+    for (const [field, fallback] of [['discount_percent', 0], ['cashback_percent', 5]]) {
+      const value = Number(req.body[field] ?? previous?.[field] ?? fallback);
+      if (!Number.isFinite(value) || value < 0 || value > 100) {
+        return res.status(400).json({ error: 'invalid_percent', message: 'Процент должен быть от 0 до 100' });
+      }
+      rates[field] = value;
+    }
+
+    const perks = req.body.perks === undefined ? parseTierPerks(previous || {}) : parseTierPerksInput(req.body.perks);
+    if (perks.length > MAX_TIER_PERKS) {
+      return res.status(400).json({ error: 'too_many_perks', message: `Не больше ${MAX_TIER_PERKS} привилегий на уровень` });
+    }
+
+    db.prepare(`
+      INSERT INTO loyalty_tiers (key, name, min_spent, discount_percent, cashback_percent, perks, updated_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET
+        name = excluded.name,
+        min_spent = excluded.min_spent,
+        discount_percent = excluded.discount_percent,
+        cashback_percent = excluded.cashback_percent,
+        perks = excluded.perks,
+        updated_by = excluded.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(key, name, minSpent, rates.discount_percent, rates.cashback_percent, JSON.stringify(perks), adminActor(req));
+
+    const tier = getLoyaltyTier(key);
+    recordAdminAudit(req, 'loyalty.tier_update', {
+      targetType: 'loyalty_tier',
+      targetId: key,
+      before: previous ? { ...previous, perks: parseTierPerks(previous) } : null,
+      after: tier
+    });
+
+    res.json({ success: true, tier });
+  } catch (error) {
+    console.error('Update loyalty tier error:', error);
+    res.status(500).json({ error: 'Failed to update loyalty tier' });
+  }
+});
+
+// Remove a tier (admin). Its clients move to the tier their spend qualifies for
+app.delete('/api/admin/loyalty-tiers/:key', adminAuthMiddleware, requireAdminPermission('settings'), (req, res) => {
+  try {
+    const previous = db.prepare('SELECT * FROM loyalty_tiers WHERE key = ?').get(req.params.key);
+    if (!previous) {
+      return res.status(404).json({ error: 'Tier not found' });
+    }
+    if (previous.key === BASE_LOYALTY_TIER) {
+      return res.status(400).json({ error: 'base_tier', message: 'Базовый уровень удалить нельзя' });
+    }
+
+    db.prepare('DELETE FROM loyalty_tiers WHERE key = ?').run(previous.key);
+
+    const tiers = getLoyaltyTiers();
+    const users = db.prepare('SELECT * FROM users WHERE level = ?').all(previous.key);
+    for (const user of users) {
+      setUserLevel(user, getTierForSpent(getQualifyingSpend(user), tiers), `уровень ${previous.name} упразднён`);
+    }
+
+    recordAdminAudit(req, 'loyalty.tier_delete', {
+      targetType: 'loyalty_tier',
+      targetId: previous.key,
+      before: { ...previous, perks: parseTierPerks(previous) },
+      after: { users_moved: users.length }
+    });
+
+    res.json({ success: true, users_moved: users.length });
+  } catch (error) {
+    console.error('Delete loyalty tier error:', error);
+    res.status(500).json({ error: 'Failed to delete loyalty tier' });
+  }
+});
+
+// Requalification rules (admin). Body: { requalification_enabled, requalification_months }
+app.put('/api/admin/loyalty-settings', adminAuthMiddleware, requireAdminPermission('settings'), (req, res) => {
+  try {
+    const previous = getLoyaltySettings();
+    const enabled = (req.body.requalification_enabled ?? previous.requalification_enabled) ? 1 : 0;
+    const months = Number(req.body.requalification_months ?? previous.requalification_months);
+    if (!Number.isInteger(months) || months < 1 || months > MAX_REQUALIFICATION_MONTHS) {
+      return res.status(400).json({ error: 'invalid_months', message: `Период — целое число месяцев от 1 до ${MAX_REQUALIFICATION_MONTHS}` });
+    }
+
+    db.prepare(`
+      UPDATE loyalty_settings
+      SET requalification_enabled = ?, requalification_months = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = 1
+    `).run(enabled, months, adminActor(req));
+
+    const settings = getLoyaltySettings();
+    recordAdminAudit(req, 'loyalty.settings', { targetType: 'settings', targetId: 'loyalty', before: previous, after: settings });
+    res.json(settings);
+  } catch (error) {
+    console.error('Update loyalty settings error:', error);
+    res.status(500).json({ error: 'Failed to update loyalty settings' });
+  }
+});
+
+// Run the requalification pass now (admin)
+app.post('/api/admin/loyalty/requalify', adminAuthMiddleware, requireAdminPermission('settings'), (req, res) => {
+  try {
+    const summary = requalifyUserLevels();
+    recordAdminAudit(req, 'loyalty.requalify', { after: summary });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Loyalty requalification error:', error);
+    res.status(500).json({ error: 'Failed to requalify users' });
+  }
+});
+
+// ==================== PRODUCTS ====================
+
+// Get all products (public)
+app.get('/api/products', (req, res) => {
+  try {
+    const currency = getCurrency(String(req.query.currency || '').toUpperCase());
+    const products = db.prepare(`
+      SELECT p.*, r.rating, COALESCE(r.reviews_count, 0) as reviews_count
+      FROM products p
+      LEFT JOIN (${PRODUCT_RATINGS_SQL}) r ON r.product_id = p.id
+      WHERE p.is_active = 1
+      ORDER BY p.sort_order, p.id
+    `).all();
+    res.json(products.map(p => ({
+      ...p,
+      currency: currency.code,
+      display_price: convertFromUsd(p.price, currency)
+    })));
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ error: 'Failed to get products' });
+  }
+});
+
+// Get all products (admin - including inactive)
+app.get('/api/admin/products', adminAuthMiddleware, requireAdminPermission('products'), (req, res) => {
+  try {
+    const products = db.prepare('SELECT * FROM products ORDER BY sort_order, id').all();
+    res.json(products);
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ error: 'Failed to get products' });
+  }
+});
+
+// Create product (admin only)
+app.post('/api/admin/products', adminAuthMiddleware, requireAdminPermission('products'), (req, res) => {
+  try {
+    const { name, description, price, icon, sort_order, revisions_included, extra_revision_price, category } = req.body;
+
+    const result = db.prepare(`
+      INSERT INTO products (name, description, price, icon, sort_order, revisions_included, extra_revision_price, category)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      name, description || '', price, icon || '🎨', sort_order || 0,
+      revisions_included ?? DEFAULT_REVISIONS_INCLUDED, extra_revision_price ?? DEFAULT_EXTRA_REVISION_PRICE,
+      String(category || '').trim() || null
+    );
+
+    const product = db.prepare('SELECT * FROM products WHERE id = ?').get(result.lastInsertRowid);
+    recordAdminAudit(req, 'product.create', { targetType: 'product', targetId: product.id, after: product });
+    res.json(product);
+  } catch (error) {
+    console.error('Create product error:', error);
+    res.status(500).json({ error: 'Failed to create product' });
+  }
+});
+
+// Update product (admin only)
+app.put('/api/admin/products/:id', adminAuthMiddleware, requireAdminPermission('products'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, price, icon, sort_order, is_active, revisions_included, extra_revision_price, category } = req.body;
+    const previous = db.prepare('SELECT * FROM products WHERE id = ?').get(id);
+
+    // An omitted category keeps the current one, an empty one clears it
+    const nextCategory = category === undefined ? (previous?.category ?? null) : (String(category || '').trim() || null);
+
+    db.prepare(`
+      UPDATE products
+      SET name = ?, description = ?, price = ?, icon = ?, sort_order = ?, is_active = ?,
+        revisions_included = COALESCE(?, revisions_included), extra_revision_price = COALESCE(?, extra_revision_price),
+        category = ?
+      WHERE id = ?
+    `).run(name, description, price, icon, sort_order, is_active ? 1 : 0, revisions_included ?? null, extra_revision_price ?? null, nextCategory, id);
+
+    const product = db.prepare('SELECT * FROM products WHERE id = ?').get(id);
+    recordAdminAudit(req, 'product.update', { targetType: 'product', targetId: id, before: previous, after: product });
+    res.json(product);
+  } catch (error) {
+    console.error('Update product error:', error);
+    res.status(500).json({ error: 'Failed to update product' });
+  }
+});
+
+// Delete product (admin only)
+app.delete('/api/admin/products/:id', adminAuthMiddleware, requireAdminPermission('products'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const previous = db.prepare('SELECT * FROM products WHERE id = ?').get(id);
+    db.prepare('DELETE FROM products WHERE id = ?').run(id);
+    recordAdminAudit(req, 'product.delete', { targetType: 'product', targetId: id, before: previous });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete product error:', error);
+    res.status(500).json({ error: 'Failed to delete product' });
+  }
+});
+
+// Test notification endpoint (admin only)
+app.post('/api/admin/test-notification', adminAuthMiddleware, requireAdminPermission('settings'), async (req, res) => {
+  try {
+    const { user_id } = req.body;
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(user_id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.telegram_id) {
+      return res.status(400).json({ error: 'User has no telegram_id' });
+    }
+
+    console.log('Testing notification to user:', user.telegram_id);
+    recordAdminAudit(req, 'notification.test', { targetType: 'user', targetId: user.id });
+
+    const webAppUrl = process.env.WEB_APP_URL || 'https://white-agency-app-production.up.railway.app';
 
     const result = await bot.telegram.sendMessage(
       user.telegram_id,
@@ -1494,218 +3353,2734 @@ app.post('/api/admin/test-notification', adminAuthMiddleware, async (req, res) =
   }
 });
 
-// ==================== INVOICES ====================
+// ==================== FILES ====================
 
-// Create invoice (admin only)
-app.post('/api/admin/invoices', adminAuthMiddleware, (req, res) => {
-  try {
-    const { order_id, user_id, amount, promo_code, discount_amount } = req.body;
+const fileStorage = createStorage(process.env.STORAGE_DRIVER || 'local', {
+  root: process.env.UPLOAD_DIR || 'uploads'
+});
 
-    const invoiceId = 'INV' + Date.now();
-    const finalAmount = amount - (discount_amount || 0);
-    const paymentAddress = process.env.PAYMENT_ADDRESS || 'TAXtuQh2zJHks5yZQ2zzVdEFExs7ktoYuV';
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_FILES_PER_UPLOAD = 10;
+const MAX_FILES_PER_ORDER = 20;
+const THUMBNAIL_SIZE = 320;
+const FILE_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 3600;
+const FILE_URL_SECRET = process.env.FILE_URL_SECRET ||
+  crypto.createHash('sha256').update(`files:${process.env.BOT_TOKEN || ''}`).digest('hex');
+
+// Allowed types, checked against the file content, not just the declared mimetype
+const ALLOWED_FILE_TYPES = {
+  'image/jpeg': buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+  'image/png': buf => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/gif': buf => buf.subarray(0, 4).toString('latin1') === 'GIF8',
+  'image/webp': buf => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP',
+  'video/mp4': buf => buf.subarray(4, 8).toString('latin1') === 'ftyp',
+  'video/quicktime': buf => ['ftyp', 'moov', 'mdat', 'wide', 'free'].includes(buf.subarray(4, 8).toString('latin1')),
+  'application/pdf': buf => buf.subarray(0, 5).toString('latin1') === '%PDF-',
+  'application/zip': buf => buf[0] === 0x50 && buf[1] === 0x4b && buf[2] === 0x03 && buf[3] === 0x04
+};
+
+const FILE_TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'application/x-zip-compressed': 'application/zip'
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES_PER_UPLOAD }
+});
 
-    // Create invoice
-    db.prepare(`
-      INSERT INTO invoices (id, order_id, user_id, amount, promo_code, discount_amount, final_amount, payment_address, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'awaiting_payment')
-    `).run(invoiceId, order_id, user_id, amount, promo_code || null, discount_amount || 0, finalAmount, paymentAddress);
+// Returns the canonical mimetype if the content matches an allowed type, otherwise null
+function detectFileType(buffer, declaredType) {
+  const type = FILE_TYPE_ALIASES[declaredType] || declaredType;
+  const check = ALLOWED_FILE_TYPES[type];
+  return check && buffer.length >= 12 && check(buffer) ? type : null;
+}
 
-    // Update order status to awaiting_payment
-    db.prepare('UPDATE orders SET status = ? WHERE id = ?').run('awaiting_payment', order_id);
+function createThumbnail(buffer) {
+  return sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+}
 
-    // Get user info
-    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(user_id);
+// Save a file to storage and register it. Thumbnail failures don't fail the upload.
+async function storeFile({ buffer, originalName, mimeType, userId, orderId = null }) {
+  const id = crypto.randomBytes(16).toString('hex');
+  const storageKey = `${id.slice(0, 2)}/${id}`;
+  let thumbnailKey = null;
+
+  await fileStorage.put(storageKey, buffer);
+
+  if (mimeType.startsWith('image/')) {
+    try {
+      thumbnailKey = `${storageKey}_thumb.webp`;
+      await fileStorage.put(thumbnailKey, await createThumbnail(buffer));
+    } catch (error) {
+      console.error(`Thumbnail error for ${originalName}:`, error.message);
+      thumbnailKey = null;
+    }
+  }
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+  db.prepare(`
+    INSERT INTO files (id, user_id, order_id, original_name, mime_type, size, storage_key, thumbnail_key, sha256)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    userId,
+    orderId,
+    originalName,
+    mimeType,
+    buffer.length,
+    storageKey,
+    thumbnailKey,
+    crypto.createHash('sha256').update(buffer).digest('hex')
+  );
+
+  return db.prepare('SELECT * FROM files WHERE id = ?').get(id);
+}
+
+function signFile(fileId, variant, expires) {
+  return crypto.createHmac('sha256', FILE_URL_SECRET).update(`${fileId}:${variant}:${expires}`).digest('hex');
+}
+
+function getPublicBaseUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+// Expiring signed URL; variant is 'original' or 'thumb'
+function getSignedFileUrl(req, fileId, variant = 'original') {
+  const expires = Math.floor(Date.now() / 1000) + FILE_URL_TTL_SECONDS;
+  const sig = signFile(fileId, variant, expires);
+  return `${getPublicBaseUrl(req)}/api/files/${fileId}?variant=${variant}&expires=${expires}&sig=${sig}`;
+}
+
+function verifyFileSignature(fileId, variant, expires, sig) {
+  if (!sig || !expires || Number(expires) < Date.now() / 1000) return false;
+  const expected = Buffer.from(signFile(fileId, variant, expires), 'hex');
+  const actual = Buffer.from(String(sig), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function serializeFile(req, file) {
+  return {
+    id: file.id,
+    name: file.original_name,
+    type: file.mime_type,
+    size: file.size,
+    url: getSignedFileUrl(req, file.id),
+    thumbnailUrl: file.mime_type.startsWith('image/') ? getSignedFileUrl(req, file.id, 'thumb') : null
+  };
+}
+
+// orders.media holds file ids
+function getOrderMedia(req, order) {
+  let ids;
+  try {
+    ids = JSON.parse(order.media || '[]').filter(id => typeof id === 'string');
+  } catch (error) {
+    return [];
+  }
+  if (ids.length === 0) return [];
+
+  const files = db.prepare(`SELECT * FROM files WHERE id IN (${ids.map(() => '?').join(', ')})`).all(...ids);
+  return ids
+    .map(id => files.find(f => f.id === id))
+    .filter(Boolean)
+    .map(file => serializeFile(req, file));
+}
+
+// Validate file ids sent with a new order: they must belong to the user and not be attached yet
+function resolveOrderMedia(media, user) {
+  if (media === undefined || media === null) return { fileIds: [] };
+  if (!Array.isArray(media) || media.length > MAX_FILES_PER_ORDER) {
+    return { error: 'invalid_media', message: `Можно прикрепить не больше ${MAX_FILES_PER_ORDER} файлов` };
+  }
+
+  const fileIds = [...new Set(media.map(item => (typeof item === 'string' ? item : item?.id)))];
+  for (const fileId of fileIds) {
+    const file = fileId ? db.prepare('SELECT * FROM files WHERE id = ?').get(fileId) : null;
+    if (!file || file.user_id !== user.id || file.order_id) {
+      return { error: 'invalid_media', message: 'Файл не найден, загрузите его заново' };
     }
+  }
 
-    // Send notification to user
-    db.prepare(`
-      INSERT INTO notifications (user_id, title, message)
-      VALUES (?, ?, ?)
-    `).run(user_id, '💳 Счет выставлен', `Счет #${invoiceId} на сумму $${finalAmount.toFixed(2)}. Перейдите в приложение для оплаты.`);
-
-    // Send Telegram notification with link
-    if (user.telegram_id) {
-      console.log(`Sending invoice notification to user ${user.telegram_id}, invoice ${invoiceId}`);
-
-      // Use Web App URL from env or construct it
-      const webAppUrl = process.env.WEB_APP_URL || 'https://white-agency-app-production.up.railway.app';
-      const invoiceUrl = `${webAppUrl}#invoice_${invoiceId}`;
-
-      bot.telegram.sendMessage(
-        user.telegram_id,
-        `💳 *Счет выставлен*\n\n` +
-        `Номер счета: #${invoiceId}\n` +
-        `Сумма к оплате: $${finalAmount.toFixed(2)}\n` +
-        `${promo_code ? `Промокод: ${promo_code} (-$${discount_amount.toFixed(2)})\n` : ''}\n` +
-        `Нажмите кнопку ниже для оплаты:`,
-        {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: [[
-              {
-                text: '💳 Оплатить',
-                web_app: { url: invoiceUrl }
-              }
-            ]]
-          }
-        }
-      ).then(() => {
-        console.log(`Invoice notification sent successfully to ${user.telegram_id}`);
-      }).catch(err => {
-        console.error('Error sending invoice notification:', err);
-        console.error('User telegram_id:', user.telegram_id);
-        console.error('Invoice URL:', invoiceUrl);
-      });
-    } else {
-      console.warn(`User ${user_id} has no telegram_id, cannot send notification`);
+  return { fileIds };
+}
+
+function attachFilesToOrder(fileIds, orderId) {
+  const stmt = db.prepare('UPDATE files SET order_id = ? WHERE id = ?');
+  for (const fileId of fileIds) {
+    stmt.run(orderId, fileId);
+  }
+}
+
+// Upload reference files (multipart/form-data, field "files")
+app.post('/api/files', authMiddleware, (req, res) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? `Файл слишком большой (макс ${MAX_FILE_SIZE / 1024 / 1024}MB)`
+        : uploadError.code === 'LIMIT_FILE_COUNT' || uploadError.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Не больше ${MAX_FILES_PER_UPLOAD} файлов за раз`
+          : 'Не удалось загрузить файлы';
+      return res.status(400).json({ error: 'upload_failed', message });
     }
 
-    const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(invoiceId);
-    res.json(invoice);
-  } catch (error) {
-    console.error('Create invoice error:', error);
+    try {
+      const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const uploaded = req.files || [];
+      if (uploaded.length === 0) {
+        return res.status(400).json({ error: 'no_files', message: 'Файлы не выбраны' });
+      }
+
+      // Validate everything before storing anything
+      const checked = uploaded.map(file => ({ file, type: detectFileType(file.buffer, file.mimetype) }));
+      const invalid = checked.find(c => !c.type);
+      if (invalid) {
+        return res.status(400).json({
+          error: 'invalid_file_type',
+          message: `Формат файла "${invalid.file.originalname}" не поддерживается`
+        });
+      }
+
+      const files = [];
+      for (const { file, type } of checked) {
+        files.push(await storeFile({
+          buffer: file.buffer,
+          originalName: file.originalname,
+          mimeType: type,
+          userId: user.id
+        }));
+      }
+
+      res.json({ files: files.map(file => serializeFile(req, file)) });
+    } catch (error) {
+      console.error('File upload error:', error);
+      res.status(500).json({ error: 'Failed to upload files' });
+    }
+  });
+});
+
+// Download a file by signed URL
+app.get('/api/files/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const variant = req.query.variant === 'thumb' ? 'thumb' : 'original';
+
+    if (!verifyFileSignature(id, variant, req.query.expires, req.query.sig)) {
+      return res.status(403).json({ error: 'invalid_signature', message: 'Ссылка недействительна или устарела' });
+    }
+
+    let file = db.prepare('SELECT * FROM files WHERE id = ?').get(id);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Thumbnails that failed at upload time are retried on first request
+    if (variant === 'thumb' && !file.thumbnail_key && file.mime_type.startsWith('image/')) {
+      const original = await fileStorage.get(file.storage_key);
+      if (original) {
+        const thumbnailKey = `${file.storage_key}_thumb.webp`;
+        await fileStorage.put(thumbnailKey, await createThumbnail(original));
+        db.prepare('UPDATE files SET thumbnail_key = ? WHERE id = ?').run(thumbnailKey, file.id);
+        file = { ...file, thumbnail_key: thumbnailKey };
+      }
+    }
+
+    const key = variant === 'thumb' && file.thumbnail_key ? file.thumbnail_key : file.storage_key;
+    const contentType = key === file.thumbnail_key ? 'image/webp' : file.mime_type;
+
+    res.set({
+      'Content-Type': contentType,
+      'Cache-Control': `private, max-age=${Math.max(0, Number(req.query.expires) - Math.floor(Date.now() / 1000))}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    // Anything that isn't a known safe type is always downloaded, never rendered
+    if (req.query.download === '1' || !ALLOWED_FILE_TYPES[file.mime_type]) {
+      res.attachment(file.original_name);
+    }
+
+    const stream = fileStorage.createReadStream(key);
+    stream.on('error', (error) => {
+      console.error('File read error:', error.message);
+      if (!res.headersSent) {
+        res.status(404).json({ error: 'File not found' });
+      } else {
+        res.end();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('File download error:', error);
+    res.status(500).json({ error: 'Failed to get file' });
+  }
+});
+
+// ==================== REVISIONS ====================
+
+// Used when an order has no catalog products to take the allowance from
+const DEFAULT_REVISIONS_INCLUDED = 2;
+const DEFAULT_EXTRA_REVISION_PRICE = 10;
+
+// Free revisions and extra revision price for an order: the most generous of its products
+function getRevisionTerms(order) {
+  const products = getOrderProducts(order);
+  if (products.length === 0) {
+    return { included: DEFAULT_REVISIONS_INCLUDED, extraPrice: DEFAULT_EXTRA_REVISION_PRICE };
+  }
+
+  return {
+    included: Math.max(...products.map(p => p.revisions_included ?? DEFAULT_REVISIONS_INCLUDED)),
+    extraPrice: Math.max(...products.map(p => p.extra_revision_price ?? DEFAULT_EXTRA_REVISION_PRICE))
+  };
+}
+
+// Free revisions used so far; rejected requests and paid extras don't count
+function countFreeRevisions(orderId) {
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM order_revisions
+    WHERE order_id = ? AND is_extra = 0 AND status IN ('open', 'done')
+  `).get(orderId).count;
+}
+
+function serializeRevision(req, revision) {
+  return {
+    id: revision.id,
+    orderId: revision.order_id,
+    number: revision.number,
+    comment: revision.comment,
+    media: getOrderMedia(req, revision),
+    isExtra: revision.is_extra === 1,
+    price: revision.price,
+    invoiceId: revision.invoice_id,
+    status: revision.status,
+    adminNote: revision.admin_note,
+    createdAt: revision.created_at,
+    resolvedAt: revision.resolved_at
+  };
+}
+
+function getOrderRevisionSummary(req, order) {
+  const terms = getRevisionTerms(order);
+  const used = countFreeRevisions(order.id);
+  const revisions = db.prepare('SELECT * FROM order_revisions WHERE order_id = ? ORDER BY number').all(order.id);
+
+  return {
+    included: terms.included,
+    used,
+    remaining: Math.max(terms.included - used, 0),
+    extraPrice: terms.extraPrice,
+    history: revisions.map(r => serializeRevision(req, r))
+  };
+}
+
+// Revision and tip invoices reach their order through the revision or tip. They leave
+// invoices.order_id empty so they are never taken for the order's own invoice, which
+// decides whether the order is paid and moves it between statuses.
+function getInvoiceOrderId(invoice) {
+  if (invoice.tip_id) {
+    const tip = db.prepare('SELECT order_id FROM tips WHERE id = ?').get(invoice.tip_id);
+    return tip ? tip.order_id : null;
+  }
+  if (!invoice.revision_id) return invoice.order_id;
+  const revision = db.prepare('SELECT order_id FROM order_revisions WHERE id = ?').get(invoice.revision_id);
+  return revision ? revision.order_id : null;
+}
+
+// Put the order into the revision state for a revision request
+function activateRevision(revision, actor, note) {
+  const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(revision.order_id);
+  const result = changeOrderStatus(order, 'revision', actor, note);
+  if (result.error) return result;
+
+  db.prepare("UPDATE order_revisions SET status = 'open' WHERE id = ?").run(revision.id);
+  return result;
+}
+
+// Get revision allowance and history of an order
+app.get('/api/orders/:orderId/revisions', authMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    const order = user ? db.prepare('SELECT * FROM orders WHERE id = ? AND user_id = ?').get(req.params.orderId, user.id) : null;
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(getOrderRevisionSummary(req, order));
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ error: 'Failed to get revisions' });
+  }
+});
+
+// Request a revision of a completed order. Beyond the free allowance an invoice is issued first.
+app.post('/api/orders/:orderId/revisions', authMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    const order = user ? db.prepare('SELECT * FROM orders WHERE id = ? AND user_id = ?').get(req.params.orderId, user.id) : null;
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const comment = (req.body.comment || '').trim();
+    if (!comment) {
+      return res.status(400).json({ error: 'comment_required', message: 'Опишите, что нужно изменить' });
+    }
+
+    if (order.status !== 'completed') {
+      return res.status(400).json({ error: 'invalid_status', message: 'Правки можно запросить только по готовому заказу' });
+    }
+
+    const pending = db.prepare("SELECT id FROM order_revisions WHERE order_id = ? AND status IN ('awaiting_payment', 'open')").get(order.id);
+    if (pending) {
+      return res.status(409).json({ error: 'revision_pending', message: 'Запрос правок уже отправлен' });
+    }
+
+    const media = resolveOrderMedia(req.body.media, user);
+    if (media.error) {
+      return res.status(400).json(media);
+    }
+
+    const terms = getRevisionTerms(order);
+    const isExtra = countFreeRevisions(order.id) >= terms.included;
+    const price = isExtra ? terms.extraPrice : 0;
+    const number = db.prepare('SELECT COUNT(*) as count FROM order_revisions WHERE order_id = ?').get(order.id).count + 1;
+    const invoiceId = price > 0 ? 'INV' + Date.now() : null;
+
+    let revisionId;
+    db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO order_revisions (order_id, user_id, number, comment, media, is_extra, price, invoice_id, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'awaiting_payment')
+      `).run(order.id, user.id, number, comment, JSON.stringify(media.fileIds), isExtra ? 1 : 0, price, invoiceId);
+      revisionId = result.lastInsertRowid;
+
+      attachFilesToOrder(media.fileIds, order.id);
+
+      if (invoiceId) {
+        const paymentAddress = process.env.PAYMENT_ADDRESS || 'TAXtuQh2zJHks5yZQ2zzVdEFExs7ktoYuV';
+        db.prepare(`
+          INSERT INTO invoices (id, order_id, revision_id, user_id, amount, final_amount, payment_address, status)
+          VALUES (?, NULL, ?, ?, ?, ?, ?, 'awaiting_payment')
+        `).run(invoiceId, revisionId, user.id, price, price, paymentAddress);
+        recordInvoiceDisplayCurrency(invoiceId);
+        setInvoiceDeadline(invoiceId, invoiceDeadline());
+      } else {
+        const revision = db.prepare('SELECT * FROM order_revisions WHERE id = ?').get(revisionId);
+        const statusResult = activateRevision(revision, 'user:' + user.id, `Правка #${number}: ${comment}`);
+        if (statusResult.error) {
+          throw new Error(statusResult.message);
+        }
+      }
+    })();
+
+    notifyAdmin(
+      `✏️ Запрос правок\n\n` +
+      `Заказ: #${order.id}\n` +
+      `Клиент: ${user.name} (@${user.username || 'нет'})\n` +
+      `Правка #${number}${isExtra ? (invoiceId ? ` — платная, ожидает оплаты $${price}` : ' — сверх лимита') : ` — бесплатная (${terms.included} в заказе)`}\n\n` +
+      comment
+    );
+
+    if (invoiceId) {
+      const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(invoiceId);
+      db.prepare(`
+        INSERT INTO notifications (user_id, title, message)
+        VALUES (?, ?, ?)
+      `).run(user.id, '💳 Счет выставлен', `Счет #${invoiceId} на сумму ${formatInvoiceAmount(invoice)} за дополнительную правку заказа #${order.id}.`);
+    }
+
+    const revision = db.prepare('SELECT * FROM order_revisions WHERE id = ?').get(revisionId);
+    res.json({ success: true, revision: serializeRevision(req, revision), invoiceId });
+  } catch (error) {
+    console.error('Request revision error:', error);
+    res.status(500).json({ error: 'Failed to request revision' });
+  }
+});
+
+// Revision queue (admin). Filters: status, order_id
+app.get('/api/admin/revisions', adminAuthMiddleware, requireAdminPermission('orders.view'), (req, res) => {
+  try {
+    const { status, order_id } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('r.status = ?');
+      params.push(status);
+    }
+    if (order_id) {
+      conditions.push('r.order_id = ?');
+      params.push(order_id);
+    }
+
+    const revisions = db.prepare(`
+      SELECT r.*, u.name as user_name, u.username
+      FROM order_revisions r
+      LEFT JOIN users u ON r.user_id = u.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY r.created_at DESC, r.id DESC
+    `).all(...params);
+
+    res.json(revisions.map(r => ({
+      ...serializeRevision(req, r),
+      userName: r.user_name,
+      username: r.username,
+      resolvedBy: r.resolved_by
+    })));
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ error: 'Failed to get revisions' });
+  }
+});
+
+// Reject a revision request (admin). Paid revisions can't be rejected here.
+app.post('/api/admin/revisions/:id/reject', adminAuthMiddleware, requireAdminPermission('orders.manage'), (req, res) => {
+  try {
+    const revision = db.prepare('SELECT * FROM order_revisions WHERE id = ?').get(req.params.id);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    if (!['awaiting_payment', 'open'].includes(revision.status)) {
+      return res.status(400).json({ error: 'invalid_status', message: 'Запрос правок уже закрыт' });
+    }
+
+    const invoice = revision.invoice_id ? db.prepare('SELECT * FROM invoices WHERE id = ?').get(revision.invoice_id) : null;
+    if (invoice && invoice.status === 'paid') {
+      return res.status(400).json({ error: 'already_paid', message: 'Правка уже оплачена — выполните её' });
+    }
+    // Money already received goes back through a refund, which also closes the request
+    if (invoice && invoice.status === 'partially_paid') {
+      return res.status(400).json({ error: 'partially_paid', message: `По счёту #${invoice.id} уже получена часть оплаты — оформите возврат по счёту` });
+    }
+
+    const reason = (req.body.reason || '').trim() || null;
+
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE order_revisions
+        SET status = 'rejected', admin_note = ?, resolved_at = CURRENT_TIMESTAMP, resolved_by = ?
+        WHERE id = ?
+      `).run(reason, adminActor(req), revision.id);
+
+      if (invoice) {
+        db.prepare("UPDATE invoices SET status = 'cancelled' WHERE id = ? AND status = 'awaiting_payment'").run(invoice.id);
+      }
+
+      if (revision.status === 'open') {
+        const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(revision.order_id);
+        const result = changeOrderStatus(order, 'completed', adminActor(req), `Правки отклонены${reason ? `: ${reason}` : ''}`);
+        if (result.error) {
+          throw new Error(result.message);
+        }
+      }
+
+      db.prepare(`
+        INSERT INTO notifications (user_id, title, message)
+        VALUES (?, ?, ?)
+      `).run(revision.user_id, '✏️ Запрос правок отклонён', `Заказ #${revision.order_id}${reason ? `. ${reason}` : ''}`);
+    })();
+
+    recordAdminAudit(req, 'revision.reject', {
+      targetType: 'order',
+      targetId: revision.order_id,
+      before: { revision_id: revision.id, status: revision.status },
+      after: { status: 'rejected', reason }
+    });
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(revision.user_id);
+    if (user && user.telegram_id) {
+      bot.telegram.sendMessage(user.telegram_id,
+        `✏️ Запрос правок по заказу #${revision.order_id} отклонён${reason ? `\n\n${reason}` : ''}`
+      ).catch(err => console.error('Failed to notify about revision:', err.message));
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Reject revision error:', error);
+    res.status(500).json({ error: 'Failed to reject revision' });
+  }
+});
+
+// ==================== REVIEWS ====================
+
+const REVIEW_BONUS = 2;
+const MAX_REVIEW_LENGTH = 2000;
+
+// Average rating of approved reviews per product
+const PRODUCT_RATINGS_SQL = `
+  SELECT rp.product_id, ROUND(AVG(r.rating), 1) as rating, COUNT(*) as reviews_count
+  FROM review_products rp
+  JOIN reviews r ON rp.review_id = r.id
+  WHERE r.status = 'approved'
+  GROUP BY rp.product_id
+`;
+
+function serializeReview(review) {
+  return {
+    id: review.id,
+    rating: review.rating,
+    text: review.text,
+    name: review.user_name || 'Клиент',
+    products: review.product_names ? review.product_names.split('|') : [],
+    createdAt: review.created_at
+  };
+}
+
+// Leave a review for a completed order. The cashback bonus is paid once per order.
+app.post('/api/reviews', authMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { orderId } = req.body;
+    const rating = Number(req.body.rating);
+    const text = (req.body.text || '').trim();
+
+    const order = db.prepare('SELECT * FROM orders WHERE id = ? AND user_id = ?').get(orderId, user.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.status !== 'completed') {
+      return res.status(400).json({ error: 'invalid_status', message: 'Отзыв можно оставить только по готовому заказу' });
+    }
+
+    const existing = db.prepare('SELECT id FROM reviews WHERE order_id = ?').get(order.id);
+    if (existing || order.reviewed) {
+      return res.status(409).json({ error: 'already_reviewed', message: 'Вы уже оставили отзыв по этому заказу' });
+    }
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'invalid_rating', message: 'Оценка должна быть от 1 до 5' });
+    }
+
+    if (text.length > MAX_REVIEW_LENGTH) {
+      return res.status(400).json({ error: 'text_too_long', message: `Отзыв не длиннее ${MAX_REVIEW_LENGTH} символов` });
+    }
+
+    const products = getOrderProducts(order);
+
+    db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO reviews (order_id, user_id, rating, text, bonus)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(order.id, user.id, rating, text || null, REVIEW_BONUS);
+
+      const linkProduct = db.prepare('INSERT OR IGNORE INTO review_products (review_id, product_id) VALUES (?, ?)');
+      for (const product of products) {
+        linkProduct.run(result.lastInsertRowid, product.id);
+      }
+
+      db.prepare('UPDATE orders SET reviewed = 1 WHERE id = ?').run(order.id);
+
+      postUserBalance(user.id, 'cashback', REVIEW_BONUS, {
+        type: 'review_bonus',
+        refType: 'order',
+        refId: order.id,
+        description: 'Бонус за отзыв'
+      });
+    })();
+
+    notifyAdmin(`⭐ Новый отзыв (${rating}/5) — ждёт модерации\n\n👤 Клиент: ${user.name}\n📦 Заказ: #${order.id}\n\n💬 ${text || 'Без текста'}`);
+
+    res.json({ success: true, bonus: REVIEW_BONUS });
+  } catch (error) {
+    console.error('Error submitting review:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Public feed of approved reviews. Filters: product_id; paging: limit, offset
+app.get('/api/reviews', (req, res) => {
+  try {
+    const productId = req.query.product_id ? parseInt(req.query.product_id, 10) : null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const filter = productId ? 'AND r.id IN (SELECT review_id FROM review_products WHERE product_id = ?)' : '';
+    const params = productId ? [productId] : [];
+
+    const summary = db.prepare(`
+      SELECT ROUND(AVG(r.rating), 1) as rating, COUNT(*) as total
+      FROM reviews r
+      WHERE r.status = 'approved' ${filter}
+    `).get(...params);
+
+    const reviews = db.prepare(`
+      SELECT r.*, u.name as user_name,
+        (SELECT GROUP_CONCAT(p.name, '|') FROM review_products rp JOIN products p ON rp.product_id = p.id WHERE rp.review_id = r.id) as product_names
+      FROM reviews r
+      LEFT JOIN users u ON r.user_id = u.id
+      WHERE r.status = 'approved' ${filter}
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    res.json({
+      rating: summary.rating,
+      total: summary.total,
+      reviews: reviews.map(serializeReview)
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ error: 'Failed to get reviews' });
+  }
+});
+
+// Reviews for moderation (admin). Filters: status
+app.get('/api/admin/reviews', adminAuthMiddleware, requireAdminPermission('reviews'), (req, res) => {
+  try {
+    const { status } = req.query;
+    const reviews = db.prepare(`
+      SELECT r.*, u.name as user_name, u.username,
+        (SELECT GROUP_CONCAT(p.name, '|') FROM review_products rp JOIN products p ON rp.product_id = p.id WHERE rp.review_id = r.id) as product_names
+      FROM reviews r
+      LEFT JOIN users u ON r.user_id = u.id
+      ${status ? 'WHERE r.status = ?' : ''}
+      ORDER BY r.created_at DESC, r.id DESC
+    `).all(...(status ? [status] : []));
+
+    res.json(reviews.map(r => ({
+      ...serializeReview(r),
+      orderId: r.order_id,
+      username: r.username,
+      status: r.status,
+      bonus: r.bonus,
+      moderatedBy: r.moderated_by,
+      moderatedAt: r.moderated_at
+    })));
+  } catch (error) {
+    console.error('Get admin reviews error:', error);
+    res.status(500).json({ error: 'Failed to get reviews' });
+  }
+});
+
+// Approve or hide a review (admin). The bonus stays with the client either way.
+app.put('/api/admin/reviews/:id', adminAuthMiddleware, requireAdminPermission('reviews'), (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['approved', 'hidden'].includes(status)) {
+      return res.status(400).json({ error: 'invalid_status', message: 'Статус должен быть approved или hidden' });
+    }
+
+    const review = db.prepare('SELECT * FROM reviews WHERE id = ?').get(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    db.prepare(`
+      UPDATE reviews SET status = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, adminActor(req), review.id);
+
+    recordAdminAudit(req, status === 'approved' ? 'review.approve' : 'review.hide', {
+      targetType: 'review',
+      targetId: review.id,
+      before: { status: review.status },
+      after: { status }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({ error: 'Failed to update review' });
+  }
+});
+
+// ==================== TIPS ====================
+
+const MIN_TIP = 1;
+const MAX_TIP = 500;
+const MAX_TIP_MESSAGE_LENGTH = 500;
+const TIP_ORDER_STATUSES = ['completed', 'revision'];
+
+// Managers who worked on an order: wrote in its chat or changed its status
+function getOrderManagers(orderId) {
+  return db.prepare(`
+    SELECT id, username FROM admin_users
+    WHERE active = 1 AND (
+      id IN (SELECT admin_id FROM order_messages WHERE order_id = ? AND sender = 'manager')
+      OR 'admin:' || username IN (SELECT actor FROM order_status_history WHERE order_id = ?)
+    )
+    ORDER BY username
+  `).all(orderId, orderId);
+}
+
+function serializeTip(tip) {
+  return {
+    id: tip.id,
+    orderId: tip.order_id,
+    amount: tip.amount,
+    message: tip.message,
+    manager: tip.admin_username || null,
+    invoiceId: tip.invoice_id,
+    status: tip.status,
+    createdAt: tip.created_at,
+    paidAt: tip.paid_at
+  };
+}
+
+// Paid tip invoices don't move the order or earn cashback: a tip is not a purchase
+function confirmTipPayment(invoice, txHash, actor, method) {
+  const tip = db.prepare(`
+    SELECT t.*, a.username as admin_username, a.telegram_id as admin_telegram_id
+    FROM tips t
+    LEFT JOIN admin_users a ON t.admin_id = a.id
+    WHERE t.id = ?
+  `).get(invoice.tip_id);
+
+  db.transaction(() => {
+    db.prepare('UPDATE invoices SET status = ?, tx_hash = ?, payment_method = ?, paid_at = CURRENT_TIMESTAMP WHERE id = ?').run('paid', txHash, method, invoice.id);
+    db.prepare("UPDATE tips SET status = 'paid', paid_at = CURRENT_TIMESTAMP WHERE id = ?").run(tip.id);
+
+    db.prepare(`
+      INSERT INTO notifications (user_id, title, message)
+      VALUES (?, ?, ?)
+    `).run(invoice.user_id, '💝 Спасибо за чаевые!', `Чаевые $${tip.amount.toFixed(2)} по заказу #${tip.order_id} получены.`);
+  })();
+
+  const text =
+    `💝 Чаевые\n\n` +
+    `Заказ: #${tip.order_id}\n` +
+    `Сумма: $${tip.amount.toFixed(2)}${method === 'ton' ? ` (${invoice.ton_amount} TON)` : method === 'stars' ? ` (${invoice.stars_amount} ⭐)` : ''}\n` +
+    `Менеджеру: ${tip.admin_username || 'команде'}\n` +
+    (tip.message ? `Сообщение: ${tip.message}\n` : '') +
+    `TxHash: ${txHash}\n` +
+    `Подтвердил: ${actor}`;
+
+  notifyAdmin(text);
+
+  // The addressed manager hears about it directly unless they are the admin chat already
+  if (tip.admin_telegram_id && tip.admin_telegram_id !== process.env.ADMIN_CHAT_ID) {
+    bot.telegram.sendMessage(tip.admin_telegram_id, text)
+      .catch(err => console.error('Failed to notify manager about tip:', err.message));
+  }
+}
+
+// Tip options for an order: limits, managers to address and tips already sent
+app.get('/api/orders/:orderId/tips', authMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    const order = user ? db.prepare('SELECT * FROM orders WHERE id = ? AND user_id = ?').get(req.params.orderId, user.id) : null;
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const tips = db.prepare(`
+      SELECT t.*, a.username as admin_username FROM tips t
+      LEFT JOIN admin_users a ON t.admin_id = a.id
+      WHERE t.order_id = ? AND t.status = 'paid'
+      ORDER BY t.created_at
+    `).all(order.id);
+
+    res.json({
+      min: MIN_TIP,
+      max: MAX_TIP,
+      available: TIP_ORDER_STATUSES.includes(order.status),
+      managers: getOrderManagers(order.id),
+      tips: tips.map(serializeTip)
+    });
+  } catch (error) {
+    console.error('Get tips error:', error);
+    res.status(500).json({ error: 'Failed to get tips' });
+  }
+});
+
+// Leave a tip for a completed order. The tip is paid like any other invoice;
+// an unpaid tip for the same order is replaced by the new one.
+app.post('/api/orders/:orderId/tips', authMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    const order = user ? db.prepare('SELECT * FROM orders WHERE id = ? AND user_id = ?').get(req.params.orderId, user.id) : null;
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!TIP_ORDER_STATUSES.includes(order.status)) {
+      return res.status(400).json({ error: 'invalid_status', message: 'Чаевые можно оставить только по готовому заказу' });
+    }
+
+    const amount = roundMoney(parseFloat(req.body.amount));
+    if (!Number.isFinite(amount) || amount < MIN_TIP || amount > MAX_TIP) {
+      return res.status(400).json({ error: 'invalid_amount', message: `Сумма чаевых — от $${MIN_TIP} до $${MAX_TIP}` });
+    }
+
+    const message = (req.body.message || '').trim();
+    if (message.length > MAX_TIP_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: 'message_too_long', message: `Сообщение длиннее ${MAX_TIP_MESSAGE_LENGTH} символов` });
+    }
+
+    let adminId = null;
+    if (req.body.managerId) {
+      const manager = getOrderManagers(order.id).find(m => m.id === parseInt(req.body.managerId));
+      if (!manager) {
+        return res.status(400).json({ error: 'invalid_manager', message: 'Этот менеджер не работал над заказом' });
+      }
+      adminId = manager.id;
+    }
+
+    const invoiceId = 'INV' + Date.now();
+    const paymentAddress = process.env.PAYMENT_ADDRESS || 'TAXtuQh2zJHks5yZQ2zzVdEFExs7ktoYuV';
+
+    let tipId;
+    db.transaction(() => {
+      // A tip that is already partly paid stays open
+      const unpaid = db.prepare(`
+        SELECT t.* FROM tips t
+        JOIN invoices i ON i.id = t.invoice_id
+        WHERE t.order_id = ? AND t.user_id = ? AND t.status = 'awaiting_payment' AND i.status = 'awaiting_payment'
+      `).all(order.id, user.id);
+      for (const tip of unpaid) {
+        db.prepare("UPDATE tips SET status = 'cancelled' WHERE id = ?").run(tip.id);
+        db.prepare("UPDATE invoices SET status = 'cancelled' WHERE id = ? AND status = 'awaiting_payment'").run(tip.invoice_id);
+      }
+
+      const result = db.prepare(`
+        INSERT INTO tips (order_id, user_id, admin_id, amount, message, invoice_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(order.id, user.id, adminId, amount, message || null, invoiceId);
+      tipId = result.lastInsertRowid;
+
+      db.prepare(`
+        INSERT INTO invoices (id, order_id, tip_id, user_id, amount, final_amount, payment_address, status)
+        VALUES (?, NULL, ?, ?, ?, ?, ?, 'awaiting_payment')
+      `).run(invoiceId, tipId, user.id, amount, amount, paymentAddress);
+      recordInvoiceDisplayCurrency(invoiceId);
+      setInvoiceDeadline(invoiceId, invoiceDeadline());
+    })();
+
+    const tip = db.prepare('SELECT t.*, a.username as admin_username FROM tips t LEFT JOIN admin_users a ON t.admin_id = a.id WHERE t.id = ?').get(tipId);
+    res.json({ success: true, tip: serializeTip(tip), invoiceId });
+  } catch (error) {
+    console.error('Create tip error:', error);
+    res.status(500).json({ error: 'Failed to create tip' });
+  }
+});
+
+// Tips list with totals per manager (admin). Filters: status (default paid), order_id
+app.get('/api/admin/tips', adminAuthMiddleware, requireAdminPermission('stats'), (req, res) => {
+  try {
+    const status = req.query.status || 'paid';
+    const conditions = ['t.status = ?'];
+    const params = [status];
+    if (req.query.order_id) {
+      conditions.push('t.order_id = ?');
+      params.push(req.query.order_id);
+    }
+    const where = conditions.join(' AND ');
+
+    const tips = db.prepare(`
+      SELECT t.*, a.username as admin_username, u.name as user_name, u.username
+      FROM tips t
+      LEFT JOIN admin_users a ON t.admin_id = a.id
+      LEFT JOIN users u ON t.user_id = u.id
+      WHERE ${where}
+      ORDER BY t.created_at DESC, t.id DESC
+    `).all(...params);
+
+    const byManager = db.prepare(`
+      SELECT a.username as manager, COUNT(*) as count, COALESCE(SUM(t.amount), 0) as total
+      FROM tips t
+      LEFT JOIN admin_users a ON t.admin_id = a.id
+      WHERE ${where}
+      GROUP BY t.admin_id
+      ORDER BY total DESC
+    `).all(...params);
+
+    res.json({
+      tips: tips.map(t => ({ ...serializeTip(t), userName: t.user_name, username: t.username })),
+      total: roundMoney(tips.reduce((sum, t) => sum + t.amount, 0)),
+      byManager
+    });
+  } catch (error) {
+    console.error('Get admin tips error:', error);
+    res.status(500).json({ error: 'Failed to get tips' });
+  }
+});
+
+// ==================== ORDER CHAT ====================
+
+// One thread per order. Manager messages are relayed to the client by the bot;
+// a reply to that bot message comes back into the same thread (see bot.on('message')).
+// read_at is set when the other side reads the message.
+
+function serializeOrderMessage(req, message) {
+  return {
+    id: message.id,
+    orderId: message.order_id,
+    sender: message.sender,
+    body: message.body,
+    media: getOrderMedia(req, message),
+    source: message.source,
+    read: !!message.read_at,
+    createdAt: message.created_at
+  };
+}
+
+function getOrderMessages(orderId) {
+  return db.prepare('SELECT * FROM order_messages WHERE order_id = ? ORDER BY created_at, id').all(orderId);
+}
+
+// Unread messages per order for one side: 'client' counts manager messages and vice versa
+function countUnreadMessages(orderId, reader) {
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM order_messages
+    WHERE order_id = ? AND sender != ? AND read_at IS NULL
+  `).get(orderId, reader).count;
+}
+
+function markOrderMessagesRead(orderId, reader) {
+  db.prepare(`
+    UPDATE order_messages SET read_at = CURRENT_TIMESTAMP
+    WHERE order_id = ? AND sender != ? AND read_at IS NULL
+  `).run(orderId, reader);
+}
+
+function addOrderMessage({ orderId, sender, body, fileIds = [], adminId = null, source = 'app' }) {
+  const result = db.prepare(`
+    INSERT INTO order_messages (order_id, sender, admin_id, body, media, source)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(orderId, sender, adminId, body || null, fileIds.length > 0 ? JSON.stringify(fileIds) : null, source);
+  attachFilesToOrder(fileIds, orderId);
+  return db.prepare('SELECT * FROM order_messages WHERE id = ?').get(result.lastInsertRowid);
+}
+
+// Send a manager message to the client through the bot and remember the Telegram message id
+async function relayManagerMessage(order, message) {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(order.user_id);
+  if (!user || !user.telegram_id) return;
+
+  db.prepare('INSERT INTO notifications (user_id, title, message) VALUES (?, ?, ?)').run(
+    user.id,
+    `Сообщение по заказу #${order.id}`,
+    message.body || '📎 Вложение'
+  );
+
+  try {
+    const attachments = message.media ? JSON.parse(message.media).length : 0;
+    const webAppUrl = process.env.WEBAPP_URL || 'https://white-agency-app.vercel.app';
+    const sent = await bot.telegram.sendMessage(user.telegram_id,
+      `💬 Сообщение по заказу #${order.id}\n\n${message.body || ''}` +
+      `${attachments > 0 ? `\n\n📎 Вложений: ${attachments} — откройте чат в приложении` : ''}` +
+      `\n\n↩️ Ответьте на это сообщение, чтобы написать менеджеру`,
+      {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '💬 Открыть чат', web_app: { url: `${webAppUrl}#chat_${order.id}` } }
+          ]]
+        }
+      }
+    );
+    db.prepare('UPDATE order_messages SET telegram_message_id = ? WHERE id = ?').run(sent.message_id, message.id);
+  } catch (error) {
+    console.error('Failed to relay order message:', error.message);
+  }
+}
+
+function notifyAdminAboutMessage(order, user, message) {
+  const attachments = message.media ? JSON.parse(message.media).length : 0;
+  notifyAdmin(
+    `💬 Сообщение по заказу #${order.id}\n` +
+    `От: ${user.name} (@${user.username || 'нет'})\n\n` +
+    `${message.body || ''}${attachments > 0 ? `\n📎 Вложений: ${attachments}` : ''}`
+  );
+}
+
+// Store a photo or document the client sent to the bot
+async function storeTelegramAttachment(telegramMessage, user, orderId) {
+  const photo = telegramMessage.photo ? telegramMessage.photo[telegramMessage.photo.length - 1] : null;
+  const document = telegramMessage.document;
+  const source = photo || document;
+  if (!source || source.file_size > MAX_FILE_SIZE) return null;
+
+  const link = await bot.telegram.getFileLink(source.file_id);
+  const response = await fetch(link.href);
+  if (!response.ok) return null;
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const type = detectFileType(buffer, photo ? 'image/jpeg' : document.mime_type);
+  if (!type) return null;
+
+  return storeFile({
+    buffer,
+    originalName: photo ? `photo_${telegramMessage.message_id}.jpg` : document.file_name || 'file',
+    mimeType: type,
+    userId: user.id,
+    orderId
+  });
+}
+
+// Get the order chat (client); marks manager messages read
+app.get('/api/orders/:orderId/messages', authMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    const order = user ? db.prepare('SELECT * FROM orders WHERE id = ? AND user_id = ?').get(req.params.orderId, user.id) : null;
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const messages = getOrderMessages(order.id);
+    markOrderMessagesRead(order.id, 'client');
+
+    res.json(messages.map(m => serializeOrderMessage(req, m)));
+  } catch (error) {
+    console.error('Get order messages error:', error);
+    res.status(500).json({ error: 'Failed to get messages' });
+  }
+});
+
+// Post to the order chat (client). media holds file ids from /api/files
+app.post('/api/orders/:orderId/messages', authMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    const order = user ? db.prepare('SELECT * FROM orders WHERE id = ? AND user_id = ?').get(req.params.orderId, user.id) : null;
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const body = (req.body.body || '').trim();
+    const media = resolveOrderMedia(req.body.media, user);
+    if (media.error) {
+      return res.status(400).json(media);
+    }
+    if (!body && media.fileIds.length === 0) {
+      return res.status(400).json({ error: 'empty_message', message: 'Напишите сообщение или прикрепите файл' });
+    }
+
+    const message = db.transaction(() => addOrderMessage({
+      orderId: order.id,
+      sender: 'client',
+      body,
+      fileIds: media.fileIds
+    }))();
+
+    notifyAdminAboutMessage(order, user, message);
+
+    res.json(serializeOrderMessage(req, message));
+  } catch (error) {
+    console.error('Post order message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// Orders with unread client messages (admin)
+app.get('/api/admin/messages/unread', adminAuthMiddleware, requireAdminPermission('messages'), (req, res) => {
+  try {
+    const threads = db.prepare(`
+      SELECT m.order_id, COUNT(*) as unread, MAX(m.created_at) as last_message_at, u.name as user_name, u.username
+      FROM order_messages m
+      JOIN orders o ON m.order_id = o.id
+      LEFT JOIN users u ON o.user_id = u.id
+      WHERE m.sender = 'client' AND m.read_at IS NULL
+      GROUP BY m.order_id
+      ORDER BY last_message_at DESC
+    `).all();
+
+    res.json(threads);
+  } catch (error) {
+    console.error('Get unread messages error:', error);
+    res.status(500).json({ error: 'Failed to get unread messages' });
+  }
+});
+
+// Get the order chat (admin); marks client messages read
+app.get('/api/admin/orders/:orderId/messages', adminAuthMiddleware, requireAdminPermission('messages'), (req, res) => {
+  try {
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const messages = db.prepare(`
+      SELECT m.*, a.username as admin_username
+      FROM order_messages m
+      LEFT JOIN admin_users a ON m.admin_id = a.id
+      WHERE m.order_id = ?
+      ORDER BY m.created_at, m.id
+    `).all(order.id);
+    markOrderMessagesRead(order.id, 'manager');
+
+    res.json(messages.map(m => ({ ...serializeOrderMessage(req, m), adminUsername: m.admin_username })));
+  } catch (error) {
+    console.error('Get order messages error:', error);
+    res.status(500).json({ error: 'Failed to get messages' });
+  }
+});
+
+// Reply in the order chat (admin). multipart: body, files[]
+app.post('/api/admin/orders/:orderId/messages', adminAuthMiddleware, requireAdminPermission('messages'), (req, res) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? `Файл слишком большой (макс ${MAX_FILE_SIZE / 1024 / 1024}MB)`
+        : 'Не удалось загрузить файлы';
+      return res.status(400).json({ error: 'upload_failed', message });
+    }
+
+    try {
+      const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(req.params.orderId);
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const body = (req.body.body || '').trim();
+      const uploaded = req.files || [];
+      if (!body && uploaded.length === 0) {
+        return res.status(400).json({ error: 'empty_message', message: 'Напишите сообщение или прикрепите файл' });
+      }
+
+      const checked = uploaded.map(file => ({ file, type: detectFileType(file.buffer, file.mimetype) }));
+      const invalid = checked.find(c => !c.type);
+      if (invalid) {
+        return res.status(400).json({
+          error: 'invalid_file_type',
+          message: `Формат файла "${invalid.file.originalname}" не поддерживается`
+        });
+      }
+
+      const fileIds = [];
+      for (const { file, type } of checked) {
+        const stored = await storeFile({
+          buffer: file.buffer,
+          originalName: file.originalname,
+          mimeType: type,
+          userId: order.user_id,
+          orderId: order.id
+        });
+        fileIds.push(stored.id);
+      }
+
+      const message = db.transaction(() => {
+        markOrderMessagesRead(order.id, 'manager');
+        return addOrderMessage({ orderId: order.id, sender: 'manager', body, fileIds, adminId: req.admin.id, source: 'admin' });
+      })();
+
+      recordAdminAudit(req, 'order.message', { targetType: 'order', targetId: order.id, after: { message_id: message.id, body, files: fileIds.length } });
+
+      await relayManagerMessage(order, message);
+
+      res.json(serializeOrderMessage(req, message));
+    } catch (error) {
+      console.error('Post order message error:', error);
+      res.status(500).json({ error: 'Failed to send message' });
+    }
+  });
+});
+
+// ==================== DELIVERABLES ====================
+
+// Delivered work is grouped into versions per order: v1 is the first delivery,
+// v2 and later are re-deliveries after edits. The client sees the latest version.
+
+function getCurrentDeliverableVersion(orderId) {
+  return db.prepare('SELECT MAX(version) as version FROM order_deliverables WHERE order_id = ?').get(orderId).version || 0;
+}
+
+function signDeliverable(deliverableId, expires) {
+  return signFile(`deliverable-${deliverableId}`, 'download', expires);
+}
+
+// Download links go through the logging endpoint
+function getDeliverableDownloadUrl(req, deliverableId) {
+  const expires = Math.floor(Date.now() / 1000) + FILE_URL_TTL_SECONDS;
+  return `${getPublicBaseUrl(req)}/api/deliverables/${deliverableId}/download?expires=${expires}&sig=${signDeliverable(deliverableId, expires)}`;
+}
+
+function getOrderDeliverables(orderId, { latestOnly = false } = {}) {
+  const version = latestOnly ? getCurrentDeliverableVersion(orderId) : null;
+  return db.prepare(`
+    SELECT d.*, f.original_name, f.mime_type, f.size,
+      (SELECT COUNT(*) FROM deliverable_downloads dd WHERE dd.deliverable_id = d.id) as download_count,
+      (SELECT MAX(created_at) FROM deliverable_downloads dd WHERE dd.deliverable_id = d.id) as last_download_at
+    FROM order_deliverables d
+    LEFT JOIN files f ON d.file_id = f.id
+    WHERE d.order_id = ? ${latestOnly ? 'AND d.version = ?' : ''}
+    ORDER BY d.version, d.id
+  `).all(...(latestOnly ? [orderId, version] : [orderId]));
+}
+
+function serializeDeliverable(req, deliverable) {
+  const isImage = deliverable.mime_type && deliverable.mime_type.startsWith('image/');
+  return {
+    id: deliverable.id,
+    orderId: deliverable.order_id,
+    version: deliverable.version,
+    caption: deliverable.caption,
+    name: deliverable.original_name || deliverable.external_url,
+    type: deliverable.mime_type || 'link',
+    size: deliverable.size || null,
+    thumbnailUrl: isImage ? getSignedFileUrl(req, deliverable.file_id, 'thumb') : null,
+    downloadUrl: getDeliverableDownloadUrl(req, deliverable.id),
+    downloads: deliverable.download_count,
+    lastDownloadAt: deliverable.last_download_at,
+    createdAt: deliverable.created_at
+  };
+}
+
+function addExternalDeliverable(orderId, url, { version, caption = null, createdBy }) {
+  const result = db.prepare(`
+    INSERT INTO order_deliverables (order_id, version, external_url, caption, created_by)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(orderId, version, url, caption, createdBy);
+  return result.lastInsertRowid;
+}
+
+// Tell the client that new files were delivered outside of a status change
+async function notifyDeliverablesUpdated(order, version) {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(order.user_id);
+    if (!user) return;
+
+    const title = version > 1 ? `🔄 Обновлённые файлы (v${version})` : '📎 Файлы по заказу готовы';
+    db.prepare(`
+      INSERT INTO notifications (user_id, title, message)
+      VALUES (?, ?, ?)
+    `).run(user.id, title, `Заказ #${order.id}. Файлы доступны в разделе «Ваши работы»`);
+
+    const webAppUrl = process.env.WEBAPP_URL || 'https://white-agency-app.vercel.app';
+    await bot.telegram.sendMessage(user.telegram_id, `${title}\n\nЗаказ #${order.id}\nФайлы доступны в разделе «Ваши работы».`, {
+      reply_markup: {
+        inline_keyboard: [[{ text: '🖼️ Открыть работы', web_app: { url: `${webAppUrl}#gallery` } }]]
+      }
+    });
+  } catch (error) {
+    console.error('Failed to notify about deliverables:', error.message);
+  }
+}
+
+// Client gallery: latest version of every order's deliverables
+app.get('/api/deliverables', authMiddleware, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const orders = db.prepare(`
+      SELECT DISTINCT o.id, o.service, o.items, o.created_at
+      FROM orders o
+      JOIN order_deliverables d ON d.order_id = o.id
+      WHERE o.user_id = ?
+      ORDER BY o.created_at DESC
+    `).all(user.id);
+
+    res.json(orders.map(order => ({
+      orderId: order.id,
+      title: order.service || JSON.parse(order.items || '[]').map(i => i.name).join(', '),
+      version: getCurrentDeliverableVersion(order.id),
+      files: getOrderDeliverables(order.id, { latestOnly: true }).map(d => serializeDeliverable(req, d))
+    })));
+  } catch (error) {
+    console.error('Get deliverables error:', error);
+    res.status(500).json({ error: 'Failed to get deliverables' });
+  }
+});
+
+// Download a deliverable by signed link; every download is logged
+app.get('/api/deliverables/:id/download', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { expires, sig } = req.query;
+
+    if (!verifyFileSignature(`deliverable-${id}`, 'download', expires, sig)) {
+      return res.status(403).json({ error: 'invalid_signature', message: 'Ссылка недействительна или устарела' });
+    }
+
+    const deliverable = db.prepare(`
+      SELECT d.*, o.user_id, f.storage_key, f.original_name, f.mime_type
+      FROM order_deliverables d
+      JOIN orders o ON d.order_id = o.id
+      LEFT JOIN files f ON d.file_id = f.id
+      WHERE d.id = ?
+    `).get(id);
+    if (!deliverable) {
+      return res.status(404).json({ error: 'Deliverable not found' });
+    }
+
+    db.prepare(`
+      INSERT INTO deliverable_downloads (deliverable_id, user_id, ip)
+      VALUES (?, ?, ?)
+    `).run(deliverable.id, deliverable.user_id, req.ip || null);
+
+    if (!deliverable.file_id) {
+      return res.redirect(deliverable.external_url);
+    }
+
+    res.set({ 'Content-Type': deliverable.mime_type, 'X-Content-Type-Options': 'nosniff' });
+    res.attachment(deliverable.original_name);
+
+    const stream = fileStorage.createReadStream(deliverable.storage_key);
+    stream.on('error', (error) => {
+      console.error('Deliverable read error:', error.message);
+      if (!res.headersSent) {
+        res.status(404).json({ error: 'File not found' });
+      } else {
+        res.end();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Deliverable download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+// List deliverables of an order, all versions (admin)
+app.get('/api/admin/orders/:orderId/deliverables', adminAuthMiddleware, requireAdminPermission('orders.view'), (req, res) => {
+  try {
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({
+      currentVersion: getCurrentDeliverableVersion(order.id),
+      deliverables: getOrderDeliverables(order.id).map(d => ({
+        ...serializeDeliverable(req, d),
+        fileUrl: d.file_id ? getSignedFileUrl(req, d.file_id) : d.external_url,
+        createdBy: d.created_by
+      }))
+    });
+  } catch (error) {
+    console.error('Get order deliverables error:', error);
+    res.status(500).json({ error: 'Failed to get deliverables' });
+  }
+});
+
+// Upload deliverables (multipart: files[], captions JSON array, external_url, new_version, notify)
+app.post('/api/admin/orders/:orderId/deliverables', adminAuthMiddleware, requireAdminPermission('orders.manage'), (req, res) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? `Файл слишком большой (макс ${MAX_FILE_SIZE / 1024 / 1024}MB)`
+        : 'Не удалось загрузить файлы';
+      return res.status(400).json({ error: 'upload_failed', message });
+    }
+
+    try {
+      const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(req.params.orderId);
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const uploaded = req.files || [];
+      const externalUrl = (req.body.external_url || '').trim();
+      if (uploaded.length === 0 && !externalUrl) {
+        return res.status(400).json({ error: 'no_files', message: 'Добавьте файлы или ссылку' });
+      }
+      if (externalUrl && !/^https?:\/\//i.test(externalUrl)) {
+        return res.status(400).json({ error: 'invalid_url', message: 'Ссылка должна начинаться с http(s)://' });
+      }
+
+      let captions = [];
+      try {
+        captions = JSON.parse(req.body.captions || '[]');
+      } catch (error) {
+        captions = [];
+      }
+
+      const checked = uploaded.map(file => ({ file, type: detectFileType(file.buffer, file.mimetype) }));
+      const invalid = checked.find(c => !c.type);
+      if (invalid) {
+        return res.status(400).json({
+          error: 'invalid_file_type',
+          message: `Формат файла "${invalid.file.originalname}" не поддерживается`
+        });
+      }
+
+      const currentVersion = getCurrentDeliverableVersion(order.id);
+      const version = req.body.new_version === 'true' || currentVersion === 0 ? currentVersion + 1 : currentVersion;
+
+      const stored = [];
+      for (const { file, type } of checked) {
+        stored.push(await storeFile({
+          buffer: file.buffer,
+          originalName: file.originalname,
+          mimeType: type,
+          userId: order.user_id,
+          orderId: order.id
+        }));
+      }
+
+      const ids = [];
+      db.transaction(() => {
+        stored.forEach((file, index) => {
+          const result = db.prepare(`
+            INSERT INTO order_deliverables (order_id, version, file_id, caption, created_by)
+            VALUES (?, ?, ?, ?, ?)
+          `).run(order.id, version, file.id, captions[index] || null, adminActor(req));
+          ids.push(result.lastInsertRowid);
+        });
+
+        if (externalUrl) {
+          ids.push(addExternalDeliverable(order.id, externalUrl, {
+            version,
+            caption: req.body.external_caption || null,
+            createdBy: adminActor(req)
+          }));
+        }
+      })();
+
+      recordAdminAudit(req, 'deliverable.create', {
+        targetType: 'order',
+        targetId: order.id,
+        after: { version, deliverable_ids: ids, files: stored.map(f => f.original_name), external_url: externalUrl || null }
+      });
+
+      if (req.body.notify === 'true') {
+        notifyDeliverablesUpdated(order, version);
+      }
+
+      res.json({ success: true, version, ids });
+    } catch (error) {
+      console.error('Upload deliverables error:', error);
+      res.status(500).json({ error: 'Failed to upload deliverables' });
+    }
+  });
+});
+
+// Edit deliverable caption (admin)
+app.put('/api/admin/deliverables/:id', adminAuthMiddleware, requireAdminPermission('orders.manage'), (req, res) => {
+  try {
+    const deliverable = db.prepare('SELECT * FROM order_deliverables WHERE id = ?').get(req.params.id);
+    if (!deliverable) {
+      return res.status(404).json({ error: 'Deliverable not found' });
+    }
+
+    const caption = (req.body.caption || '').trim() || null;
+    db.prepare('UPDATE order_deliverables SET caption = ? WHERE id = ?').run(caption, deliverable.id);
+
+    recordAdminAudit(req, 'deliverable.update', {
+      targetType: 'deliverable',
+      targetId: deliverable.id,
+      before: { caption: deliverable.caption },
+      after: { caption }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Update deliverable error:', error);
+    res.status(500).json({ error: 'Failed to update deliverable' });
+  }
+});
+
+// Remove a deliverable uploaded by mistake (admin). The download log is kept.
+app.delete('/api/admin/deliverables/:id', adminAuthMiddleware, requireAdminPermission('orders.manage'), (req, res) => {
+  try {
+    const deliverable = db.prepare('SELECT * FROM order_deliverables WHERE id = ?').get(req.params.id);
+    if (!deliverable) {
+      return res.status(404).json({ error: 'Deliverable not found' });
+    }
+
+    const downloads = db.prepare('SELECT COUNT(*) as count FROM deliverable_downloads WHERE deliverable_id = ?').get(deliverable.id).count;
+    if (downloads > 0) {
+      return res.status(400).json({ error: 'already_downloaded', message: 'Клиент уже скачал этот файл — загрузите новую версию' });
+    }
+
+    db.prepare('DELETE FROM order_deliverables WHERE id = ?').run(deliverable.id);
+
+    recordAdminAudit(req, 'deliverable.delete', { targetType: 'deliverable', targetId: deliverable.id, before: deliverable });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete deliverable error:', error);
+    res.status(500).json({ error: 'Failed to delete deliverable' });
+  }
+});
+
+// ==================== INVOICES ====================
+
+// Issue an invoice for an order and move the order to awaiting_payment.
+// Throws if the order can't take a new invoice. Returns the invoice row.
+function createOrderInvoice(order, { userId, amount, promoCode = null, discountAmount = 0, reissuedFrom = null }, actor) {
+  const invoiceId = 'INV' + Date.now();
+  const finalAmount = amount - (discountAmount || 0);
+  const paymentAddress = process.env.PAYMENT_ADDRESS || 'TAXtuQh2zJHks5yZQ2zzVdEFExs7ktoYuV';
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO invoices (id, order_id, user_id, amount, promo_code, discount_amount, final_amount, payment_address, status, reissued_from)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'awaiting_payment', ?)
+    `).run(invoiceId, order.id, userId, amount, promoCode || null, discountAmount || 0, finalAmount, paymentAddress, reissuedFrom);
+
+    recordInvoiceDisplayCurrency(invoiceId);
+    setInvoiceDeadline(invoiceId, invoiceDeadline());
+
+    // Update order status to awaiting_payment
+    const result = changeOrderStatus(order, 'awaiting_payment', actor, `Счёт #${invoiceId}`);
+    if (result.error) {
+      throw new Error(result.message);
+    }
+  })();
+
+  return db.prepare('SELECT * FROM invoices WHERE id = ?').get(invoiceId);
+}
+
+// In-app notification and bot message with the pay button
+function sendInvoiceNotification(invoice, user) {
+  db.prepare(`
+    INSERT INTO notifications (user_id, title, message)
+    VALUES (?, ?, ?)
+  `).run(user.id, '💳 Счет выставлен', `Счет #${invoice.id} на сумму ${formatInvoiceAmount(invoice)}. Оплатить до ${formatInvoiceDeadline(invoice)}. Перейдите в приложение для оплаты.`);
+
+  if (!user.telegram_id) {
+    console.warn(`User ${user.id} has no telegram_id, cannot send notification`);
+    return;
+  }
+
+  console.log(`Sending invoice notification to user ${user.telegram_id}, invoice ${invoice.id}`);
+
+  const invoiceUrl = getInvoiceUrl(invoice.id);
+
+  bot.telegram.sendMessage(
+    user.telegram_id,
+    `💳 *Счет выставлен*\n\n` +
+    `Номер счета: #${invoice.id}\n` +
+    `Сумма к оплате: ${formatInvoiceAmount(invoice)}\n` +
+    `${invoice.promo_code ? `Промокод: ${invoice.promo_code} (-$${invoice.discount_amount.toFixed(2)})\n` : ''}` +
+    `Оплатить до: ${formatInvoiceDeadline(invoice)}\n\n` +
+    `Нажмите кнопку ниже для оплаты:`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[
+          {
+            text: '💳 Оплатить',
+            web_app: { url: invoiceUrl }
+          }
+        ]]
+      }
+    }
+  ).then(() => {
+    console.log(`Invoice notification sent successfully to ${user.telegram_id}`);
+  }).catch(err => {
+    console.error('Error sending invoice notification:', err);
+    console.error('User telegram_id:', user.telegram_id);
+    console.error('Invoice URL:', invoiceUrl);
+  });
+}
+
+// Use Web App URL from env or construct it
+function getInvoiceUrl(invoiceId) {
+  const webAppUrl = process.env.WEB_APP_URL || 'https://white-agency-app-production.up.railway.app';
+  return `${webAppUrl}#invoice_${invoiceId}`;
+}
+
+// Create invoice (admin only)
+app.post('/api/admin/invoices', adminAuthMiddleware, requireAdminPermission('invoices'), (req, res) => {
+  try {
+    const { order_id, user_id, amount, promo_code, discount_amount } = req.body;
+
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(order_id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!(ORDER_TRANSITIONS[order.status] || []).includes('awaiting_payment')) {
+      return res.status(400).json({ error: 'invalid_transition', message: `Нельзя выставить счёт для заказа в статусе "${order.status}"` });
+    }
+
+    // Get user info
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(user_id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const invoice = createOrderInvoice(order, {
+      userId: user_id,
+      amount,
+      promoCode: promo_code,
+      discountAmount: discount_amount
+    }, adminActor(req));
+
+    recordAdminAudit(req, 'invoice.create', {
+      targetType: 'invoice',
+      targetId: invoice.id,
+      before: { order_status: order.status },
+      after: invoice
+    });
+
+    sendInvoiceNotification(invoice, user);
+
+    res.json(invoice);
+  } catch (error) {
+    console.error('Create invoice error:', error);
     res.status(500).json({ error: 'Failed to create invoice' });
   }
-});
+});
+
+// Get invoice by ID
+// Invoice joined with what it pays for: the order, a revision or a tip
+function getInvoiceDetails(id) {
+  return db.prepare(`
+    SELECT i.*, o.items, o.comment, u.name as user_name,
+      r.order_id as revision_order_id, r.number as revision_number, r.comment as revision_comment,
+      t.order_id as tip_order_id, t.message as tip_message,
+      c.symbol as display_symbol, c.decimals as display_decimals
+    FROM invoices i
+    LEFT JOIN order_revisions r ON i.revision_id = r.id
+    LEFT JOIN tips t ON i.tip_id = t.id
+    LEFT JOIN orders o ON o.id = COALESCE(i.order_id, r.order_id, t.order_id)
+    LEFT JOIN users u ON i.user_id = u.id
+    LEFT JOIN currencies c ON c.code = i.display_currency
+    WHERE i.id = ?
+  `).get(id);
+}
+
+// Line items of an invoice from getInvoiceDetails
+function getInvoiceItems(invoice) {
+  if (invoice.tip_id) {
+    return [{
+      name: `Чаевые по заказу #${invoice.tip_order_id}`,
+      quantity: 1,
+      price: invoice.amount,
+      total: invoice.amount
+    }];
+  }
+
+  if (invoice.revision_id) {
+    return [{
+      name: `Дополнительная правка #${invoice.revision_number} к заказу #${invoice.revision_order_id}`,
+      quantity: 1,
+      price: invoice.amount,
+      total: invoice.amount
+    }];
+  }
+
+  return JSON.parse(invoice.items || '[]');
+}
+
+app.get('/api/invoices/:id', authMiddleware, (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    const invoice = getInvoiceDetails(id);
+
+    if (!invoice || !user || invoice.user_id !== user.id) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const totals = getInvoiceTotals(invoice);
+    res.json({
+      ...invoice,
+      comment: invoice.tip_id ? invoice.tip_message : invoice.revision_id ? invoice.revision_comment : invoice.comment,
+      items: getInvoiceItems(invoice),
+      paid_amount: totals.paid,
+      refunded_amount: totals.refunded,
+      outstanding_amount: totals.outstanding,
+      payments: getInvoicePayments(invoice.id).map(serializeInvoicePayment),
+      documents: getInvoiceDocumentLinks(req, invoice)
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Failed to get invoice' });
+  }
+});
+
+// Verify the client's transaction on the server and confirm the invoice.
+// This is the only way a client can mark an invoice as paid.
+async function verifyAndConfirmInvoice(req, res) {
+  try {
+    const { id } = req.params;
+    const txHash = (req.body.tx_hash || '').trim();
+
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(id);
+    if (!invoice || !user || invoice.user_id !== user.id) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      return res.status(409).json({ error: 'already_processed', message: 'Счёт уже оплачен или закрыт' });
+    }
+
+    if (!/^[a-fA-F0-9]{64}$/.test(txHash)) {
+      return res.status(400).json({ error: 'invalid_tx_hash', message: 'Неверный формат хеша транзакции' });
+    }
+
+    if (isTxHashUsed(txHash)) {
+      return res.json({ success: false, error: 'Эта транзакция уже использована для другой оплаты' });
+    }
+    if (isTransferSeenElsewhere(txHash, invoice.id)) {
+      return res.json({ success: false, error: 'Этот перевод уже получен без привязки к вашему счёту. Напишите менеджеру, он зачтёт оплату.' });
+    }
+
+    // Any amount counts once the transfer is tied to the client: a short payment leaves the rest outstanding
+    const verification = await verifyPaymentTransaction(txHash, {
+      recipientAddress: invoice.payment_address,
+      notBefore: parseDbDate(invoice.created_at).getTime() - PAYMENT_CLOCK_SKEW_MS
+    });
+
+    if (!verification.verified) {
+      return res.json({ success: false, error: verification.error });
+    }
+
+    // Re-check after the network call: the watcher or another request may have won the race
+    const current = db.prepare('SELECT * FROM invoices WHERE id = ?').get(id);
+    if (!OPEN_INVOICE_STATUSES.includes(current.status)) {
+      return res.status(409).json({ error: 'already_processed', message: 'Счёт уже оплачен или закрыт' });
+    }
+    if (isTxHashUsed(txHash)) {
+      return res.json({ success: false, error: 'Эта транзакция уже использована для другой оплаты' });
+    }
+    if (isTransferSeenElsewhere(txHash, current.id)) {
+      return res.json({ success: false, error: 'Этот перевод уже получен без привязки к вашему счёту. Напишите менеджеру, он зачтёт оплату.' });
+    }
+
+    if (!(verification.tx.amount > 0)) {
+      return res.json({ success: false, error: 'В транзакции нет перевода USDT' });
+    }
+
+    if (!isTransferBoundToInvoice(verification.tx, current, user)) {
+      return res.json({
+        success: false,
+        error: `Сумма перевода ($${verification.tx.amount}) не совпадает с остатком по счёту ($${getInvoiceTotals(current).outstanding}). ` +
+          'Чтобы оплатить частями, укажите номер счёта в комментарии к переводу или напишите менеджеру.'
+      });
+    }
+
+    // The sender address is kept for the referral checks, as for transfers the watcher finds
+    const result = applyChainTransfer(verification.tx, current, { amount: verification.tx.amount, txHash }, 'user:' + user.id);
+
+    res.json({ success: true, amount: verification.tx.amount, ...result });
+  } catch (error) {
+    console.error('Confirm invoice error:', error);
+    res.status(500).json({ error: 'Failed to confirm invoice' });
+  }
+}
+
+// Verify invoice payment (kept for older clients, same as confirm)
+app.post('/api/invoices/:id/verify', authMiddleware, verifyAndConfirmInvoice);
+
+// Confirm invoice payment (verifies the transaction on the server)
+app.post('/api/invoices/:id/confirm', authMiddleware, verifyAndConfirmInvoice);
+
+// Get all invoices (admin only). Filter: order_id
+app.get('/api/admin/invoices', adminAuthMiddleware, requireAdminPermission('invoices'), (req, res) => {
+  try {
+    const invoices = db.prepare(`
+      SELECT i.*, u.name as user_name, u.username, COALESCE(i.order_id, r.order_id, t.order_id) as order_number
+      FROM invoices i
+      LEFT JOIN users u ON i.user_id = u.id
+      LEFT JOIN order_revisions r ON i.revision_id = r.id
+      LEFT JOIN tips t ON i.tip_id = t.id
+      ${req.query.order_id ? 'WHERE COALESCE(i.order_id, r.order_id, t.order_id) = ?' : ''}
+      ORDER BY i.created_at DESC
+    `).all(...(req.query.order_id ? [req.query.order_id] : []));
+    res.json(invoices.map(invoice => {
+      const totals = getInvoiceTotals(invoice);
+      return {
+        ...invoice,
+        paid_amount: totals.paid,
+        refunded_amount: totals.refunded,
+        refundable_amount: getRefundableAmount(invoice),
+        outstanding_amount: totals.outstanding,
+        payments: getInvoicePayments(invoice.id).map(serializeInvoicePayment),
+        documents: getInvoiceDocumentLinks(req, invoice)
+      };
+    }));
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ error: 'Failed to get invoices' });
+  }
+});
+
+// ==================== INVOICE EXPIRY ====================
+
+// Unpaid invoices get a deadline. The scheduler sends bot reminders the configured
+// number of hours before it and then marks the invoice 'expired': the order goes back
+// to the manager queue and cashback spent on it is returned to the client.
+
+const INVOICE_TTL_HOURS = parseFloat(process.env.INVOICE_TTL_HOURS) || 72;
+// Hours before the deadline at which reminders go out, e.g. "24,2"
+const INVOICE_REMINDER_HOURS = (process.env.INVOICE_REMINDER_HOURS || '24,2')
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0)
+  .sort((a, b) => b - a);
+const INVOICE_SCHEDULER_INTERVAL_MS = parseInt(process.env.INVOICE_SCHEDULER_INTERVAL_MS) || 5 * 60 * 1000;
+const INVOICE_TIME_ZONE = process.env.TIME_ZONE || 'Europe/Moscow';
+const MAX_INVOICE_EXTENSION_HOURS = 24 * 30;
+
+let invoiceSchedulerTimer = null;
+
+function invoiceDeadline(hours = INVOICE_TTL_HOURS, from = Date.now()) {
+  return new Date(from + hours * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Reminders whose time has already come for a deadline
+function countDueReminders(expiresAt, now = Date.now()) {
+  const msLeft = parseDbDate(expiresAt).getTime() - now;
+  return INVOICE_REMINDER_HOURS.filter(hours => msLeft <= hours * 60 * 60 * 1000).length;
+}
+
+// Set a new deadline. Reminders that are already due for it are skipped,
+// so a short deadline doesn't trigger a reminder right after issue.
+function setInvoiceDeadline(invoiceId, expiresAt) {
+  db.prepare('UPDATE invoices SET expires_at = ?, reminders_sent = ? WHERE id = ?')
+    .run(expiresAt, countDueReminders(expiresAt), invoiceId);
+}
+
+function formatInvoiceDeadline(invoice) {
+  if (!invoice.expires_at) return 'без срока';
+  return parseDbDate(invoice.expires_at).toLocaleString('ru-RU', {
+    timeZone: INVOICE_TIME_ZONE,
+    day: '2-digit',
+    month: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function formatHoursLeft(expiresAt) {
+  const minutes = Math.max(Math.round((parseDbDate(expiresAt).getTime() - Date.now()) / 60000), 0);
+  if (minutes < 60) return `${minutes} мин`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours} ч ${minutes % 60} мин` : `${Math.floor(hours / 24)} дн ${hours % 24} ч`;
+}
+
+function sendInvoiceReminder(invoice) {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(invoice.user_id);
+  if (!user) return;
+
+  const { outstanding } = getInvoiceTotals(invoice);
+  const due = invoice.status === 'partially_paid'
+    ? `остаток $${outstanding.toFixed(2)} по счёту #${invoice.id}`
+    : `счет #${invoice.id} на сумму ${formatInvoiceAmount(invoice)}`;
+
+  db.prepare(`
+    INSERT INTO notifications (user_id, title, message)
+    VALUES (?, ?, ?)
+  `).run(user.id, '⏰ Напоминание об оплате', `Оплатите ${due} до ${formatInvoiceDeadline(invoice)}.`);
+
+  if (!user.telegram_id) return;
+
+  bot.telegram.sendMessage(user.telegram_id,
+    `⏰ Напоминание об оплате\n\n` +
+    `Ждём оплату: ${due}.\n` +
+    `Осталось: ${formatHoursLeft(invoice.expires_at)} (до ${formatInvoiceDeadline(invoice)}).\n` +
+    `После этого счёт будет отменён.`,
+    {
+      reply_markup: {
+        inline_keyboard: [[{ text: '💳 Оплатить', web_app: { url: getInvoiceUrl(invoice.id) } }]]
+      }
+    }
+  ).catch(err => console.error('Failed to send invoice reminder:', err.message));
+}
+
+// Undo what a closed, unpaid invoice was holding: the tip or revision request is closed,
+// the order goes back to the manager queue and cashback spent on it is returned.
+// Runs inside the caller's transaction. Returns the cashback refunded to the client.
+function releaseInvoice(invoice, actor, reason) {
+  if (invoice.tip_id) {
+    db.prepare("UPDATE tips SET status = 'cancelled' WHERE id = ? AND status = 'awaiting_payment'").run(invoice.tip_id);
+    return 0;
+  }
+
+  if (invoice.revision_id) {
+    db.prepare(`
+      UPDATE order_revisions
+      SET status = 'rejected', admin_note = ?, resolved_at = CURRENT_TIMESTAMP, resolved_by = ?
+      WHERE id = ? AND status = 'awaiting_payment'
+    `).run(reason, actor, invoice.revision_id);
+    return 0;
+  }
+
+  const order = invoice.order_id ? db.prepare('SELECT * FROM orders WHERE id = ?').get(invoice.order_id) : null;
+  if (!order || order.status !== 'awaiting_payment') return 0;
+
+  const result = changeOrderStatus(order, 'awaiting_manager', actor, `${reason} (#${invoice.id})`);
+  if (result.error) {
+    throw new Error(result.message);
+  }
+
+  // The order is now priced without the cashback
+  const refund = order.cashback_used || 0;
+  if (refund > 0) {
+    postUserBalance(order.user_id, 'cashback', refund, {
+      type: 'cashback_refund',
+      refType: 'invoice',
+      refId: invoice.id,
+      description: `Возврат кешбэка: счёт #${invoice.id} не оплачен`
+    });
+    db.prepare('UPDATE orders SET cashback_used = 0, total = total + ? WHERE id = ?').run(refund, order.id);
+    db.prepare('UPDATE invoices SET cashback_refunded = ? WHERE id = ?').run(refund, invoice.id);
+  }
+  return refund;
+}
+
+// Close an unpaid invoice after its deadline. Returns the cashback refunded to the client.
+function expireInvoice(invoice, actor) {
+  return db.transaction(() => {
+    const updated = db.prepare(`
+      UPDATE invoices SET status = 'expired', expired_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'awaiting_payment'
+    `).run(invoice.id);
+    if (updated.changes === 0) return 0;
+
+    return releaseInvoice(invoice, actor, 'Счёт не оплачен вовремя');
+  })();
+}
+
+function notifyInvoiceExpired(invoice, refund) {
+  const orderId = getInvoiceOrderId(invoice);
+  notifyAdmin(
+    `⌛ Счёт просрочен\n\n` +
+    `Счет #${invoice.id} на сумму ${formatInvoiceAmount(invoice)} не оплачен.\n` +
+    (orderId ? `Заказ: #${orderId}\n` : '') +
+    (invoice.order_id ? 'Заказ вернулся в очередь — перевыставьте счёт или свяжитесь с клиентом.' : '')
+  );
+
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(invoice.user_id);
+  if (!user) return;
+
+  const message = `Счет #${invoice.id} не был оплачен вовремя и отменён.` +
+    (refund > 0 ? ` Кешбэк $${refund.toFixed(2)} возвращён на баланс.` : '') +
+    (invoice.order_id ? ' Менеджер свяжется с вами, чтобы выставить новый счёт.' : '');
+
+  db.prepare(`
+    INSERT INTO notifications (user_id, title, message)
+    VALUES (?, ?, ?)
+  `).run(user.id, '⌛ Счёт просрочен', message);
+
+  if (user.telegram_id) {
+    bot.telegram.sendMessage(user.telegram_id, `⌛ ${message}`)
+      .catch(err => console.error('Failed to send invoice expiry notification:', err.message));
+  }
+}
+
+// One scheduler pass: send due reminders, expire overdue invoices
+function runInvoiceScheduler() {
+  const summary = { reminded: 0, expired: 0 };
+  const now = Date.now();
+
+  const invoices = db.prepare(`
+    SELECT * FROM invoices
+    WHERE status IN ('awaiting_payment', 'partially_paid') AND expires_at IS NOT NULL
+    ORDER BY expires_at
+  `).all();
+
+  for (const invoice of invoices) {
+    try {
+      // Money already received can't just be dropped: a manager settles these by hand
+      if (invoice.status === 'partially_paid' && parseDbDate(invoice.expires_at).getTime() <= now) {
+        if (!invoice.overdue_notified_at) {
+          db.prepare('UPDATE invoices SET overdue_notified_at = CURRENT_TIMESTAMP WHERE id = ?').run(invoice.id);
+          const { paid, outstanding } = getInvoiceTotals(invoice);
+          notifyAdmin(
+            `⌛ Срок оплаты истёк, счёт оплачен частично\n\n` +
+            `Счет #${invoice.id}: получено $${paid.toFixed(2)} из $${invoice.final_amount.toFixed(2)}, не хватает $${outstanding.toFixed(2)}.\n` +
+            `Продлите счёт или оформите возврат.`
+          );
+        }
+        continue;
+      }
+
+      if (parseDbDate(invoice.expires_at).getTime() <= now) {
+        const refund = expireInvoice(invoice, 'system');
+        notifyInvoiceExpired(invoice, refund);
+        summary.expired++;
+        continue;
+      }
+
+      // Only the latest due reminder is sent if several became due at once
+      const due = countDueReminders(invoice.expires_at, now);
+      if (due > (invoice.reminders_sent || 0)) {
+        db.prepare('UPDATE invoices SET reminders_sent = ? WHERE id = ?').run(due, invoice.id);
+        sendInvoiceReminder(invoice);
+        summary.reminded++;
+      }
+    } catch (error) {
+      console.error(`Invoice scheduler error (${invoice.id}):`, error.message);
+    }
+  }
+
+  if (summary.reminded || summary.expired) {
+    console.log(`⏰ Invoice scheduler: ${summary.reminded} reminded, ${summary.expired} expired`);
+  }
+  return summary;
+}
+
+function startInvoiceScheduler() {
+  if (invoiceSchedulerTimer || process.env.INVOICE_SCHEDULER === 'off') return;
+
+  console.log(`⏰ Invoice scheduler started (deadline ${INVOICE_TTL_HOURS}h, reminders ${INVOICE_REMINDER_HOURS.join('/')}h before)`);
+  invoiceSchedulerTimer = setInterval(runInvoiceScheduler, INVOICE_SCHEDULER_INTERVAL_MS);
+  runInvoiceScheduler();
+}
+
+// Push the deadline of an unpaid invoice (admin). Body: { hours }
+app.post('/api/admin/invoices/:id/extend', adminAuthMiddleware, requireAdminPermission('invoices'), (req, res) => {
+  try {
+    const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({ error: 'invalid_status', message: 'Продлить можно только неоплаченный счёт. Просроченный счёт перевыставьте' });
+    }
+
+    const hours = parseFloat(req.body.hours);
+    if (!(hours >= 1) || hours > MAX_INVOICE_EXTENSION_HOURS) {
+      return res.status(400).json({ error: 'invalid_hours', message: `Укажите от 1 до ${MAX_INVOICE_EXTENSION_HOURS} часов` });
+    }
+
+    // Extends from the current deadline, or from now if it has already passed
+    const from = Math.max(invoice.expires_at ? parseDbDate(invoice.expires_at).getTime() : 0, Date.now());
+    setInvoiceDeadline(invoice.id, invoiceDeadline(hours, from));
+    db.prepare('UPDATE invoices SET overdue_notified_at = NULL WHERE id = ?').run(invoice.id);
+
+    const updated = db.prepare('SELECT * FROM invoices WHERE id = ?').get(invoice.id);
+    recordAdminAudit(req, 'invoice.extend', {
+      targetType: 'invoice',
+      targetId: invoice.id,
+      before: { expires_at: invoice.expires_at },
+      after: { expires_at: updated.expires_at }
+    });
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(invoice.user_id);
+    if (user && user.telegram_id) {
+      bot.telegram.sendMessage(user.telegram_id, `🕒 Срок оплаты счета #${invoice.id} продлён до ${formatInvoiceDeadline(updated)}.`)
+        .catch(err => console.error('Failed to send invoice extension notification:', err.message));
+    }
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Extend invoice error:', error);
+    res.status(500).json({ error: 'Failed to extend invoice' });
+  }
+});
+
+// Issue a new invoice for the order of an expired or cancelled one (admin).
+// Body: { amount } — defaults to the current order total.
+app.post('/api/admin/invoices/:id/reissue', adminAuthMiddleware, requireAdminPermission('invoices'), (req, res) => {
+  try {
+    const previous = db.prepare('SELECT * FROM invoices WHERE id = ?').get(req.params.id);
+    if (!previous) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (!['expired', 'cancelled', 'refunded'].includes(previous.status)) {
+      return res.status(400).json({ error: 'invalid_status', message: 'Перевыставить можно только просроченный, отменённый или возвращённый счёт' });
+    }
+
+    if (!previous.order_id) {
+      return res.status(400).json({ error: 'not_order_invoice', message: 'Счета за правки и чаевые клиент создаёт заново сам' });
+    }
+
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(previous.order_id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!(ORDER_TRANSITIONS[order.status] || []).includes('awaiting_payment')) {
+      return res.status(400).json({ error: 'invalid_transition', message: `Нельзя выставить счёт для заказа в статусе "${order.status}"` });
+    }
+
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : (order.total ?? previous.final_amount);
+    if (!(amount > 0)) {
+      return res.status(400).json({ error: 'invalid_amount', message: 'Сумма должна быть больше нуля' });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(previous.user_id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const invoice = createOrderInvoice(order, {
+      userId: user.id,
+      amount,
+      promoCode: previous.promo_code,
+      reissuedFrom: previous.id
+    }, adminActor(req));
+
+    recordAdminAudit(req, 'invoice.reissue', {
+      targetType: 'invoice',
+      targetId: invoice.id,
+      before: previous,
+      after: invoice
+    });
+
+    sendInvoiceNotification(invoice, user);
+
+    res.json(invoice);
+  } catch (error) {
+    console.error('Reissue invoice error:', error);
+    res.status(500).json({ error: 'Failed to reissue invoice' });
+  }
+});
+
+// ==================== INVOICE PAYMENTS ====================
+
+// An invoice can be paid in several transactions. Each one is a row in invoice_payments;
+// the outstanding balance is final_amount minus what was received. A payment that leaves
+// a balance makes the invoice 'partially_paid', one that exceeds it credits the difference
+// to the client's cashback balance. Refunds are recorded by admins with their tx hash.
+
+const OPEN_INVOICE_STATUSES = ['awaiting_payment', 'partially_paid'];
+
+// invoices.payment_method -> invoice_payments.network
+const PAYMENT_METHOD_NETWORKS = {
+  usdt: 'tron',
+  ton: 'ton',
+  stars: 'stars'
+};
+
+function getInvoicePayments(invoiceId) {
+  return db.prepare('SELECT * FROM invoice_payments WHERE invoice_id = ? ORDER BY created_at, id').all(invoiceId);
+}
+
+// { paid, refunded, outstanding, overpaid } in USD
+function getInvoiceTotals(invoice) {
+  const sums = db.prepare(`
+    SELECT
+      COALESCE(SUM(CASE WHEN kind = 'payment' THEN amount END), 0) as paid,
+      COALESCE(SUM(CASE WHEN kind = 'refund' THEN amount END), 0) as refunded
+    FROM invoice_payments WHERE invoice_id = ?
+  `).get(invoice.id);
+
+  const paid = roundMoney(sums.paid);
+  return {
+    paid,
+    refunded: roundMoney(sums.refunded),
+    outstanding: roundMoney(Math.max(invoice.final_amount - paid, 0)),
+    overpaid: roundMoney(Math.max(paid - invoice.final_amount, 0))
+  };
+}
+
+function serializeInvoicePayment(payment) {
+  return {
+    id: payment.id,
+    kind: payment.kind,
+    amount: payment.amount,
+    network: payment.network,
+    networkAmount: payment.network_amount,
+    txHash: payment.tx_hash,
+    note: payment.note,
+    refundOf: payment.refund_of,
+    createdAt: payment.created_at
+  };
+}
+
+// Record an incoming transaction on an open invoice and settle it if the balance is covered.
+// payment: { amount (USD), txHash, method: 'usdt' | 'ton', networkAmount }
+// Returns { status, paid, outstanding, overpaid }
+function applyInvoicePayment(invoice, { amount, txHash, method = 'usdt', networkAmount = null }, actor) {
+  amount = roundMoney(amount);
+
+  const result = db.transaction(() => {
+    db.prepare(`
+      INSERT INTO invoice_payments (invoice_id, kind, amount, network, network_amount, tx_hash, actor)
+      VALUES (?, 'payment', ?, ?, ?, ?, ?)
+    `).run(invoice.id, amount, PAYMENT_METHOD_NETWORKS[method], networkAmount ?? amount, txHash, actor);
+
+    const totals = getInvoiceTotals(invoice);
+
+    if (totals.outstanding > PRICE_TOLERANCE) {
+      // A TON quote was for the old balance; the next one is for what is left
+      db.prepare(`
+        UPDATE invoices SET status = 'partially_paid', payment_method = ?,
+          ton_quote_expires_at = CASE WHEN ton_amount IS NOT NULL THEN CURRENT_TIMESTAMP ELSE ton_quote_expires_at END
+        WHERE id = ?
+      `).run(method, invoice.id);
+      return { status: 'partially_paid', ...totals };
+    }
+
+    confirmInvoicePayment(invoice, txHash, actor, method);
+
+    if (totals.overpaid > PRICE_TOLERANCE) {
+      postUserBalance(invoice.user_id, 'cashback', totals.overpaid, {
+        type: 'overpayment_credit',
+        refType: 'invoice',
+        refId: invoice.id,
+        description: `Переплата по счёту #${invoice.id}`
+      });
+      db.prepare('UPDATE invoices SET overpaid_amount = ? WHERE id = ?').run(totals.overpaid, invoice.id);
+    }
+    return { status: 'paid', ...totals };
+  })();
+
+  if (result.status === 'partially_paid') {
+    notifyInvoicePartiallyPaid(invoice, amount, result);
+  } else {
+    if (result.overpaid > PRICE_TOLERANCE) {
+      notifyClient(invoice.user_id, '💰 Переплата зачислена',
+        `По счёту #${invoice.id} получено $${result.paid.toFixed(2)} вместо $${invoice.final_amount.toFixed(2)}. ` +
+        `Разница $${result.overpaid.toFixed(2)} зачислена на ваш баланс.`);
+    }
+    sendInvoiceReceipt(invoice.id);
+  }
+
+  return result;
+}
+
+// In-app notification plus the same text in Telegram
+function notifyClient(userId, title, message) {
+  db.prepare(`
+    INSERT INTO notifications (user_id, title, message)
+    VALUES (?, ?, ?)
+  `).run(userId, title, message);
+
+  const user = db.prepare('SELECT telegram_id FROM users WHERE id = ?').get(userId);
+  if (user && user.telegram_id) {
+    bot.telegram.sendMessage(user.telegram_id, `${title}\n\n${message}`)
+      .catch(err => console.error('Failed to notify client:', err.message));
+  }
+}
+
+function notifyInvoicePartiallyPaid(invoice, amount, totals) {
+  notifyClient(invoice.user_id, '🟡 Счёт оплачен частично',
+    `По счёту #${invoice.id} получено $${amount.toFixed(2)}. ` +
+    `Осталось оплатить $${totals.outstanding.toFixed(2)} из $${invoice.final_amount.toFixed(2)} — переведите остаток на тот же адрес.`);
+
+  notifyAdmin(
+    `🟡 Частичная оплата\n\n` +
+    `Счет: #${invoice.id}\n` +
+    `Получено: $${totals.paid.toFixed(2)} из $${invoice.final_amount.toFixed(2)}\n` +
+    `Осталось: $${totals.outstanding.toFixed(2)}`
+  );
+}
+
+// Record a refund sent to the client (admin). Body: { amount, tx_hash, note }.
+// Refunding everything received closes the invoice as 'refunded'; an unfinished
+// partially paid invoice also releases its order like an expired one.
+app.post('/api/admin/invoices/:id/refunds', adminAuthMiddleware, requireAdminPermission('payments'), (req, res) => {
+  try {
+    const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const amount = roundMoney(parseFloat(req.body.amount));
+    const txHash = (req.body.tx_hash || '').trim();
+    const note = (req.body.note || '').trim() || null;
+    const before = getInvoiceTotals(invoice);
+    const refundable = getRefundableAmount(invoice);
+
+    if (!(amount > 0) || amount > refundable + PRICE_TOLERANCE) {
+      return res.status(400).json({ error: 'invalid_amount', message: `Вернуть можно от $0.01 до $${refundable.toFixed(2)}` });
+    }
+
+    if (!txHash) {
+      return res.status(400).json({ error: 'tx_hash_required', message: 'Укажите хеш транзакции возврата' });
+    }
+
+    if (db.prepare('SELECT id FROM invoice_payments WHERE tx_hash = ?').get(txHash)) {
+      return res.status(409).json({ error: 'tx_hash_used', message: 'Эта транзакция уже записана' });
+    }
+
+    const { updated, totals } = recordInvoiceRefund(invoice, { amount, txHash, note }, adminActor(req));
+
+    recordAdminAudit(req, 'invoice.refund', {
+      targetType: 'invoice',
+      targetId: invoice.id,
+      before: { status: invoice.status, ...before },
+      after: { status: updated.status, ...totals, tx_hash: txHash, note }
+    });
+
+    res.json({ success: true, status: updated.status, ...totals });
+  } catch (error) {
+    console.error('Refund invoice error:', error);
+    res.status(500).json({ error: 'Failed to record refund' });
+  }
+});
+
+// Money that can still be returned in cash. An overpayment was credited to the
+// client's balance when the invoice was paid, so it is not refunded a second time.
+function getRefundableAmount(invoice) {
+  const totals = getInvoiceTotals(invoice);
+  return roundMoney(Math.max(totals.paid - totals.refunded - (invoice.overpaid_amount || 0), 0));
+}
+
+// Record money returned to the client. Returning everything received closes the invoice
+// as 'refunded'; a partially paid invoice also releases its order like an expired one,
+// a paid one takes back what paying it gave (see reverseInvoicePayment).
+// refund: { amount (USD), txHash, network, networkAmount, refundOf (payment id), note }
+function recordInvoiceRefund(invoice, { amount, txHash = null, network = 'tron', networkAmount = null, refundOf = null, note = null }, actor) {
+  const refundable = getRefundableAmount(invoice);
+  let cashbackRefund = 0;
+  let reversal = null;
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO invoice_payments (invoice_id, kind, amount, network, network_amount, tx_hash, actor, note, refund_of)
+      VALUES (?, 'refund', ?, ?, ?, ?, ?, ?, ?)
+    `).run(invoice.id, amount, network, networkAmount ?? amount, txHash, actor, note, refundOf);
+
+    if (amount < refundable - PRICE_TOLERANCE) return;
+
+    db.prepare("UPDATE invoices SET status = 'refunded' WHERE id = ?").run(invoice.id);
+    if (invoice.status === 'partially_paid') {
+      cashbackRefund = releaseInvoice(invoice, actor, 'Оплата возвращена клиенту');
+    } else if (invoice.status === 'paid') {
+      reversal = reverseInvoicePayment(invoice, actor, 'Оплата возвращена клиенту');
+      cashbackRefund = reversal.cashbackReturned;
+    }
+  })();
+
+  const updated = db.prepare('SELECT * FROM invoices WHERE id = ?').get(invoice.id);
+  const totals = getInvoiceTotals(updated);
+
+  notifyClient(invoice.user_id, '↩️ Возврат средств',
+    `По счёту #${invoice.id} вам возвращено $${amount.toFixed(2)}` +
+    (network === 'stars' ? ` (${networkAmount} ⭐ на ваш счёт в Telegram).` : '.') +
+    (txHash ? `\nTxHash: ${txHash}` : '') +
+    (note ? `\nКомментарий: ${note}` : '') +
+    (cashbackRefund > 0 ? `\nКешбэк $${cashbackRefund.toFixed(2)}, списанный в счёт заказа, возвращён на баланс.` : '') +
+    (reversal && reversal.cashbackReversed > 0 ? `\nКешбэк $${reversal.cashbackReversed.toFixed(2)}, начисленный за эту оплату, списан.` : '') +
+    (reversal && reversal.orderCancelled ? `\nЗаказ #${invoice.order_id} отменён.` : ''));
+
+  if (reversal) {
+    for (const earning of reversal.referralReversed) {
+      notifyClient(earning.referrer_id, '↩️ Реферальный бонус отменён',
+        `Оплата заказа #${earning.order_id} возвращена клиенту, бонус $${earning.amount.toFixed(2)} списан с баланса.`);
+    }
+  }
+
+  return { updated, totals, cashbackRefund };
+}
+
+// Take back what confirmInvoicePayment gave once a paid invoice is refunded in full:
+// the cashback earned on it (the balance may go negative if it was already spent),
+// total_spent, the order's referral commissions and the cashback spent on the order.
+// An order still in work is cancelled. Runs inside the caller's transaction.
+// Returns { cashbackReturned, cashbackReversed, orderCancelled, referralReversed }
+function reverseInvoicePayment(invoice, actor, reason) {
+  const result = { cashbackReturned: 0, cashbackReversed: 0, orderCancelled: false, referralReversed: [] };
+  if (invoice.tip_id) return result;
+
+  const earned = db.prepare(`
+    SELECT COALESCE(SUM(e.amount), 0) as total
+    FROM ledger_entries e
+    JOIN ledger_transactions t ON e.transaction_id = t.id
+    WHERE e.account = ? AND t.type IN ('order_cashback', 'cashback_reversal') AND t.ref_type = 'invoice' AND t.ref_id = ?
+  `).get(userLedgerAccount(invoice.user_id, 'cashback'), invoice.id).total;
+  if (earned > 0) {
+    postUserBalance(invoice.user_id, 'cashback', -earned, {
+      type: 'cashback_reversal',
+      refType: 'invoice',
+      refId: invoice.id,
+      description: `Отмена кешбэка: оплата по счёту #${invoice.id} возвращена`,
+      allowNegative: true
+    });
+    result.cashbackReversed = roundMoney(earned);
+  }
+
+  db.prepare('UPDATE users SET total_spent = MAX(total_spent - ?, 0) WHERE id = ?').run(invoice.amount, invoice.user_id);
+
+  if (invoice.revision_id) return result;
+
+  const earnings = db.prepare("SELECT * FROM referral_earnings WHERE order_id = ? AND status != 'rejected'").all(invoice.order_id);
+  for (const earning of earnings) {
+    if (earning.status !== 'available') {
+      rejectReferralEarning(earning, actor, reason);
+      continue;
+    }
+
+    db.prepare(`
+      UPDATE referral_earnings SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+      WHERE id = ?
+    `).run(actor, reason, earning.id);
+    postUserBalance(earning.referrer_id, 'referral', -earning.amount, {
+      type: 'referral_reversal',
+      refType: 'order',
+      refId: earning.order_id,
+      description: `Отмена реферального бонуса: оплата заказа #${earning.order_id} возвращена`,
+      allowNegative: true
+    });
+    if (earning.referral_id) {
+      db.prepare('UPDATE referrals SET earnings = MAX(earnings - ?, 0) WHERE id = ?').run(earning.amount, earning.referral_id);
+    }
+    result.referralReversed.push(earning);
+  }
+
+  const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(invoice.order_id);
+  if (!order) return result;
+
+  if (order.status === 'working') {
+    const statusResult = changeOrderStatus(order, 'cancelled', actor, `${reason} (#${invoice.id})`);
+    if (statusResult.error) {
+      throw new Error(statusResult.message);
+    }
+    result.orderCancelled = true;
+  }
+
+  if (order.cashback_used > 0) {
+    postUserBalance(order.user_id, 'cashback', order.cashback_used, {
+      type: 'cashback_refund',
+      refType: 'invoice',
+      refId: invoice.id,
+      description: `Возврат кешбэка: оплата по счёту #${invoice.id} возвращена`
+    });
+    db.prepare('UPDATE orders SET cashback_used = 0 WHERE id = ?').run(order.id);
+    db.prepare('UPDATE invoices SET cashback_refunded = ? WHERE id = ?').run(order.cashback_used, invoice.id);
+    result.cashbackReturned = order.cashback_used;
+  }
 
-// Get invoice by ID
-app.get('/api/invoices/:id', authMiddleware, (req, res) => {
-  try {
-    const { id } = req.params;
-    const invoice = db.prepare(`
-      SELECT i.*, o.items, o.comment, u.name as user_name
-      FROM invoices i
-      LEFT JOIN orders o ON i.order_id = o.id
-      LEFT JOIN users u ON i.user_id = u.id
-      WHERE i.id = ?
-    `).get(id);
+  return result;
+}
 
+// Payments and refunds of an invoice (admin)
+app.get('/api/admin/invoices/:id/payments', adminAuthMiddleware, requireAdminPermission('invoices'), (req, res) => {
+  try {
+    const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(req.params.id);
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
     res.json({
-      ...invoice,
-      items: JSON.parse(invoice.items || '[]')
+      ...getInvoiceTotals(invoice),
+      payments: getInvoicePayments(invoice.id).map(payment => ({ ...serializeInvoicePayment(payment), actor: payment.actor }))
     });
   } catch (error) {
-    console.error('Get invoice error:', error);
-    res.status(500).json({ error: 'Failed to get invoice' });
+    console.error('Get invoice payments error:', error);
+    res.status(500).json({ error: 'Failed to get invoice payments' });
   }
 });
 
-// Verify invoice payment
-app.post('/api/invoices/:id/verify', authMiddleware, (req, res) => {
-  try {
-    const { id } = req.params;
-    const { tx_hash } = req.body;
-
-    const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(id);
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
+// ==================== DOCUMENTS ====================
+
+// An invoice and a receipt can be rendered for any invoice, as HTML or PDF. Links are
+// signed like file links so they open in a browser outside the mini app. A receipt
+// exists once money has been received; the bot sends it as a PDF when an invoice is paid.
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'White Agency';
+const COMPANY_DETAILS = process.env.COMPANY_DETAILS || '';
+const INVOICE_DOCUMENT_KINDS = ['invoice', 'receipt'];
+const INVOICE_DOCUMENT_FORMATS = {
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+const INVOICE_STATUS_LABELS = {
+  awaiting_payment: 'Ожидает оплаты',
+  partially_paid: 'Оплачен частично',
+  paid: 'Оплачен',
+  refunded: 'Оплата возвращена',
+  expired: 'Просрочен',
+  cancelled: 'Отменён'
+};
+
+const PAYMENT_NETWORK_NAMES = {
+  tron: 'USDT TRC-20',
+  ton: 'TON',
+  stars: 'Telegram Stars'
+};
+
+function formatDocumentDate(value) {
+  const date = value instanceof Date ? value : parseDbDate(value);
+  return date.toLocaleString('ru-RU', {
+    timeZone: INVOICE_TIME_ZONE,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
 
-    // Update invoice with tx_hash
-    db.prepare('UPDATE invoices SET tx_hash = ? WHERE id = ?').run(tx_hash, id);
+function hasInvoiceReceipt(invoice) {
+  return getInvoiceTotals(invoice).paid > 0;
+}
 
-    // Return invoice for verification (will be verified via TronScan in the client)
-    res.json({ success: true, invoice: { ...invoice, tx_hash } });
-  } catch (error) {
-    console.error('Verify invoice error:', error);
-    res.status(500).json({ error: 'Failed to verify invoice' });
+// Display-ready document for the renderers in ./documents; kind is 'invoice' or 'receipt'
+function buildInvoiceDocument(invoice, kind) {
+  const usd = amount => formatMoney(amount, BASE_CURRENCY);
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(invoice.user_id) || {};
+  const orderId = getInvoiceOrderId(invoice);
+  const order = invoice.order_id ? db.prepare('SELECT * FROM orders WHERE id = ?').get(invoice.order_id) : null;
+  const totals = getInvoiceTotals(invoice);
+  const payments = getInvoicePayments(invoice.id);
+
+  const fields = [
+    ['Дата счёта', formatDocumentDate(invoice.created_at)],
+    ['Клиент', `${user.name || '—'}${user.username ? ` (@${user.username})` : ''}`],
+    ['Telegram ID', user.telegram_id || '—']
+  ];
+  if (orderId) {
+    fields.push(['Заказ', `#${orderId}`]);
   }
-});
+  fields.push(['Статус', INVOICE_STATUS_LABELS[invoice.status] || invoice.status]);
 
-// Confirm invoice payment (after TronScan verification)
-app.post('/api/invoices/:id/confirm', authMiddleware, (req, res) => {
-  try {
-    const { id } = req.params;
+  if (kind === 'receipt') {
+    const lastPayment = payments.filter(p => p.kind === 'payment').pop();
+    fields.push(['Дата оплаты', formatDocumentDate(invoice.paid_at || lastPayment.created_at)]);
+    fields.push(['Способ оплаты', PAYMENT_NETWORK_NAMES[lastPayment.network] || lastPayment.network]);
+    fields.push(['Хеш транзакции', invoice.tx_hash || lastPayment.tx_hash || '—']);
+  } else {
+    if (OPEN_INVOICE_STATUSES.includes(invoice.status) && invoice.expires_at) {
+      fields.push(['Оплатить до', formatDocumentDate(invoice.expires_at)]);
+    }
+    fields.push(['Способ оплаты', `${SETTLEMENT_CURRENCY} (TRC-20) или TON`]);
+    fields.push(['Адрес для оплаты', invoice.payment_address]);
+  }
 
-    const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(id);
-    if (!invoice) {
-      return res.status(404).json({ error: 'Invoice not found' });
+  // Order pricing first, then what was changed on the invoice itself
+  const lines = [];
+  if (order) {
+    lines.push({ label: 'Стоимость услуг', value: usd(order.subtotal) });
+    if (order.discount_amount > 0) {
+      lines.push({ label: order.promo_code ? `Скидка (промокод ${order.promo_code})` : 'Скидка', value: `−${usd(order.discount_amount)}` });
+    }
+    if (order.cashback_used > 0) {
+      lines.push({ label: 'Оплачено кешбэком', value: `−${usd(order.cashback_used)}` });
     }
+  }
+  if (invoice.discount_amount > 0 || (order && Math.abs(order.total - invoice.amount) > PRICE_TOLERANCE)) {
+    lines.push({ label: 'Сумма счёта', value: usd(invoice.amount) });
+  }
+  if (invoice.discount_amount > 0) {
+    lines.push({ label: `Промокод ${invoice.promo_code}`, value: `−${usd(invoice.discount_amount)}` });
+  }
+  lines.push({ label: kind === 'receipt' ? 'Итого по счёту' : 'Итого к оплате', value: usd(invoice.final_amount), strong: true });
+  if (invoice.display_currency && invoice.display_currency !== BASE_CURRENCY.code) {
+    const currency = db.prepare('SELECT * FROM currencies WHERE code = ?').get(invoice.display_currency) ||
+      { code: invoice.display_currency, symbol: invoice.display_currency, decimals: 2 };
+    lines.push({
+      label: `≈ в ${invoice.display_currency} по курсу на дату счёта`,
+      value: formatMoney(invoice.display_amount, currency)
+    });
+  }
 
-    // Update invoice status
-    db.prepare('UPDATE invoices SET status = ?, paid_at = CURRENT_TIMESTAMP WHERE id = ?').run('paid', id);
+  if (kind === 'receipt') {
+    lines.push({ label: 'Оплачено', value: usd(totals.paid), strong: true });
+    if (totals.refunded > 0) {
+      lines.push({ label: 'Возвращено', value: `−${usd(totals.refunded)}` });
+    }
+    if (totals.outstanding > 0 && OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      lines.push({ label: 'Осталось оплатить', value: usd(totals.outstanding) });
+    }
+    if (invoice.overpaid_amount > 0) {
+      lines.push({ label: 'Переплата зачислена на баланс', value: usd(invoice.overpaid_amount) });
+    }
+  }
 
-    // Update order status to working
-    db.prepare('UPDATE orders SET status = ?, tx_hash = ? WHERE id = ?').run('working', invoice.tx_hash, invoice.order_id);
+  let note = null;
+  if (kind === 'invoice' && OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+    note = `Переведите ${usd(totals.outstanding)} в ${SETTLEMENT_CURRENCY} (TRC-20) на адрес выше или оплатите в TON из приложения.`;
+  } else if (kind === 'receipt' && invoice.status === 'refunded') {
+    note = 'Оплата по счёту возвращена клиенту.';
+  }
 
-    // NOW PROCESS PAYMENT REWARDS (cashback, referrals, level)
-    // Calculate and add cashback (5%)
-    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(invoice.order_id);
-    const cashbackAmount = invoice.amount * 0.05;
+  return {
+    title: kind === 'receipt' ? `Квитанция об оплате № ${invoice.id}` : `Счёт на оплату № ${invoice.id}`,
+    subtitle: invoice.reissued_from ? `Выставлен вместо счёта № ${invoice.reissued_from}` : null,
+    seller: { name: COMPANY_NAME, details: COMPANY_DETAILS },
+    fields,
+    items: getInvoiceItems(invoice).map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      price: usd(item.price ?? item.total / item.quantity),
+      total: usd(item.total)
+    })),
+    totals: lines,
+    payments: kind === 'receipt'
+      ? payments.map(payment => ({
+        date: formatDocumentDate(payment.created_at),
+        label: `${payment.kind === 'refund' ? 'Возврат' : 'Оплата'} · ${PAYMENT_NETWORK_NAMES[payment.network] || payment.network}` +
+          (payment.network === 'ton' && payment.network_amount ? ` · ${payment.network_amount} TON` : '') +
+          (payment.network === 'stars' && payment.network_amount ? ` · ${payment.network_amount} ⭐` : ''),
+        amount: `${payment.kind === 'refund' ? '−' : ''}${usd(payment.amount)}`,
+        txHash: payment.tx_hash
+      }))
+      : [],
+    note,
+    footer: `Документ сформирован ${formatDocumentDate(new Date())} (${INVOICE_TIME_ZONE}). ${COMPANY_NAME}`
+  };
+}
 
-    db.prepare(`
-      UPDATE users SET
-        cashback = cashback + ?,
-        total_spent = total_spent + ?
-      WHERE id = ?
-    `).run(cashbackAmount, invoice.amount, invoice.user_id);
+// Returns a Buffer for pdf and a string for html
+function renderInvoiceDocument(invoice, kind, format) {
+  const doc = buildInvoiceDocument(invoice, kind);
+  return format === 'pdf' ? renderDocumentPdf(doc) : Promise.resolve(renderDocumentHtml(doc));
+}
 
-    // Add cashback history
-    db.prepare(`
-      INSERT INTO cashback_history (user_id, amount, description)
-      VALUES (?, ?, ?)
-    `).run(invoice.user_id, cashbackAmount, `Кешбэк за заказ #${invoice.order_id}`);
+function getSignedDocumentUrl(req, invoiceId, name) {
+  const expires = Math.floor(Date.now() / 1000) + FILE_URL_TTL_SECONDS;
+  const sig = signFile(`invoice:${invoiceId}`, name, expires);
+  return `${getPublicBaseUrl(req)}/api/invoices/${invoiceId}/documents/${name}?expires=${expires}&sig=${sig}`;
+}
 
-    // Check and update user level
-    updateUserLevel(invoice.user_id);
+// { invoice: { html, pdf }, receipt: { html, pdf } | null }
+function getInvoiceDocumentLinks(req, invoice) {
+  const links = kind => ({
+    html: getSignedDocumentUrl(req, invoice.id, `${kind}.html`),
+    pdf: getSignedDocumentUrl(req, invoice.id, `${kind}.pdf`)
+  });
+  return {
+    invoice: links('invoice'),
+    receipt: hasInvoiceReceipt(invoice) ? links('receipt') : null
+  };
+}
 
-    // Process referral payment for first order
-    processReferralPayment(invoice.user_id);
+// Download an invoice document by signed link, e.g. /api/invoices/INV1/documents/receipt.pdf
+app.get('/api/invoices/:id/documents/:name', async (req, res) => {
+  try {
+    const { id, name } = req.params;
+    const [kind, format] = name.split('.');
+    if (!INVOICE_DOCUMENT_KINDS.includes(kind) || !INVOICE_DOCUMENT_FORMATS[format]) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    // Send notification to user
-    db.prepare(`
-      INSERT INTO notifications (user_id, title, message)
-      VALUES (?, ?, ?)
-    `).run(invoice.user_id, '✅ Оплата подтверждена', `Счет #${id} оплачен. Заказ принят в работу!`);
+    if (!verifyFileSignature(`invoice:${id}`, name, req.query.expires, req.query.sig)) {
+      return res.status(403).json({ error: 'invalid_signature', message: 'Ссылка недействительна или устарела' });
+    }
 
-    // Notify admin
-    notifyAdmin(
-      `✅ Оплата подтверждена\n\n` +
-      `Счет: #${id}\n` +
-      `Заказ: #${invoice.order_id}\n` +
-      `Сумма: $${invoice.final_amount}\n` +
-      `TxHash: ${invoice.tx_hash}`
-    );
+    const invoice = getInvoiceDetails(id);
+    if (!invoice || (kind === 'receipt' && !hasInvoiceReceipt(invoice))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    res.json({ success: true });
+    const body = await renderInvoiceDocument(invoice, kind, format);
+    const disposition = req.query.download ? 'attachment' : 'inline';
+    res.setHeader('Content-Type', INVOICE_DOCUMENT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `${disposition}; filename="${kind}-${invoice.id}.${format}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(body);
   } catch (error) {
-    console.error('Confirm invoice error:', error);
-    res.status(500).json({ error: 'Failed to confirm invoice' });
+    console.error('Invoice document error:', error);
+    res.status(500).json({ error: 'Failed to render document' });
   }
 });
 
-// Get all invoices (admin only)
-app.get('/api/admin/invoices', adminAuthMiddleware, (req, res) => {
+// Send the receipt PDF to the client in Telegram. Failures are only logged.
+async function sendInvoiceReceipt(invoiceId) {
   try {
-    const invoices = db.prepare(`
-      SELECT i.*, u.name as user_name, u.username, o.id as order_number
-      FROM invoices i
-      LEFT JOIN users u ON i.user_id = u.id
-      LEFT JOIN orders o ON i.order_id = o.id
-      ORDER BY i.created_at DESC
-    `).all();
-    res.json(invoices);
+    const invoice = getInvoiceDetails(invoiceId);
+    const user = invoice && db.prepare('SELECT telegram_id FROM users WHERE id = ?').get(invoice.user_id);
+    if (!user || !user.telegram_id || !hasInvoiceReceipt(invoice)) return;
+
+    const pdf = await renderInvoiceDocument(invoice, 'receipt', 'pdf');
+    await bot.telegram.sendDocument(user.telegram_id, {
+      source: pdf,
+      filename: `receipt-${invoice.id}.pdf`
+    }, {
+      caption: `🧾 Квитанция об оплате счёта #${invoice.id}`
+    });
   } catch (error) {
-    console.error('Get invoices error:', error);
-    res.status(500).json({ error: 'Failed to get invoices' });
+    console.error(`Failed to send receipt for ${invoiceId}:`, error.message);
   }
-});
+}
 
 // ==================== PROMO CODES ====================
 
-// Get all promo codes (admin only)
-app.get('/api/admin/promos', adminAuthMiddleware, (req, res) => {
+// Get promo codes created one by one, campaign codes are listed per campaign (admin only)
+app.get('/api/admin/promos', adminAuthMiddleware, requireAdminPermission('promos'), (req, res) => {
   try {
     const promos = db.prepare(`
-      SELECT * FROM promo_codes ORDER BY created_at DESC
+      SELECT * FROM promo_codes WHERE campaign_id IS NULL ORDER BY created_at DESC
     `).all();
     res.json(promos);
   } catch (error) {
@@ -1714,23 +6089,90 @@ app.get('/api/admin/promos', adminAuthMiddleware, (req, res) => {
   }
 });
 
+// Validate promo rules from the admin form, returns { values } or { error }
+function parsePromoRules(body) {
+  const discountType = body.discount_type || 'percent';
+  if (!PROMO_DISCOUNT_TYPES.includes(discountType)) {
+    return { error: 'Unknown discount type' };
+  }
+
+  const discountPercent = discountType === 'percent' ? Number(body.discount_percent) : 0;
+  const discountAmount = discountType === 'fixed' ? roundMoney(Number(body.discount_amount)) : null;
+  if (discountType === 'percent' && !(discountPercent >= 1 && discountPercent <= 100)) {
+    return { error: 'Discount must be between 1-100%' };
+  }
+  if (discountType === 'fixed' && !(discountAmount > 0)) {
+    return { error: 'Discount amount must be positive' };
+  }
+
+  const minOrderAmount = body.min_order_amount ? roundMoney(Number(body.min_order_amount)) : null;
+  const perUserLimit = body.per_user_limit ? Number(body.per_user_limit) : null;
+  if (minOrderAmount !== null && !(minOrderAmount > 0)) {
+    return { error: 'Minimum order amount must be positive' };
+  }
+  if (perUserLimit !== null && !(Number.isInteger(perUserLimit) && perUserLimit > 0)) {
+    return { error: 'Per-user limit must be a positive integer' };
+  }
+
+  const productIds = (Array.isArray(body.product_ids) ? body.product_ids : []).map(Number);
+  if (productIds.some(id => !Number.isInteger(id))) {
+    return { error: 'Invalid product ids' };
+  }
+  const categories = (Array.isArray(body.categories) ? body.categories : [])
+    .map(category => String(category).trim())
+    .filter(Boolean);
+
+  return {
+    values: {
+      discount_type: discountType,
+      discount_percent: discountPercent,
+      discount_amount: discountAmount,
+      min_order_amount: minOrderAmount,
+      per_user_limit: perUserLimit,
+      first_order_only: body.first_order_only ? 1 : 0,
+      product_ids: productIds.length > 0 ? JSON.stringify(productIds) : null,
+      categories: categories.length > 0 ? JSON.stringify(categories) : null
+    }
+  };
+}
+
 // Create promo code (admin only)
-app.post('/api/admin/promos', adminAuthMiddleware, (req, res) => {
+app.post('/api/admin/promos', adminAuthMiddleware, requireAdminPermission('promos'), (req, res) => {
   try {
-    const { code, discount_percent, max_uses, expires_at } = req.body;
+    const { code, max_uses, expires_at } = req.body;
 
-    if (!code || !discount_percent) {
-      return res.status(400).json({ error: 'Code and discount are required' });
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
     }
 
-    if (discount_percent < 1 || discount_percent > 100) {
-      return res.status(400).json({ error: 'Discount must be between 1-100%' });
+    const rules = parsePromoRules(req.body);
+    if (rules.error) {
+      return res.status(400).json({ error: rules.error });
     }
 
+    const { values } = rules;
     const result = db.prepare(`
-      INSERT INTO promo_codes (code, discount_percent, max_uses, expires_at, is_active)
-      VALUES (?, ?, ?, ?, 1)
-    `).run(code.toUpperCase(), discount_percent, max_uses || null, expires_at || null);
+      INSERT INTO promo_codes (code, discount_type, discount_percent, discount_amount, min_order_amount, per_user_limit, first_order_only, product_ids, categories, max_uses, expires_at, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
+    `).run(
+      code.toUpperCase(),
+      values.discount_type,
+      values.discount_percent,
+      values.discount_amount,
+      values.min_order_amount,
+      values.per_user_limit,
+      values.first_order_only,
+      values.product_ids,
+      values.categories,
+      max_uses || null,
+      expires_at || null
+    );
+
+    recordAdminAudit(req, 'promo.create', {
+      targetType: 'promo',
+      targetId: result.lastInsertRowid,
+      after: db.prepare('SELECT * FROM promo_codes WHERE id = ?').get(result.lastInsertRowid)
+    });
 
     res.json({
       success: true,
@@ -1748,9 +6190,11 @@ app.post('/api/admin/promos', adminAuthMiddleware, (req, res) => {
 });
 
 // Delete promo code (admin only)
-app.delete('/api/admin/promos/:id', adminAuthMiddleware, (req, res) => {
+app.delete('/api/admin/promos/:id', adminAuthMiddleware, requireAdminPermission('promos'), (req, res) => {
   try {
+    const previous = db.prepare('SELECT * FROM promo_codes WHERE id = ?').get(req.params.id);
     db.prepare('DELETE FROM promo_codes WHERE id = ?').run(req.params.id);
+    recordAdminAudit(req, 'promo.delete', { targetType: 'promo', targetId: req.params.id, before: previous });
     res.json({ success: true });
   } catch (error) {
     console.error('Delete promo error:', error);
@@ -1758,30 +6202,48 @@ app.delete('/api/admin/promos/:id', adminAuthMiddleware, (req, res) => {
   }
 });
 
-// Check promo code validity (public)
-app.get('/api/promo/:code', (req, res) => {
+// Check a promo code for the current user. Optional cart context:
+// ?products=<id>:<qty>,... for the cart or ?service=<name> for a single-service order.
+// Redemption happens only when the order is created.
+app.get('/api/promo/:code', authMiddleware, (req, res) => {
   try {
-    const code = req.params.code.toUpperCase();
-    const promo = db.prepare('SELECT * FROM promo_codes WHERE code = ? AND is_active = 1').get(code);
-
-    if (!promo) {
-      return res.json({ valid: false, error: 'Промокод не найден' });
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    // Check expiration
-    if (promo.expires_at && new Date(promo.expires_at) < new Date()) {
-      return res.json({ valid: false, error: 'Промокод истёк' });
+    let lines = null;
+    if (req.query.products) {
+      const resolved = resolveCartItems(String(req.query.products).split(',').map(entry => {
+        const [productId, quantity = '1'] = entry.split(':');
+        return { product_id: Number(productId), quantity: Number(quantity) };
+      }));
+      if (resolved.error) {
+        return res.json({ valid: false, error: resolved.message });
+      }
+      lines = resolved.lines;
+    } else if (req.query.service) {
+      const product = db.prepare('SELECT * FROM products WHERE name = ? AND is_active = 1').get(String(req.query.service));
+      if (!product) {
+        return res.json({ valid: false, error: `Услуга ${req.query.service} недоступна` });
+      }
+      lines = [{ product, quantity: 1 }];
     }
 
-    // Check usage limit
-    if (promo.max_uses && promo.current_uses >= promo.max_uses) {
-      return res.json({ valid: false, error: 'Промокод исчерпан' });
+    const { promo, error } = findValidPromo(req.params.code, user, lines);
+    if (error) {
+      return res.json({ valid: false, error });
     }
 
     res.json({
       valid: true,
       code: promo.code,
-      discount: promo.discount_percent
+      discount_type: promo.discount_type,
+      discount: promo.discount_percent,
+      discount_amount: promo.discount_amount,
+      min_order_amount: promo.min_order_amount,
+      first_order_only: !!promo.first_order_only,
+      restricted: !!(promo.product_ids || promo.categories)
     });
   } catch (error) {
     console.error('Check promo error:', error);
@@ -1789,53 +6251,508 @@ app.get('/api/promo/:code', (req, res) => {
   }
 });
 
-// Apply promo code (update uses count)
-app.post('/api/promo/apply', (req, res) => {
+// Update user cashback (admin only)
+app.post('/api/admin/users/:id/cashback', adminAuthMiddleware, requireAdminPermission('cashback'), (req, res) => {
   try {
-    const { code, user_id, order_id } = req.body;
-    const codeUpper = code.toUpperCase();
+    const { amount } = req.body;
+    const userId = req.params.id;
 
-    const promo = db.prepare('SELECT * FROM promo_codes WHERE code = ? AND is_active = 1').get(codeUpper);
+    if (amount === undefined || !Number.isFinite(Number(amount))) {
+      return res.status(400).json({ error: 'Amount is required' });
+    }
 
-    if (!promo) {
-      return res.json({ success: false, error: 'Промокод не найден' });
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    // Update use count
-    db.prepare('UPDATE promo_codes SET current_uses = current_uses + 1 WHERE id = ?').run(promo.id);
+    postUserBalance(user.id, 'cashback', Number(amount), {
+      type: 'admin_adjustment',
+      refType: 'admin',
+      refId: req.admin.id,
+      description: req.body.reason || (amount >= 0 ? 'Начисление администратором' : 'Списание администратором')
+    });
 
-    // Record use
-    db.prepare(`
-      INSERT INTO promo_uses (promo_id, user_id, order_id)
-      VALUES (?, ?, ?)
-    `).run(promo.id, user_id, order_id);
+    recordAdminAudit(req, 'user.cashback', {
+      targetType: 'user',
+      targetId: user.id,
+      before: { cashback: user.cashback },
+      after: { cashback: db.prepare('SELECT cashback FROM users WHERE id = ?').get(user.id).cashback, amount: Number(amount), reason: req.body.reason || null }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(400).json({ error: error.code, message: error.message });
+    }
+    console.error('Update cashback error:', error);
+    res.status(500).json({ error: 'Failed to update cashback' });
+  }
+});
+
+// Get user ledger entries (admin only)
+app.get('/api/admin/users/:id/ledger', adminAuthMiddleware, requireAdminPermission('cashback'), (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
     res.json({
-      success: true,
-      discount: promo.discount_percent
+      cashback: getUserLedger(user.id, 'cashback', 500),
+      referral: getUserLedger(user.id, 'referral', 500)
     });
   } catch (error) {
-    console.error('Apply promo error:', error);
-    res.status(500).json({ error: 'Failed to apply promo code' });
+    console.error('Get user ledger error:', error);
+    res.status(500).json({ error: 'Failed to get ledger' });
   }
 });
 
-// Update user cashback (admin only)
-app.post('/api/admin/users/:id/cashback', adminAuthMiddleware, (req, res) => {
+// Compare cached user balances with the ledger (admin only)
+app.get('/api/admin/ledger/reconcile', adminAuthMiddleware, requireAdminPermission('cashback'), (req, res) => {
   try {
-    const { amount } = req.body;
-    const userId = req.params.id;
+    const users = db.prepare('SELECT id, name, username, cashback, referral_earnings FROM users').all();
+    const drift = [];
+
+    for (const user of users) {
+      for (const kind of Object.keys(BALANCE_COLUMNS)) {
+        const cached = user[BALANCE_COLUMNS[kind]] || 0;
+        const ledger = getLedgerBalance(userLedgerAccount(user.id, kind));
+        if (Math.abs(cached - ledger) > PRICE_TOLERANCE) {
+          drift.push({
+            user_id: user.id,
+            name: user.name,
+            username: user.username,
+            kind,
+            cached,
+            ledger,
+            difference: roundMoney(cached - ledger)
+          });
+        }
+      }
+    }
 
-    if (amount === undefined) {
-      return res.status(400).json({ error: 'Amount is required' });
+    const unbalanced = db.prepare(`
+      SELECT transaction_id, ROUND(SUM(amount), 6) as total
+      FROM ledger_entries
+      GROUP BY transaction_id
+      HAVING ABS(SUM(amount)) > 0.000001
+    `).all();
+
+    res.json({
+      ok: drift.length === 0 && unbalanced.length === 0,
+      usersChecked: users.length,
+      drift,
+      unbalanced
+    });
+  } catch (error) {
+    console.error('Ledger reconcile error:', error);
+    res.status(500).json({ error: 'Failed to reconcile ledger' });
+  }
+});
+
+// ==================== PROMO CAMPAIGNS ====================
+
+// Campaign codes are generated from a pattern where every '#' becomes a random
+// character, e.g. BLOGGER-#### -> BLOGGER-7KQ2. The alphabet skips look-alikes (0/O, 1/I).
+const CAMPAIGN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CAMPAIGN_PATTERN_REGEX = /^[A-Z0-9_\-#]{4,32}$/;
+const MAX_CAMPAIGN_CODES = 5000;
+
+function generateCampaignCode(pattern) {
+  return pattern.replace(/#/g, () => CAMPAIGN_CODE_ALPHABET[crypto.randomInt(CAMPAIGN_CODE_ALPHABET.length)]);
+}
+
+// Redemptions, discounts, paid revenue and first-time buyers of a campaign.
+// A user counts as new when the campaign order was their first order.
+function getCampaignStats(campaignId) {
+  const codes = db.prepare(`
+    SELECT COUNT(*) as total, COALESCE(SUM(current_uses > 0), 0) as redeemed
+    FROM promo_codes WHERE campaign_id = ?
+  `).get(campaignId);
+
+  const uses = db.prepare(`
+    SELECT COUNT(*) as redemptions,
+      COALESCE(SUM(pu.discount_amount), 0) as discount_total,
+      COALESCE(SUM(CASE WHEN o.status IN (${PAID_STATUSES.map(() => '?').join(', ')}) THEN o.total ELSE 0 END), 0) as revenue,
+      COUNT(DISTINCT CASE WHEN NOT EXISTS (
+        SELECT 1 FROM orders prev
+        WHERE prev.user_id = o.user_id AND prev.rowid < o.rowid AND prev.status != 'cancelled'
+      ) THEN o.user_id END) as new_users
+    FROM promo_uses pu
+    JOIN promo_codes pc ON pc.id = pu.promo_id
+    JOIN orders o ON o.id = pu.order_id
+    WHERE pc.campaign_id = ?
+  `).get(...PAID_STATUSES, campaignId);
+
+  return {
+    codes_total: codes.total,
+    codes_redeemed: codes.redeemed,
+    redemptions: uses.redemptions,
+    discount_total: roundMoney(uses.discount_total),
+    revenue: roundMoney(uses.revenue),
+    new_users: uses.new_users
+  };
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// List campaigns with their stats (admin only)
+app.get('/api/admin/promo-campaigns', adminAuthMiddleware, requireAdminPermission('promos'), (req, res) => {
+  try {
+    const campaigns = db.prepare('SELECT * FROM promo_campaigns ORDER BY created_at DESC, id DESC').all();
+    res.json(campaigns.map(campaign => ({ ...campaign, stats: getCampaignStats(campaign.id) })));
+  } catch (error) {
+    console.error('Get promo campaigns error:', error);
+    res.status(500).json({ error: 'Failed to get promo campaigns' });
+  }
+});
+
+// Create a campaign and generate its codes (admin only)
+app.post('/api/admin/promo-campaigns', adminAuthMiddleware, requireAdminPermission('promos'), (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    const pattern = String(req.body.pattern || '').trim().toUpperCase();
+    const count = Number(req.body.count);
+
+    if (!name) {
+      return res.status(400).json({ error: 'Campaign name is required' });
+    }
+    if (!CAMPAIGN_PATTERN_REGEX.test(pattern) || !pattern.includes('#')) {
+      return res.status(400).json({ error: 'Pattern must be 4-32 characters of A-Z, 0-9, "-", "_" with at least one "#"' });
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CAMPAIGN_CODES) {
+      return res.status(400).json({ error: `Count must be between 1 and ${MAX_CAMPAIGN_CODES}` });
+    }
+
+    // Keep random collisions rare: the pattern must allow far more codes than requested
+    const placeholders = (pattern.match(/#/g) || []).length;
+    if (Math.pow(CAMPAIGN_CODE_ALPHABET.length, placeholders) < count * 100) {
+      return res.status(400).json({ error: 'Pattern is too short for this many codes, add more "#"' });
+    }
+
+    // Campaign codes are single-use, so the per-user limit of the form doesn't apply
+    const rules = parsePromoRules({ ...req.body, per_user_limit: null });
+    if (rules.error) {
+      return res.status(400).json({ error: rules.error });
+    }
+
+    const { values } = rules;
+    const expiresAt = req.body.expires_at || null;
+    const codeExists = db.prepare('SELECT 1 FROM promo_codes WHERE code = ?');
+    const insertCode = db.prepare(`
+      INSERT INTO promo_codes (code, campaign_id, discount_type, discount_percent, discount_amount, min_order_amount, per_user_limit, first_order_only, product_ids, categories, max_uses, expires_at, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?, 1, ?, 1)
+    `);
+
+    const campaignId = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO promo_campaigns (name, pattern, code_count, discount_type, discount_percent, discount_amount, min_order_amount, first_order_only, product_ids, categories, expires_at, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        name, pattern, count, values.discount_type, values.discount_percent, values.discount_amount,
+        values.min_order_amount, values.first_order_only, values.product_ids, values.categories, expiresAt, adminActor(req)
+      );
+
+      const generated = new Set();
+      while (generated.size < count) {
+        const code = generateCampaignCode(pattern);
+        if (generated.has(code) || codeExists.get(code)) continue;
+        generated.add(code);
+        insertCode.run(
+          code, result.lastInsertRowid, values.discount_type, values.discount_percent, values.discount_amount,
+          values.min_order_amount, values.first_order_only, values.product_ids, values.categories, expiresAt
+        );
+      }
+
+      return result.lastInsertRowid;
+    })();
+
+    const campaign = db.prepare('SELECT * FROM promo_campaigns WHERE id = ?').get(campaignId);
+    recordAdminAudit(req, 'promo_campaign.create', { targetType: 'promo_campaign', targetId: campaignId, after: campaign });
+
+    res.json({ ...campaign, stats: getCampaignStats(campaignId) });
+  } catch (error) {
+    console.error('Create promo campaign error:', error);
+    res.status(500).json({ error: 'Failed to create promo campaign' });
+  }
+});
+
+// Export campaign codes with their redemption as CSV (admin only)
+app.get('/api/admin/promo-campaigns/:id/codes.csv', adminAuthMiddleware, requireAdminPermission('promos'), (req, res) => {
+  try {
+    const campaign = db.prepare('SELECT * FROM promo_campaigns WHERE id = ?').get(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const codes = db.prepare(`
+      SELECT pc.code, pc.is_active, pu.order_id, pu.used_at, u.username
+      FROM promo_codes pc
+      LEFT JOIN promo_uses pu ON pu.promo_id = pc.id
+      LEFT JOIN users u ON u.id = pu.user_id
+      WHERE pc.campaign_id = ?
+      ORDER BY pc.id
+    `).all(campaign.id);
+
+    const csv = [
+      ['code', 'status', 'order_id', 'username', 'used_at'].join(','),
+      ...codes.map(code => [
+        code.code,
+        code.order_id ? 'redeemed' : code.is_active ? 'active' : 'revoked',
+        code.order_id,
+        code.username,
+        code.used_at
+      ].map(csvCell).join(','))
+    ].join('\n');
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaign.id}-codes.csv"`);
+    res.send(csv + '\n');
+  } catch (error) {
+    console.error('Export promo campaign error:', error);
+    res.status(500).json({ error: 'Failed to export promo campaign' });
+  }
+});
+
+// Revoke a campaign: its unused codes stop working, redeemed orders keep their discount (admin only)
+app.post('/api/admin/promo-campaigns/:id/revoke', adminAuthMiddleware, requireAdminPermission('promos'), (req, res) => {
+  try {
+    const previous = db.prepare('SELECT * FROM promo_campaigns WHERE id = ?').get(req.params.id);
+    if (!previous) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (previous.status === 'revoked') {
+      return res.status(409).json({ error: 'already_revoked', message: 'Кампания уже отозвана' });
+    }
+
+    // Redeemed codes are switched off too, so a cancelled order can't give its code back
+    const revoked = db.transaction(() => {
+      const unused = db.prepare('SELECT COUNT(*) as count FROM promo_codes WHERE campaign_id = ? AND is_active = 1 AND current_uses = 0').get(previous.id).count;
+      db.prepare("UPDATE promo_campaigns SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP WHERE id = ?").run(previous.id);
+      db.prepare('UPDATE promo_codes SET is_active = 0 WHERE campaign_id = ?').run(previous.id);
+      return unused;
+    })();
+
+    const campaign = db.prepare('SELECT * FROM promo_campaigns WHERE id = ?').get(previous.id);
+    recordAdminAudit(req, 'promo_campaign.revoke', {
+      targetType: 'promo_campaign',
+      targetId: previous.id,
+      before: previous,
+      after: { ...campaign, codes_revoked: revoked }
+    });
+
+    res.json({ ...campaign, codes_revoked: revoked, stats: getCampaignStats(previous.id) });
+  } catch (error) {
+    console.error('Revoke promo campaign error:', error);
+    res.status(500).json({ error: 'Failed to revoke promo campaign' });
+  }
+});
+
+// ==================== REFERRAL HOLDS ====================
+
+// A referral commission sits in referral_earnings until it is released to the
+// referrer's balance: 'held' commissions after the programme's hold_days, 'review'
+// ones once an admin approves them. A pair is flagged when the referrer and the
+// referee share a TRC-20 wallet or a payment source address, or when the timing
+// looks like one person with two accounts. Exchange wallets are shared by many
+// clients, so flags only send the commission to review.
+
+const REFERRAL_FAST_ORDER_MINUTES = parseFloat(process.env.REFERRAL_FAST_ORDER_MINUTES) || 10;
+const REFERRAL_BURST_COUNT = parseInt(process.env.REFERRAL_BURST_COUNT) || 5;
+const REFERRAL_BURST_HOURS = parseFloat(process.env.REFERRAL_BURST_HOURS) || 24;
+const REFERRAL_RELEASE_INTERVAL_MS = parseInt(process.env.REFERRAL_RELEASE_INTERVAL_MS) || 10 * 60 * 1000;
+
+let referralReleaseTimer = null;
+
+function parseReferralFlags(earning) {
+  try {
+    return JSON.parse(earning.flags || '[]');
+  } catch (error) {
+    return [];
+  }
+}
+
+// Addresses a user's invoices were paid from (transfers seen by the watcher or confirmed by hash)
+function getPaymentSourceAddresses(userId) {
+  return db.prepare(`
+    SELECT DISTINCT ct.from_address FROM chain_transfers ct
+    JOIN invoices i ON i.id = ct.invoice_id
+    WHERE i.user_id = ? AND ct.from_address IS NOT NULL AND ct.from_address != ''
+  `).all(userId).map(row => row.from_address);
+}
+
+// Reasons to hold a commission for review: [{ type, detail }]
+function detectReferralFraud(referrerId, referee, referral, isFirstOrder) {
+  const flags = [];
+  const referrer = db.prepare('SELECT * FROM users WHERE id = ?').get(referrerId);
+  if (!referrer) return flags;
+
+  const referrerWallet = (referrer.trc20_wallet || '').trim();
+  const refereeWallet = (referee.trc20_wallet || '').trim();
+  if (referrerWallet && referrerWallet === refereeWallet) {
+    flags.push({ type: 'shared_wallet', detail: `Общий TRC-20 кошелёк ${referrerWallet}` });
+  }
+
+  // The referee paid from the referrer's wallet, or both paid from the same address
+  const referrerAddresses = new Set(getPaymentSourceAddresses(referrer.id));
+  if (referrerWallet) referrerAddresses.add(referrerWallet);
+  const shared = getPaymentSourceAddresses(referee.id).find(address => referrerAddresses.has(address));
+  if (shared) {
+    flags.push({ type: 'shared_payment_source', detail: `Оплата с адреса реферера ${shared}` });
+  }
+
+  if (isFirstOrder && Date.now() - parseDbDate(referral.created_at).getTime() < REFERRAL_FAST_ORDER_MINUTES * 60 * 1000) {
+    flags.push({ type: 'fast_order', detail: `Первый заказ оплачен в течение ${REFERRAL_FAST_ORDER_MINUTES} мин после перехода по ссылке` });
+  }
+
+  const burst = db.prepare(`
+    SELECT COUNT(*) as count FROM referrals
+    WHERE referrer_id = ? AND ABS(julianday(created_at) - julianday(?)) * 24 <= ?
+  `).get(referrer.id, referral.created_at, REFERRAL_BURST_HOURS).count;
+  if (burst >= REFERRAL_BURST_COUNT) {
+    flags.push({ type: 'referral_burst', detail: `${burst} приглашённых за ${REFERRAL_BURST_HOURS} ч` });
+  }
+
+  return flags;
+}
+
+// Move a held commission to the referrer's withdrawable balance. Returns false if it was not held
+function creditReferralEarning(earning) {
+  return db.transaction(() => {
+    const result = db.prepare(`
+      UPDATE referral_earnings SET status = 'available', released_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'held'
+    `).run(earning.id);
+    if (result.changes === 0) return false;
+
+    const referee = db.prepare('SELECT name FROM users WHERE id = ?').get(earning.referee_id);
+    const refereeName = referee ? referee.name : `#${earning.referee_id}`;
+    postUserBalance(earning.referrer_id, 'referral', earning.amount, {
+      type: 'referral_commission',
+      refType: 'order',
+      refId: earning.order_id,
+      description: earning.tier === 1
+        ? `Реферальный бонус за ${refereeName}`
+        : `Реферальный бонус 2-го уровня за ${refereeName}`
+    });
+
+    if (earning.referral_id) {
+      db.prepare('UPDATE referrals SET earnings = earnings + ? WHERE id = ?').run(earning.amount, earning.referral_id);
+    }
+    return true;
+  })();
+}
+
+function rejectReferralEarning(earning, actor, note) {
+  const result = db.prepare(`
+    UPDATE referral_earnings SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+    WHERE id = ? AND status IN ('held', 'review')
+  `).run(actor, note || null, earning.id);
+  return result.changes > 0;
+}
+
+// Release one held commission whose hold has ended. A commission for an order
+// cancelled in the meantime is rejected instead. Returns 'released', 'rejected' or null
+function releaseReferralEarning(earning) {
+  const order = db.prepare('SELECT status FROM orders WHERE id = ?').get(earning.order_id);
+  if (order && order.status === 'cancelled') {
+    return rejectReferralEarning(earning, 'system', 'Заказ отменён') ? 'rejected' : null;
+  }
+
+  if (!creditReferralEarning(earning)) return null;
+  notifyClient(earning.referrer_id, '💰 Реферальный бонус доступен',
+    `$${earning.amount.toFixed(2)} за заказ #${earning.order_id} доступны к выводу.`);
+  return 'released';
+}
+
+// One release pass over commissions whose hold has ended
+function releaseReferralEarnings() {
+  const summary = { released: 0, rejected: 0 };
+
+  const due = db.prepare(`
+    SELECT * FROM referral_earnings
+    WHERE status = 'held' AND available_at <= CURRENT_TIMESTAMP
+    ORDER BY available_at, id
+  `).all();
+
+  for (const earning of due) {
+    try {
+      const outcome = releaseReferralEarning(earning);
+      if (outcome) summary[outcome]++;
+    } catch (error) {
+      console.error(`Referral release error (${earning.id}):`, error.message);
+    }
+  }
+
+  if (summary.released || summary.rejected) {
+    console.log(`💸 Referral release: ${summary.released} released, ${summary.rejected} rejected`);
+  }
+  return summary;
+}
+
+function startReferralReleaseScheduler() {
+  if (referralReleaseTimer || process.env.REFERRAL_RELEASE === 'off') return;
+
+  referralReleaseTimer = setInterval(releaseReferralEarnings, REFERRAL_RELEASE_INTERVAL_MS);
+  releaseReferralEarnings();
+}
+
+// Approve a flagged commission (admin). It is released when its hold ends. Body: { note }
+app.post('/api/admin/referral-earnings/:id/approve', adminAuthMiddleware, requireAdminPermission('cashback'), (req, res) => {
+  try {
+    const previous = db.prepare('SELECT * FROM referral_earnings WHERE id = ?').get(req.params.id);
+    if (!previous) {
+      return res.status(404).json({ error: 'Earning not found' });
+    }
+    if (previous.status !== 'review') {
+      return res.status(409).json({ error: 'invalid_status', message: 'Начисление не ожидает проверки' });
+    }
+
+    db.prepare(`
+      UPDATE referral_earnings SET status = 'held', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+      WHERE id = ? AND status = 'review'
+    `).run(adminActor(req), req.body.note || null, previous.id);
+
+    const approved = db.prepare('SELECT * FROM referral_earnings WHERE id = ?').get(previous.id);
+    if (parseDbDate(approved.available_at).getTime() <= Date.now()) {
+      releaseReferralEarning(approved);
+    }
+
+    const earning = db.prepare('SELECT * FROM referral_earnings WHERE id = ?').get(previous.id);
+    recordAdminAudit(req, 'referral.approve', { targetType: 'referral_earning', targetId: previous.id, before: previous, after: earning });
+    res.json(earning);
+  } catch (error) {
+    console.error('Approve referral earning error:', error);
+    res.status(500).json({ error: 'Failed to approve referral earning' });
+  }
+});
+
+// Reject a held or flagged commission (admin). Body: { note }
+app.post('/api/admin/referral-earnings/:id/reject', adminAuthMiddleware, requireAdminPermission('cashback'), (req, res) => {
+  try {
+    const previous = db.prepare('SELECT * FROM referral_earnings WHERE id = ?').get(req.params.id);
+    if (!previous) {
+      return res.status(404).json({ error: 'Earning not found' });
     }
+    if (!rejectReferralEarning(previous, adminActor(req), req.body.note)) {
+      return res.status(409).json({ error: 'invalid_status', message: 'Отклонить можно только начисление, которое ещё не зачислено' });
+    }
+
+    const earning = db.prepare('SELECT * FROM referral_earnings WHERE id = ?').get(previous.id);
+    recordAdminAudit(req, 'referral.reject', { targetType: 'referral_earning', targetId: previous.id, before: previous, after: earning });
 
-    db.prepare('UPDATE users SET cashback = cashback + ? WHERE id = ?').run(amount, userId);
+    notifyClient(earning.referrer_id, '❌ Реферальный бонус отклонён',
+      `Бонус $${earning.amount.toFixed(2)} за заказ #${earning.order_id} не начислен` +
+      (earning.review_note ? `: ${earning.review_note}` : '.'));
 
-    res.json({ success: true });
+    res.json(earning);
   } catch (error) {
-    console.error('Update cashback error:', error);
-    res.status(500).json({ error: 'Failed to update cashback' });
+    console.error('Reject referral earning error:', error);
+    res.status(500).json({ error: 'Failed to reject referral earning' });
   }
 });
 
@@ -1910,7 +6827,7 @@ app.post('/api/withdrawal-request', authMiddleware, (req, res) => {
 });
 
 // Get all withdrawals (admin only)
-app.get('/api/admin/withdrawals', adminAuthMiddleware, (req, res) => {
+app.get('/api/admin/withdrawals', adminAuthMiddleware, requireAdminPermission('withdrawals'), (req, res) => {
   try {
     const withdrawals = db.prepare(`
       SELECT w.*, u.name as user_name, u.username, u.telegram_id, u.cashback, u.referral_earnings
@@ -1927,7 +6844,7 @@ app.get('/api/admin/withdrawals', adminAuthMiddleware, (req, res) => {
 });
 
 // Process withdrawal (admin only)
-app.post('/api/admin/withdrawals/:id/process', adminAuthMiddleware, (req, res) => {
+app.post('/api/admin/withdrawals/:id/process', adminAuthMiddleware, requireAdminPermission('withdrawals'), (req, res) => {
   try {
     const { id } = req.params;
     const { tx_hash } = req.body;
@@ -1941,29 +6858,38 @@ app.post('/api/admin/withdrawals/:id/process', adminAuthMiddleware, (req, res) =
       return res.status(400).json({ error: 'Withdrawal already processed' });
     }
 
-    // Update withdrawal status
-    db.prepare(`
-      UPDATE withdrawals
-      SET status = 'completed', tx_hash = ?, processed_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(tx_hash || null, id);
-
-    // Deduct from user balance
     const user = db.prepare('SELECT * FROM users WHERE id = ?').get(withdrawal.user_id);
-    if (withdrawal.type === 'cashback') {
-      const newCashback = Math.max(0, user.cashback - withdrawal.amount);
-      db.prepare('UPDATE users SET cashback = ? WHERE id = ?').run(newCashback, user.id);
 
-      // Add to cashback history
-      db.prepare(`
-        INSERT INTO cashback_history (user_id, amount, description)
-        VALUES (?, ?, ?)
-      `).run(user.id, -withdrawal.amount, `Выплата #${id}`);
-    } else if (withdrawal.type === 'referral') {
-      const newEarnings = Math.max(0, user.referral_earnings - withdrawal.amount);
-      db.prepare('UPDATE users SET referral_earnings = ? WHERE id = ?').run(newEarnings, user.id);
+    // Update withdrawal status and deduct from user balance
+    try {
+      db.transaction(() => {
+        db.prepare(`
+          UPDATE withdrawals
+          SET status = 'completed', tx_hash = ?, processed_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(tx_hash || null, id);
+
+        postUserBalance(user.id, withdrawal.type, -withdrawal.amount, {
+          type: 'withdrawal',
+          refType: 'withdrawal',
+          refId: id,
+          description: `Выплата #${id}`
+        });
+      })();
+    } catch (error) {
+      if (error instanceof LedgerError) {
+        return res.status(400).json({ error: error.code, message: 'Недостаточно средств на балансе пользователя' });
+      }
+      throw error;
     }
 
+    recordAdminAudit(req, 'withdrawal.process', {
+      targetType: 'withdrawal',
+      targetId: id,
+      before: withdrawal,
+      after: db.prepare('SELECT * FROM withdrawals WHERE id = ?').get(id)
+    });
+
     // Notify user
     db.prepare(`
       INSERT INTO notifications (user_id, title, message)
@@ -1978,7 +6904,7 @@ app.post('/api/admin/withdrawals/:id/process', adminAuthMiddleware, (req, res) =
 });
 
 // Cancel withdrawal (admin only)
-app.post('/api/admin/withdrawals/:id/cancel', adminAuthMiddleware, (req, res) => {
+app.post('/api/admin/withdrawals/:id/cancel', adminAuthMiddleware, requireAdminPermission('withdrawals'), (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
@@ -1999,6 +6925,13 @@ app.post('/api/admin/withdrawals/:id/cancel', adminAuthMiddleware, (req, res) =>
       WHERE id = ?
     `).run(id);
 
+    recordAdminAudit(req, 'withdrawal.cancel', {
+      targetType: 'withdrawal',
+      targetId: id,
+      before: withdrawal,
+      after: { ...db.prepare('SELECT * FROM withdrawals WHERE id = ?').get(id), reason: reason || null }
+    });
+
     // Notify user
     const user = db.prepare('SELECT * FROM users WHERE id = ?').get(withdrawal.user_id);
     const notificationMessage = `Выплата $${withdrawal.amount} отменена. ${reason || 'Обратитесь к менеджеру'}`;
@@ -2055,6 +6988,54 @@ app.get('/api/withdrawals', authMiddleware, (req, res) => {
 
 // ==================== TRONSCAN VERIFICATION ====================
 
+const chainProvider = createChainProvider(process.env.CHAIN_PROVIDER || 'tronscan', {
+  apiKey: process.env.TRONSCAN_API_KEY
+});
+
+// Check a transaction against the expected payment.
+// Returns { verified: true, tx } or { verified: false, error }
+async function verifyPaymentTransaction(txHash, { expectedAmount, recipientAddress, notBefore }) {
+  console.log(`Verifying transaction via ${chainProvider.name}: ${txHash} to ${recipientAddress}`);
+
+  const tx = await chainProvider.getTransaction(txHash);
+
+  // Check if transaction exists and is confirmed
+  if (!tx) {
+    return { verified: false, error: 'Перевод USDT с таким хешем не найден. Проверьте хеш и что транзакция подтверждена в блокчейне.' };
+  }
+
+  // Check if transaction is confirmed
+  if (!tx.confirmed) {
+    return { verified: false, error: 'Транзакция еще не подтверждена. Подождите несколько минут.' };
+  }
+
+  console.log(`Transfer amount: ${tx.amount} USDT to ${tx.to}`);
+
+  // Verify amount if provided (with 1% tolerance for fees)
+  if (expectedAmount) {
+    const tolerance = expectedAmount * 0.01; // 1% tolerance
+    if (Math.abs(tx.amount - expectedAmount) > tolerance) {
+      return { verified: false, error: `Неверная сумма. Ожидалось: $${expectedAmount}, найдено: $${tx.amount}` };
+    }
+  }
+
+  // Verify recipient address (mandatory)
+  if (!tx.to) {
+    return { verified: false, error: 'Не удалось определить адрес получателя в транзакции' };
+  }
+
+  if (tx.to.toLowerCase() !== recipientAddress.toLowerCase()) {
+    return { verified: false, error: `Неверный адрес получателя. Ожидалось: ${recipientAddress}, получено: ${tx.to}` };
+  }
+
+  // A transfer made before the invoice existed can't be its payment
+  if (notBefore && tx.timestamp && tx.timestamp < notBefore) {
+    return { verified: false, error: 'Транзакция отправлена раньше, чем был выставлен счёт' };
+  }
+
+  return { verified: true, tx };
+}
+
 // Verify TronScan transaction
 app.post('/api/verify-tronscan', async (req, res) => {
   try {
@@ -2068,105 +7049,687 @@ app.post('/api/verify-tronscan', async (req, res) => {
       return res.status(400).json({ error: 'Recipient address required' });
     }
 
-    console.log(`Verifying TronScan transaction: ${txHash} to ${recipientAddress}`);
+    const verification = await verifyPaymentTransaction(txHash, { expectedAmount, recipientAddress });
+    if (!verification.verified) {
+      return res.json({ verified: false, error: verification.error });
+    }
 
-    // Query TronScan API
-    const apiUrl = `https://apilist.tronscan.org/api/transaction-info?hash=${txHash}`;
-    const response = await fetch(apiUrl, {
-      headers: {
-        'Accept': 'application/json'
-      }
+    // Transaction verified successfully
+    const { tx } = verification;
+    res.json({
+      verified: true,
+      amount: tx.amount,
+      recipient: tx.to,
+      confirmed: tx.confirmed,
+      timestamp: tx.timestamp
     });
 
-    if (!response.ok) {
-      console.error('TronScan API error:', response.status);
-      return res.status(400).json({
-        verified: false,
-        error: 'Transaction not found on TronScan'
-      });
-    }
+  } catch (error) {
+    console.error('TronScan verification error:', error);
+    res.status(500).json({
+      verified: false,
+      error: 'Ошибка при проверке транзакции: ' + error.message
+    });
+  }
+});
 
-    const txData = await response.json();
-    console.log('TronScan response:', JSON.stringify(txData, null, 2));
+// ==================== PAYMENT WATCHER ====================
 
-    // Check if transaction exists and is confirmed
-    if (!txData || txData.code === 'NOT_FOUND') {
-      return res.json({
-        verified: false,
-        error: 'Транзакция не найдена. Убедитесь что она подтверждена в блокчейне.'
-      });
+// Polls the chain provider for incoming transfers to PAYMENT_ADDRESS and
+// applies them to matching open invoices automatically.
+const PAYMENT_WATCH_INTERVAL_MS = parseInt(process.env.PAYMENT_WATCH_INTERVAL_MS) || 60000;
+const PAYMENT_MATCH_WINDOW_HOURS = parseInt(process.env.PAYMENT_MATCH_WINDOW_HOURS) || 72;
+const PAYMENT_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+let paymentWatcherTimer = null;
+let paymentWatcherRunning = false;
+
+// SQLite CURRENT_TIMESTAMP is UTC without a timezone suffix
+function parseDbDate(value) {
+  if (!value) return null;
+  return new Date(value.includes('T') ? value : value.replace(' ', 'T') + 'Z');
+}
+
+function isTxHashUsed(txHash) {
+  const invoice = db.prepare('SELECT id FROM invoices WHERE tx_hash = ?').get(txHash);
+  const payment = db.prepare('SELECT id FROM invoice_payments WHERE tx_hash = ?').get(txHash);
+  const order = db.prepare('SELECT id FROM orders WHERE tx_hash = ?').get(txHash);
+  return !!(invoice || payment || order);
+}
+
+// Returns { invoice } for a single match, { candidates } when ambiguous, {} otherwise
+function matchTransferToInvoice(transfer) {
+  const invoices = db.prepare(`
+    SELECT * FROM invoices
+    WHERE status IN ('awaiting_payment', 'partially_paid') AND LOWER(payment_address) = LOWER(?)
+    ORDER BY created_at
+  `).all(transfer.to);
+
+  // Memo with the invoice number wins over amount matching, and takes any amount
+  if (transfer.memo) {
+    const byMemo = invoices.find(i => transfer.memo.toUpperCase().includes(i.id.toUpperCase()));
+    if (byMemo && transfer.amount > 0) {
+      return { invoice: byMemo };
     }
+  }
 
-    // Check if transaction is confirmed
-    if (!txData.confirmed) {
-      return res.json({
-        verified: false,
-        error: 'Транзакция еще не подтверждена. Подождите несколько минут.'
-      });
+  const windowMs = PAYMENT_MATCH_WINDOW_HOURS * 60 * 60 * 1000;
+  const candidates = invoices.filter(i => {
+    const createdAt = parseDbDate(i.created_at).getTime();
+    // An extended deadline keeps the invoice matchable past the usual window
+    const windowEnd = Math.max(createdAt + windowMs, i.expires_at ? parseDbDate(i.expires_at).getTime() : 0);
+    return Math.abs(transfer.amount - getInvoiceTotals(i).outstanding) <= PRICE_TOLERANCE &&
+      transfer.timestamp >= createdAt - PAYMENT_CLOCK_SKEW_MS &&
+      transfer.timestamp <= windowEnd;
+  });
+
+  if (candidates.length === 1) {
+    return { invoice: candidates[0] };
+  }
+  if (candidates.length > 1) {
+    return { candidates };
+  }
+  return {};
+}
+
+function isChainTransferRecorded(txHash) {
+  return !!db.prepare('SELECT tx_hash FROM chain_transfers WHERE tx_hash = ?').get(txHash);
+}
+
+// A transfer the watcher already recorded without this invoice can't be claimed by hash:
+// it is someone else's payment or waits for the manager
+function isTransferSeenElsewhere(txHash, invoiceId) {
+  const seen = db.prepare('SELECT invoice_id FROM chain_transfers WHERE tx_hash = ?').get(txHash);
+  return !!seen && seen.invoice_id !== invoiceId;
+}
+
+// A transfer submitted by hash counts for an invoice only when something ties it to
+// the client: its memo names the invoice, it covers the outstanding balance, or it
+// comes from an address their invoices were already paid from. The TRC-20 wallet in
+// the profile doesn't count: a client can type in anyone's address there.
+function isTransferBoundToInvoice(transfer, invoice, user) {
+  if (transfer.memo && transfer.memo.toUpperCase().includes(invoice.id.toUpperCase())) {
+    return true;
+  }
+  if (Math.abs(transfer.amount - getInvoiceTotals(invoice).outstanding) <= PRICE_TOLERANCE) {
+    return true;
+  }
+
+  const from = (transfer.from || '').toLowerCase();
+  if (!from) return false;
+
+  return !!db.prepare(`
+    SELECT 1 FROM chain_transfers ct
+    JOIN invoices i ON i.id = ct.invoice_id
+    WHERE i.user_id = ? AND ct.status = 'matched' AND LOWER(ct.from_address) = ?
+  `).get(user.id, from);
+}
+
+// A transfer seen again (e.g. claimed by hash after the watcher recorded it) takes the new status and invoice
+function recordChainTransfer(transfer, status, invoiceId = null, network = 'tron') {
+  db.prepare(`
+    INSERT INTO chain_transfers (tx_hash, from_address, to_address, amount, memo, block_time, invoice_id, status, network)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(tx_hash) DO UPDATE SET
+      status = excluded.status,
+      invoice_id = COALESCE(excluded.invoice_id, chain_transfers.invoice_id)
+  `).run(
+    transfer.txHash,
+    transfer.from,
+    transfer.to,
+    transfer.amount,
+    transfer.memo,
+    new Date(transfer.timestamp).toISOString(),
+    invoiceId,
+    status,
+    network
+  );
+}
+
+// Mark a transfer matched and count it toward the invoice in one transaction: if applying
+// the payment fails, the transfer stays unrecorded and the next poll picks it up again
+function applyChainTransfer(transfer, invoice, payment, actor, network = 'tron') {
+  return db.transaction(() => {
+    recordChainTransfer(transfer, 'matched', invoice.id, network);
+    return applyInvoicePayment(invoice, payment, actor);
+  })();
+}
+
+async function pollPayments() {
+  if (paymentWatcherRunning) return { skipped: true };
+  paymentWatcherRunning = true;
+
+  const summary = { checked: 0, matched: 0, unmatched: 0, ambiguous: 0 };
+
+  try {
+    // TON first, with its own error handling, so a TronScan outage doesn't hold it up
+    if (TON_ENABLED) {
+      try {
+        await pollTonPayments(summary);
+      } catch (error) {
+        console.error('TON payment watcher error:', error.message);
+        summary.tonError = error.message;
+      }
     }
 
-    // For USDT TRC20 transfers, check contract data
-    let transferAmount = 0;
-    let transferTo = '';
+    const paymentAddress = process.env.PAYMENT_ADDRESS || 'TAXtuQh2zJHks5yZQ2zzVdEFExs7ktoYuV';
+    const since = Date.now() - PAYMENT_MATCH_WINDOW_HOURS * 60 * 60 * 1000;
+    const transfers = await chainProvider.getIncomingTransfers(paymentAddress, { since });
+
+    for (const transfer of transfers) {
+      // Unconfirmed transfers are picked up again on the next poll
+      if (!transfer.confirmed) continue;
+
+      const known = db.prepare('SELECT tx_hash FROM chain_transfers WHERE tx_hash = ?').get(transfer.txHash);
+      if (known) continue;
+
+      summary.checked++;
 
-    if (txData.contractData && txData.contractData.amount) {
-      // USDT TRC20 amount is in smallest units (6 decimals)
-      transferAmount = txData.contractData.amount / 1000000;
-      transferTo = txData.contractData.to_address || txData.toAddress;
-    } else if (txData.trigger_info && txData.trigger_info.parameter) {
-      // Alternative structure
-      const param = txData.trigger_info.parameter;
-      if (param._value) {
-        transferAmount = parseInt(param._value) / 1000000;
+      if (isTxHashUsed(transfer.txHash)) {
+        recordChainTransfer(transfer, 'matched');
+        continue;
       }
-      if (param._to) {
-        transferTo = param._to;
+
+      const { invoice, candidates } = matchTransferToInvoice(transfer);
+
+      if (invoice) {
+        const result = applyChainTransfer(transfer, invoice, { amount: transfer.amount, txHash: transfer.txHash }, 'watcher');
+        if (result.status === 'paid') {
+          notifyInvoicePaid(invoice);
+        }
+        summary.matched++;
+      } else if (candidates) {
+        recordChainTransfer(transfer, 'ambiguous');
+        summary.ambiguous++;
+        notifyAdmin(
+          `⚠️ Платёж не сопоставлен автоматически\n\n` +
+          `Сумма: $${transfer.amount}\n` +
+          `TxHash: ${transfer.txHash}\n` +
+          `Подходящие счета: ${candidates.map(c => '#' + c.id).join(', ')}`
+        );
+      } else {
+        recordChainTransfer(transfer, 'unmatched');
+        summary.unmatched++;
+        notifyAdmin(
+          `❓ Поступил платёж без счёта\n\n` +
+          `Сумма: $${transfer.amount}\n` +
+          `Отправитель: ${transfer.from}\n` +
+          `TxHash: ${transfer.txHash}`
+        );
       }
     }
+  } catch (error) {
+    console.error('Payment watcher error:', error.message);
+    summary.error = error.message;
+  } finally {
+    paymentWatcherRunning = false;
+  }
+
+  return summary;
+}
 
-    console.log(`Transfer amount: ${transferAmount} USDT to ${transferTo}`);
+// Tell the client in Telegram that the watcher picked up their payment
+function notifyInvoicePaid(invoice) {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(invoice.user_id);
+  if (!user || !user.telegram_id) return;
 
-    // Verify amount if provided (with 1% tolerance for fees)
-    if (expectedAmount && transferAmount > 0) {
-      const tolerance = expectedAmount * 0.01; // 1% tolerance
-      if (Math.abs(transferAmount - expectedAmount) > tolerance) {
-        return res.json({
-          verified: false,
-          error: `Неверная сумма. Ожидалось: $${expectedAmount}, найдено: $${transferAmount}`
-        });
+  bot.telegram.sendMessage(user.telegram_id,
+    `✅ Оплата получена!\n\nСчет #${invoice.id} на сумму ${formatInvoiceAmount(invoice)} оплачен.\n` +
+    (invoice.tip_id ? `Спасибо за чаевые по заказу #${getInvoiceOrderId(invoice)}!` :
+      invoice.revision_id ? `Правки по заказу #${getInvoiceOrderId(invoice)} приняты в работу.` : `Заказ #${invoice.order_id} принят в работу.`)
+  ).catch(err => console.error('Failed to send payment notification:', err.message));
+}
+
+function startPaymentWatcher() {
+  if (paymentWatcherTimer || process.env.PAYMENT_WATCHER === 'off') return;
+
+  console.log(`💸 Payment watcher started (${chainProvider.name}, every ${PAYMENT_WATCH_INTERVAL_MS / 1000}s)`);
+  paymentWatcherTimer = setInterval(pollPayments, PAYMENT_WATCH_INTERVAL_MS);
+  pollPayments();
+}
+
+// Run the payment watcher now (admin only)
+app.post('/api/admin/payments/poll', adminAuthMiddleware, requireAdminPermission('payments'), async (req, res) => {
+  try {
+    const summary = await pollPayments();
+    recordAdminAudit(req, 'payments.poll', { after: summary });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Payment poll error:', error);
+    res.status(500).json({ error: 'Failed to poll payments' });
+  }
+});
+
+// Transfers seen by the watcher (admin only)
+app.get('/api/admin/chain-transfers', adminAuthMiddleware, requireAdminPermission('payments'), (req, res) => {
+  try {
+    const transfers = db.prepare('SELECT * FROM chain_transfers ORDER BY block_time DESC LIMIT 200').all();
+    res.json(transfers);
+  } catch (error) {
+    console.error('Get chain transfers error:', error);
+    res.status(500).json({ error: 'Failed to get transfers' });
+  }
+});
+
+// Add a transfer to the fake chain provider (offline testing only).
+// network: 'tron' (default) or 'ton'
+app.post('/api/admin/dev/chain-transfers', adminAuthMiddleware, requireAdminPermission('payments'), (req, res) => {
+  const isTon = req.body.network === 'ton';
+  const provider = isTon ? tonProvider : chainProvider;
+  if (!provider.addTransfer) {
+    return res.status(404).json({ error: 'Fake chain provider is not enabled' });
+  }
+
+  try {
+    const { amount, memo, from, to, tx_hash } = req.body;
+    const transfer = provider.addTransfer({
+      txHash: tx_hash,
+      from,
+      to: to || (isTon ? TON_ADDRESS : process.env.PAYMENT_ADDRESS || 'TAXtuQh2zJHks5yZQ2zzVdEFExs7ktoYuV'),
+      amount,
+      memo
+    });
+    recordAdminAudit(req, 'dev.chain_transfer', { targetType: 'chain_transfer', targetId: transfer.txHash, after: transfer });
+    res.json(transfer);
+  } catch (error) {
+    console.error('Add fake transfer error:', error);
+    res.status(500).json({ error: 'Failed to add transfer' });
+  }
+});
+
+// ==================== TON PAYMENTS ====================
+
+// Invoices are issued in USD. Paying in TON locks the TON amount at the current rate
+// for TON_QUOTE_TTL_MINUTES; the client puts the invoice number in the transfer
+// comment, which is how the transfer is found on the TON side.
+const TON_ENABLED = process.env.TON_PAYMENTS !== 'off';
+const TON_ADDRESS = process.env.TON_ADDRESS || 'UQDqWKqWEE4h8D2bGNXGYjPzYfYJfCO3q_K8a_8KxvKGcxiK';
+const TON_QUOTE_TTL_MS = (parseInt(process.env.TON_QUOTE_TTL_MINUTES) || 15) * 60 * 1000;
+const TON_AMOUNT_TOLERANCE = 0.001; // wallets send the exact amount from the link
+
+const tonProvider = createChainProvider(process.env.TON_PROVIDER || 'toncenter', {
+  apiKey: process.env.TONCENTER_API_KEY
+});
+
+// TON_USD_RATE is the manual rate used when the live source is unreachable
+const rateProvider = createRateProvider(process.env.RATE_PROVIDER || 'coingecko', {
+  apiKey: process.env.COINGECKO_API_KEY,
+  fallbackRates: { TON: parseFloat(process.env.TON_USD_RATE) || 2.5 }
+});
+
+const TON_MATCH_ERRORS = {
+  quote_expired: 'Перевод отправлен после окончания фиксации курса. Обратитесь к менеджеру',
+  too_early: 'Перевод отправлен раньше, чем был выставлен счёт'
+};
+
+function isTonQuoteActive(invoice, at = Date.now()) {
+  return invoice.ton_amount > 0 && parseDbDate(invoice.ton_quote_expires_at).getTime() >= at;
+}
+
+function serializeTonQuote(invoice) {
+  const nanotons = Math.round(invoice.ton_amount * 1e9);
+  return {
+    address: TON_ADDRESS,
+    amount: invoice.ton_amount,
+    rate: invoice.ton_rate,
+    rateSource: invoice.ton_rate_source,
+    comment: invoice.id,
+    expiresAt: parseDbDate(invoice.ton_quote_expires_at).toISOString(),
+    link: `ton://transfer/${TON_ADDRESS}?amount=${nanotons}&text=${encodeURIComponent(invoice.id)}`
+  };
+}
+
+// USD value of a TON transfer at the invoice's locked rate. Paying the quoted amount
+// covers the balance exactly, whatever the rounding of the quote; only TON sent on top counts extra.
+function tonTransferUsd(invoice, transfer) {
+  if (transfer.amount >= invoice.ton_amount - TON_AMOUNT_TOLERANCE) {
+    const extra = Math.max(transfer.amount - invoice.ton_amount, 0);
+    return roundMoney(getInvoiceTotals(invoice).outstanding + extra * invoice.ton_rate);
+  }
+  return roundMoney(transfer.amount * invoice.ton_rate);
+}
+
+// Returns { invoice, amount } when the transfer pays (part of) the invoice named in
+// its comment, { invoice, error } when it names an invoice but can't count, {} otherwise
+function matchTonTransfer(transfer) {
+  if (!transfer.memo) return {};
+
+  const invoices = db.prepare("SELECT * FROM invoices WHERE status IN ('awaiting_payment', 'partially_paid') AND ton_amount IS NOT NULL").all();
+  const invoice = invoices.find(i => transfer.memo.toUpperCase().includes(i.id.toUpperCase()));
+  if (!invoice) return {};
+
+  if (transfer.timestamp < parseDbDate(invoice.created_at).getTime() - PAYMENT_CLOCK_SKEW_MS) {
+    return { invoice, error: 'too_early' };
+  }
+  if (!isTonQuoteActive(invoice, transfer.timestamp - PAYMENT_CLOCK_SKEW_MS)) {
+    return { invoice, error: 'quote_expired' };
+  }
+  return { invoice, amount: tonTransferUsd(invoice, transfer) };
+}
+
+async function pollTonPayments(summary) {
+  const since = Date.now() - PAYMENT_MATCH_WINDOW_HOURS * 60 * 60 * 1000;
+  const transfers = await tonProvider.getIncomingTransfers(TON_ADDRESS, { since });
+
+  for (const transfer of transfers) {
+    if (!transfer.confirmed) continue;
+
+    const known = db.prepare('SELECT tx_hash FROM chain_transfers WHERE tx_hash = ?').get(transfer.txHash);
+    if (known) continue;
+
+    summary.checked++;
+
+    if (isTxHashUsed(transfer.txHash)) {
+      recordChainTransfer(transfer, 'matched', null, 'ton');
+      continue;
+    }
+
+    const { invoice, amount, error } = matchTonTransfer(transfer);
+
+    if (invoice && !error) {
+      const result = applyChainTransfer(transfer, invoice, {
+        amount,
+        txHash: transfer.txHash,
+        method: 'ton',
+        networkAmount: transfer.amount
+      }, 'watcher', 'ton');
+      if (result.status === 'paid') {
+        notifyInvoicePaid(invoice);
       }
+      summary.matched++;
+    } else {
+      recordChainTransfer(transfer, 'unmatched', invoice ? invoice.id : null, 'ton');
+      summary.unmatched++;
+      notifyAdmin(
+        `❓ TON-платёж не зачтён\n\n` +
+        `Сумма: ${transfer.amount} TON\n` +
+        `Комментарий: ${transfer.memo || 'нет'}\n` +
+        (invoice ? `Счёт: #${invoice.id} (ожидалось ${invoice.ton_amount} TON) — ${TON_MATCH_ERRORS[error]}\n` : '') +
+        `Отправитель: ${transfer.from}\n` +
+        `TxHash: ${transfer.txHash}`
+      );
     }
+  }
+}
 
-    // Verify recipient address (mandatory)
-    if (!transferTo) {
-      return res.json({
-        verified: false,
-        error: 'Не удалось определить адрес получателя в транзакции'
-      });
+// Lock the TON amount of an invoice. An active quote is returned as is.
+app.post('/api/invoices/:id/ton-quote', authMiddleware, async (req, res) => {
+  try {
+    if (!TON_ENABLED) {
+      return res.status(404).json({ error: 'ton_disabled', message: 'Оплата в TON недоступна' });
     }
 
-    if (transferTo.toLowerCase() !== recipientAddress.toLowerCase()) {
-      return res.json({
-        verified: false,
-        error: `Неверный адрес получателя. Ожидалось: ${recipientAddress}, получено: ${transferTo}`
-      });
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(req.params.id);
+    if (!invoice || !user || invoice.user_id !== user.id) {
+      return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    // Transaction verified successfully
-    res.json({
-      verified: true,
-      amount: transferAmount,
-      recipient: transferTo,
-      confirmed: txData.confirmed,
-      timestamp: txData.timestamp
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      return res.status(409).json({ error: 'already_processed', message: 'Счёт уже оплачен или закрыт' });
+    }
+
+    if (isTonQuoteActive(invoice)) {
+      return res.json(serializeTonQuote(invoice));
+    }
+
+    // After a partial payment the quote covers only the rest
+    const { rate, source } = await rateProvider.getRate('TON');
+    const tonAmount = Math.ceil(getInvoiceTotals(invoice).outstanding / rate * 1000) / 1000;
+    const expiresAt = new Date(Date.now() + TON_QUOTE_TTL_MS).toISOString().replace('T', ' ').slice(0, 19);
+
+    db.prepare(`
+      UPDATE invoices SET ton_amount = ?, ton_rate = ?, ton_rate_source = ?, ton_quote_expires_at = ?
+      WHERE id = ? AND status IN ('awaiting_payment', 'partially_paid')
+    `).run(tonAmount, rate, source, expiresAt, invoice.id);
+
+    res.json(serializeTonQuote(db.prepare('SELECT * FROM invoices WHERE id = ?').get(invoice.id)));
+  } catch (error) {
+    console.error('TON quote error:', error);
+    res.status(500).json({ error: 'Failed to get TON quote' });
+  }
+});
+
+// Look for the client's TON transfer by the invoice number in its comment and confirm the invoice
+app.post('/api/invoices/:id/ton-confirm', authMiddleware, async (req, res) => {
+  try {
+    if (!TON_ENABLED) {
+      return res.status(404).json({ error: 'ton_disabled', message: 'Оплата в TON недоступна' });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(req.params.id);
+    if (!invoice || !user || invoice.user_id !== user.id) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      return res.status(409).json({ error: 'already_processed', message: 'Счёт уже оплачен или закрыт' });
+    }
+
+    if (!invoice.ton_amount) {
+      return res.status(400).json({ error: 'no_ton_quote', message: 'Сначала получите сумму в TON' });
+    }
+
+    // Transfers the watcher already recorded were settled there: one it rejected
+    // (e.g. after the quote expired) must not be accepted here at a new quote
+    const since = parseDbDate(invoice.created_at).getTime() - PAYMENT_CLOCK_SKEW_MS;
+    const named = (await tonProvider.getIncomingTransfers(TON_ADDRESS, { since })).filter(t =>
+      t.confirmed && t.memo && t.memo.toUpperCase().includes(invoice.id.toUpperCase()) && !isTxHashUsed(t.txHash)
+    );
+    const transfers = named.filter(t => !isChainTransferRecorded(t.txHash));
+
+    if (transfers.length === 0 && named.length > 0) {
+      return res.json({ success: false, error: 'Перевод получен, но не зачтён автоматически. Менеджер проверит его и свяжется с вами.' });
+    }
+    if (transfers.length === 0) {
+      return res.json({ success: false, error: `Перевод с комментарием ${invoice.id} пока не найден. Подождите минуту и проверьте снова.` });
+    }
+
+    // Matching re-reads the invoice: the watcher may have confirmed it during the network call
+    const matches = transfers.map(transfer => ({ transfer, ...matchTonTransfer(transfer) }));
+    if (matches.some(m => !m.invoice || m.invoice.id !== invoice.id)) {
+      return res.status(409).json({ error: 'already_processed', message: 'Счёт уже оплачен или закрыт' });
+    }
+
+    const paid = matches.find(m => !m.error);
+    if (!paid) {
+      return res.json({ success: false, error: TON_MATCH_ERRORS[matches[0].error] });
+    }
+
+    const { transfer, invoice: current, amount } = paid;
+    const result = applyChainTransfer(transfer, current, {
+      amount,
+      txHash: transfer.txHash,
+      method: 'ton',
+      networkAmount: transfer.amount
+    }, 'user:' + user.id, 'ton');
+
+    res.json({ success: true, amount: transfer.amount, ...result });
+  } catch (error) {
+    console.error('TON confirm error:', error);
+    res.status(500).json({ error: 'Failed to confirm TON payment' });
+  }
+});
+
+// ==================== TELEGRAM STARS ====================
+
+// Invoices can also be paid in Telegram Stars (XTR) with a native bot invoice. The Stars
+// price is fixed when the bot sends it, at STARS_USD_RATE dollars per star. The payload
+// names our invoice; the Telegram charge id is recorded as the payment's tx hash.
+const STARS_ENABLED = process.env.STARS_PAYMENTS !== 'off';
+const STARS_USD_RATE = parseFloat(process.env.STARS_USD_RATE) || 0.013;
+const STARS_PAYLOAD_PREFIX = 'invoice:';
+
+function getStarsInvoice(payload) {
+  if (!payload || !payload.startsWith(STARS_PAYLOAD_PREFIX)) return null;
+  return db.prepare('SELECT * FROM invoices WHERE id = ?').get(payload.slice(STARS_PAYLOAD_PREFIX.length));
+}
+
+// Why a Stars payment can't go through, or null when it can
+function checkStarsPayment(invoice, telegramUserId, currency, totalAmount) {
+  if (!invoice) return 'Счёт не найден';
+
+  const user = db.prepare('SELECT telegram_id FROM users WHERE id = ?').get(invoice.user_id);
+  if (!user || user.telegram_id !== String(telegramUserId)) {
+    return 'Этот счёт выставлен другому клиенту';
+  }
+  if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+    return 'Счёт уже оплачен или закрыт';
+  }
+  if (currency !== 'XTR' || totalAmount !== invoice.stars_amount) {
+    return 'Сумма счёта изменилась — запросите новый счёт в приложении';
+  }
+  return null;
+}
+
+// USD value of a Stars payment. Paying the full Stars price covers the balance exactly.
+function starsPaymentUsd(invoice, stars) {
+  if (stars >= invoice.stars_amount) {
+    return getInvoiceTotals(invoice).outstanding;
+  }
+  return roundMoney(stars * invoice.stars_rate);
+}
+
+// Telegraf has no wrapper for this method yet
+function refundStarPayment(telegramUserId, chargeId) {
+  return bot.telegram.callApi('refundStarPayment', {
+    user_id: Number(telegramUserId),
+    telegram_payment_charge_id: chargeId
+  });
+}
+
+// Send a Stars invoice for the outstanding balance to the client's chat with the bot
+app.post('/api/invoices/:id/stars', authMiddleware, async (req, res) => {
+  try {
+    if (!STARS_ENABLED) {
+      return res.status(404).json({ error: 'stars_disabled', message: 'Оплата в Stars недоступна' });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE telegram_id = ?').get(req.telegramUser.id.toString());
+    const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(req.params.id);
+    if (!invoice || !user || invoice.user_id !== user.id) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      return res.status(409).json({ error: 'already_processed', message: 'Счёт уже оплачен или закрыт' });
+    }
+
+    const starsAmount = Math.ceil(getInvoiceTotals(invoice).outstanding / STARS_USD_RATE);
+    db.prepare('UPDATE invoices SET stars_amount = ?, stars_rate = ? WHERE id = ?').run(starsAmount, STARS_USD_RATE, invoice.id);
+
+    const orderId = getInvoiceOrderId(invoice);
+    await bot.telegram.sendInvoice(user.telegram_id, {
+      title: `Счёт #${invoice.id}`,
+      description: invoice.tip_id ? `Чаевые по заказу #${orderId}` :
+        invoice.revision_id ? `Дополнительная правка к заказу #${orderId}` : `Оплата заказа #${orderId}`,
+      payload: STARS_PAYLOAD_PREFIX + invoice.id,
+      provider_token: '',
+      currency: 'XTR',
+      prices: [{ label: `Счёт #${invoice.id}`, amount: starsAmount }]
     });
 
+    res.json({ success: true, amount: starsAmount, rate: STARS_USD_RATE });
   } catch (error) {
-    console.error('TronScan verification error:', error);
-    res.status(500).json({
-      verified: false,
-      error: 'Ошибка при проверке транзакции: ' + error.message
+    console.error('Stars invoice error:', error);
+    res.status(500).json({ error: 'Failed to send Stars invoice' });
+  }
+});
+
+bot.on('pre_checkout_query', async (ctx) => {
+  const query = ctx.preCheckoutQuery;
+  const error = checkStarsPayment(getStarsInvoice(query.invoice_payload), query.from.id, query.currency, query.total_amount);
+
+  try {
+    await ctx.answerPreCheckoutQuery(!error, error || undefined);
+  } catch (err) {
+    console.error('Failed to answer pre-checkout query:', err.message);
+  }
+});
+
+bot.on('successful_payment', async (ctx) => {
+  const payment = ctx.message.successful_payment;
+  const chargeId = payment.telegram_payment_charge_id;
+  if (payment.currency !== 'XTR' || isTxHashUsed(chargeId)) return;
+
+  try {
+    const invoice = getStarsInvoice(payment.invoice_payload);
+
+    // The invoice closed between pre-checkout and payment: the Stars go straight back
+    if (!invoice || !OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      await refundStarPayment(ctx.from.id, chargeId);
+      await ctx.reply('⚠️ Счёт уже закрыт — звёзды возвращены на ваш счёт в Telegram.');
+      notifyAdmin(`↩️ Оплата Stars по закрытому счёту ${payment.invoice_payload} возвращена автоматически (${payment.total_amount} ⭐)`);
+      return;
+    }
+
+    const result = applyInvoicePayment(invoice, {
+      amount: starsPaymentUsd(invoice, payment.total_amount),
+      txHash: chargeId,
+      method: 'stars',
+      networkAmount: payment.total_amount
+    }, `telegram:${ctx.from.id}`);
+
+    if (result.status === 'paid') {
+      notifyInvoicePaid(invoice);
+    }
+  } catch (error) {
+    console.error('Stars payment error:', error);
+    notifyAdmin(
+      `⚠️ Оплата Stars не записана\n\n` +
+      `Payload: ${payment.invoice_payload}\n` +
+      `Сумма: ${payment.total_amount} ⭐\n` +
+      `Charge ID: ${chargeId}`
+    );
+  }
+});
+
+// Return a Stars payment through Telegram and record the refund (admin)
+app.post('/api/admin/invoices/:id/payments/:paymentId/refund-stars', adminAuthMiddleware, requireAdminPermission('payments'), async (req, res) => {
+  try {
+    const invoice = db.prepare('SELECT * FROM invoices WHERE id = ?').get(req.params.id);
+    const payment = invoice && db.prepare('SELECT * FROM invoice_payments WHERE id = ? AND invoice_id = ?').get(req.params.paymentId, invoice.id);
+    if (!payment || payment.kind !== 'payment' || payment.network !== 'stars') {
+      return res.status(404).json({ error: 'not_found', message: 'Платёж в Stars не найден' });
+    }
+
+    if (db.prepare('SELECT id FROM invoice_payments WHERE refund_of = ?').get(payment.id)) {
+      return res.status(409).json({ error: 'already_refunded', message: 'Этот платёж уже возвращён' });
+    }
+
+    const before = getInvoiceTotals(invoice);
+    if (payment.amount > getRefundableAmount(invoice) + PRICE_TOLERANCE) {
+      return res.status(400).json({ error: 'invalid_amount', message: 'По счёту уже возвращено больше, чем осталось от этого платежа' });
+    }
+
+    const user = db.prepare('SELECT telegram_id FROM users WHERE id = ?').get(invoice.user_id);
+    try {
+      await refundStarPayment(user.telegram_id, payment.tx_hash);
+    } catch (error) {
+      return res.status(502).json({ error: 'telegram_error', message: `Telegram отклонил возврат: ${error.message}` });
+    }
+
+    const note = (req.body.note || '').trim() || null;
+    const { updated, totals } = recordInvoiceRefund(invoice, {
+      amount: payment.amount,
+      network: 'stars',
+      networkAmount: payment.network_amount,
+      refundOf: payment.id,
+      note
+    }, adminActor(req));
+
+    recordAdminAudit(req, 'invoice.refund', {
+      targetType: 'invoice',
+      targetId: invoice.id,
+      before: { status: invoice.status, ...before },
+      after: { status: updated.status, ...totals, stars: payment.network_amount, charge_id: payment.tx_hash, note }
     });
+
+    res.json({ success: true, status: updated.status, ...totals });
+  } catch (error) {
+    console.error('Stars refund error:', error);
+    res.status(500).json({ error: 'Failed to refund Stars payment' });
   }
 });
 
@@ -2187,6 +7750,12 @@ async function startApp() {
   app.listen(PORT, '0.0.0.0', async () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Admin panel available at /admin`);
+
+    startPaymentWatcher();
+    startCurrencyRefresh();
+    startInvoiceScheduler();
+    startReferralReleaseScheduler();
+    startLoyaltyRequalification();
     
     // Setup bot based on environment
     if (process.env.RAILWAY_PUBLIC_DOMAIN || process.env.WEBHOOK_URL) {
@@ -0,0 +1,52 @@
+// Migration CLI.
+//   node migrate.js status            - list migrations and whether they are applied
+//   node migrate.js up [--dry-run]    - apply pending migrations
+//   node migrate.js down [--steps N] [--dry-run] - revert the last N migrations (default 1)
+
+require('dotenv').config();
+const Database = require('better-sqlite3');
+const { createMigrator, migrationLabel } = require('./migrations');
+
+const [command = 'status', ...args] = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const stepsIndex = args.indexOf('--steps');
+const steps = stepsIndex !== -1 ? parseInt(args[stepsIndex + 1], 10) : 1;
+
+const db = new Database('database.sqlite');
+const migrator = createMigrator(db);
+
+try {
+  switch (command) {
+    case 'status': {
+      const rows = migrator.status();
+      for (const row of rows) {
+        const mark = row.missing ? 'missing' : row.applied ? 'applied' : 'pending';
+        console.log(`${migrationLabel(row)}  ${mark}${row.applied_at ? `  (${row.applied_at})` : ''}`);
+      }
+      const pendingCount = rows.filter(r => !r.applied).length;
+      console.log(pendingCount > 0 ? `\n${pendingCount} pending migration(s)` : '\nDatabase is up to date');
+      break;
+    }
+    case 'up': {
+      const applied = migrator.up({ dryRun });
+      if (applied.length === 0) console.log('Nothing to apply');
+      break;
+    }
+    case 'down': {
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive number');
+      }
+      const reverted = migrator.down({ dryRun, steps });
+      if (reverted.length === 0) console.log('Nothing to revert');
+      break;
+    }
+    default:
+      console.error(`Unknown command: ${command}`);
+      process.exitCode = 1;
+  }
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
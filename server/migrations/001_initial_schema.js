@@ -0,0 +1,168 @@
+// Base schema. Uses IF NOT EXISTS so databases created before the
+// migration runner are adopted as-is.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY,
+        telegram_id TEXT UNIQUE,
+        name TEXT,
+        username TEXT,
+        level TEXT DEFAULT 'none',
+        total_spent REAL DEFAULT 0,
+        cashback REAL DEFAULT 0,
+        referral_code TEXT UNIQUE,
+        referred_by TEXT,
+        referral_earnings REAL DEFAULT 0,
+        trc20_wallet TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS orders (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER,
+        service TEXT,
+        niche TEXT,
+        formats TEXT,
+        description TEXT,
+        refs TEXT,
+        media TEXT,
+        items TEXT,
+        comment TEXT,
+        base_price REAL,
+        discount REAL,
+        cashback_used REAL,
+        total REAL,
+        cashback_earned REAL,
+        status TEXT DEFAULT 'pending',
+        tx_hash TEXT,
+        payment_method TEXT,
+        reviewed INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS cashback_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        amount REAL,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS referrals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        referrer_id INTEGER,
+        referred_id INTEGER,
+        earnings REAL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (referrer_id) REFERENCES users(id),
+        FOREIGN KEY (referred_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        title TEXT,
+        message TEXT,
+        read INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS pending_referrals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_id TEXT,
+        referral_code TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS app_settings (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        services TEXT DEFAULT '[]',
+        prices TEXT DEFAULT '{}',
+        form_fields TEXT DEFAULT '[]',
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS promo_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL,
+        discount_percent INTEGER NOT NULL,
+        max_uses INTEGER DEFAULT NULL,
+        current_uses INTEGER DEFAULT 0,
+        expires_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        is_active INTEGER DEFAULT 1
+      );
+
+      CREATE TABLE IF NOT EXISTS promo_uses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        promo_id INTEGER,
+        user_id INTEGER,
+        order_id TEXT,
+        used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (promo_id) REFERENCES promo_codes(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS products (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        price INTEGER NOT NULL,
+        icon TEXT DEFAULT '🎨',
+        sort_order INTEGER DEFAULT 0,
+        is_active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS invoices (
+        id TEXT PRIMARY KEY,
+        order_id TEXT UNIQUE,
+        user_id INTEGER,
+        amount REAL NOT NULL,
+        promo_code TEXT,
+        discount_amount REAL DEFAULT 0,
+        final_amount REAL NOT NULL,
+        payment_address TEXT,
+        tx_hash TEXT,
+        status TEXT DEFAULT 'awaiting_payment',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        paid_at DATETIME,
+        FOREIGN KEY (order_id) REFERENCES orders(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS withdrawals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        amount REAL NOT NULL,
+        wallet_address TEXT NOT NULL,
+        type TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        tx_hash TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        processed_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS withdrawals');
+    db.exec('DROP TABLE IF EXISTS invoices');
+    db.exec('DROP TABLE IF EXISTS products');
+    db.exec('DROP TABLE IF EXISTS promo_uses');
+    db.exec('DROP TABLE IF EXISTS promo_codes');
+    db.exec('DROP TABLE IF EXISTS app_settings');
+    db.exec('DROP TABLE IF EXISTS pending_referrals');
+    db.exec('DROP TABLE IF EXISTS notifications');
+    db.exec('DROP TABLE IF EXISTS referrals');
+    db.exec('DROP TABLE IF EXISTS cashback_history');
+    db.exec('DROP TABLE IF EXISTS orders');
+    db.exec('DROP TABLE IF EXISTS users');
+  }
+};
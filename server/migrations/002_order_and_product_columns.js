@@ -0,0 +1,33 @@
+// Columns that used to be added by ad-hoc ALTER TABLE calls on every boot.
+// Older databases may already have some of them, so each one is checked first.
+
+const { hasColumn } = require('./index');
+
+const COLUMNS = [
+  ['orders', 'media', 'TEXT'],
+  ['orders', 'items', 'TEXT'],
+  ['orders', 'comment', 'TEXT'],
+  ['orders', 'promo_code', 'TEXT'],
+  ['orders', 'discount_amount', 'REAL DEFAULT 0'],
+  ['orders', 'subtotal', 'REAL'],
+  ['products', 'image_url', 'TEXT'],
+  ['orders', 'file_url', 'TEXT']
+];
+
+module.exports = {
+  up(db) {
+    for (const [table, column, definition] of COLUMNS) {
+      if (!hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+  },
+
+  down(db) {
+    for (const [table, column] of [...COLUMNS].reverse()) {
+      if (hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,24 @@
+// Order status transitions log.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS order_status_history');
+  }
+};
@@ -0,0 +1,23 @@
+// Incoming transfers seen by the payment watcher.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS chain_transfers (
+        tx_hash TEXT PRIMARY KEY,
+        from_address TEXT,
+        to_address TEXT,
+        amount REAL,
+        memo TEXT,
+        block_time DATETIME,
+        invoice_id TEXT,
+        status TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS chain_transfers');
+  }
+};
@@ -0,0 +1,47 @@
+// Double-entry ledger for user balances. Entries are append-only.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ledger_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        ref_type TEXT,
+        ref_id TEXT,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        transaction_id INTEGER NOT NULL,
+        account TEXT NOT NULL,
+        user_id INTEGER,
+        amount REAL NOT NULL,
+        balance_after REAL NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (transaction_id) REFERENCES ledger_transactions(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account, id);
+
+      CREATE TRIGGER IF NOT EXISTS ledger_entries_immutable_update BEFORE UPDATE ON ledger_entries
+      BEGIN SELECT RAISE(ABORT, 'ledger entries are immutable'); END;
+
+      CREATE TRIGGER IF NOT EXISTS ledger_entries_immutable_delete BEFORE DELETE ON ledger_entries
+      BEGIN SELECT RAISE(ABORT, 'ledger entries are immutable'); END;
+
+      CREATE TRIGGER IF NOT EXISTS ledger_transactions_immutable_update BEFORE UPDATE ON ledger_transactions
+      BEGIN SELECT RAISE(ABORT, 'ledger transactions are immutable'); END;
+
+      CREATE TRIGGER IF NOT EXISTS ledger_transactions_immutable_delete BEFORE DELETE ON ledger_transactions
+      BEGIN SELECT RAISE(ABORT, 'ledger transactions are immutable'); END;
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS ledger_entries');
+    db.exec('DROP TABLE IF EXISTS ledger_transactions');
+  }
+};
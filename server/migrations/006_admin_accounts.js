@@ -0,0 +1,35 @@
+// Named admin accounts with roles and expiring sessions.
+// Replaces the single shared ADMIN_KEY.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password_hash TEXT,
+        telegram_id TEXT UNIQUE,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'manager', 'finance')),
+        active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_login_at DATETIME
+      );
+
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        token_hash TEXT PRIMARY KEY,
+        admin_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (admin_id) REFERENCES admin_users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin ON admin_sessions(admin_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS admin_sessions');
+    db.exec('DROP TABLE IF EXISTS admin_users');
+  }
+};
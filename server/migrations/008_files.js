@@ -0,0 +1,29 @@
+// Uploaded files. Orders reference them by id in orders.media.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS files (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER,
+        order_id TEXT,
+        original_name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        storage_key TEXT NOT NULL,
+        thumbnail_key TEXT,
+        sha256 TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (order_id) REFERENCES orders(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_files_order ON files(order_id);
+      CREATE INDEX IF NOT EXISTS idx_files_user ON files(user_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS files');
+  }
+};
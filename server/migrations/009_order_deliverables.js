@@ -0,0 +1,46 @@
+// Delivered work: several files per order, grouped into versions (v1, v2 after edits),
+// plus a log of client downloads. Existing orders.file_url links become v1 deliverables.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS order_deliverables (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id TEXT NOT NULL,
+        version INTEGER NOT NULL DEFAULT 1,
+        file_id TEXT,
+        external_url TEXT,
+        caption TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id),
+        FOREIGN KEY (file_id) REFERENCES files(id),
+        CHECK (file_id IS NOT NULL OR external_url IS NOT NULL)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_order_deliverables_order ON order_deliverables(order_id, version);
+
+      CREATE TABLE IF NOT EXISTS deliverable_downloads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deliverable_id INTEGER NOT NULL,
+        user_id INTEGER,
+        ip TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (deliverable_id) REFERENCES order_deliverables(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_deliverable_downloads_deliverable ON deliverable_downloads(deliverable_id);
+
+      INSERT INTO order_deliverables (order_id, version, external_url, created_by, created_at)
+      SELECT id, 1, file_url, 'migration', created_at
+      FROM orders
+      WHERE file_url IS NOT NULL AND file_url != ''
+        AND id NOT IN (SELECT order_id FROM order_deliverables);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS deliverable_downloads');
+    db.exec('DROP TABLE IF EXISTS order_deliverables');
+  }
+};
@@ -0,0 +1,55 @@
+// Revision requests on completed orders. Each product includes a number of free
+// revisions; extra ones are paid through an invoice linked to the revision.
+
+const { hasColumn } = require('./index');
+
+const COLUMNS = [
+  ['products', 'revisions_included', 'INTEGER DEFAULT 2'],
+  ['products', 'extra_revision_price', 'REAL DEFAULT 10'],
+  ['invoices', 'revision_id', 'INTEGER']
+];
+
+module.exports = {
+  up(db) {
+    for (const [table, column, definition] of COLUMNS) {
+      if (!hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS order_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        number INTEGER NOT NULL,
+        comment TEXT NOT NULL,
+        media TEXT,
+        is_extra INTEGER DEFAULT 0,
+        price REAL DEFAULT 0,
+        invoice_id TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        admin_note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME,
+        resolved_by TEXT,
+        FOREIGN KEY (order_id) REFERENCES orders(id),
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        CHECK (status IN ('awaiting_payment', 'open', 'done', 'rejected'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_order_revisions_order ON order_revisions(order_id);
+      CREATE INDEX IF NOT EXISTS idx_order_revisions_status ON order_revisions(status);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS order_revisions');
+
+    for (const [table, column] of [...COLUMNS].reverse()) {
+      if (hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,31 @@
+// Per-order chat between the client and managers. Manager messages relayed by the
+// bot keep the Telegram message id so that client replies find their order.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS order_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id TEXT NOT NULL,
+        sender TEXT NOT NULL,
+        admin_id INTEGER,
+        body TEXT,
+        media TEXT,
+        source TEXT NOT NULL DEFAULT 'app',
+        telegram_message_id INTEGER,
+        read_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id),
+        FOREIGN KEY (admin_id) REFERENCES admin_users(id),
+        CHECK (sender IN ('client', 'manager'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_order_messages_order ON order_messages(order_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_order_messages_telegram ON order_messages(telegram_message_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS order_messages');
+  }
+};
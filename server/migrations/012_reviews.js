@@ -0,0 +1,42 @@
+// Client reviews of completed orders, one per order, published after moderation.
+// review_products links a review to the catalog products of its order for per-product ratings.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL,
+        rating INTEGER NOT NULL,
+        text TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        bonus REAL DEFAULT 0,
+        moderated_by TEXT,
+        moderated_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id),
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        CHECK (rating BETWEEN 1 AND 5),
+        CHECK (status IN ('pending', 'approved', 'hidden'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status, created_at);
+
+      CREATE TABLE IF NOT EXISTS review_products (
+        review_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        PRIMARY KEY (review_id, product_id),
+        FOREIGN KEY (review_id) REFERENCES reviews(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_review_products_product ON review_products(product_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS review_products');
+    db.exec('DROP TABLE IF EXISTS reviews');
+  }
+};
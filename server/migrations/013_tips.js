@@ -0,0 +1,42 @@
+// Tips on completed orders, optionally addressed to one of the managers who worked
+// on the order. Each tip is paid through its own invoice linked by tip_id.
+
+const { hasColumn } = require('./index');
+
+module.exports = {
+  up(db) {
+    if (!hasColumn(db, 'invoices', 'tip_id')) {
+      db.exec('ALTER TABLE invoices ADD COLUMN tip_id INTEGER');
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS tips (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        admin_id INTEGER,
+        amount REAL NOT NULL,
+        message TEXT,
+        invoice_id TEXT,
+        status TEXT NOT NULL DEFAULT 'awaiting_payment',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        paid_at DATETIME,
+        FOREIGN KEY (order_id) REFERENCES orders(id),
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (admin_id) REFERENCES admin_users(id),
+        CHECK (status IN ('awaiting_payment', 'paid', 'cancelled'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_tips_order ON tips(order_id);
+      CREATE INDEX IF NOT EXISTS idx_tips_admin ON tips(admin_id, status);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS tips');
+
+    if (hasColumn(db, 'invoices', 'tip_id')) {
+      db.exec('ALTER TABLE invoices DROP COLUMN tip_id');
+    }
+  }
+};
@@ -0,0 +1,34 @@
+// TON as a payment method for invoices. A TON quote locks the amount and the
+// USD rate on the invoice until it expires; chain_transfers records which network
+// a transfer came from.
+
+const { hasColumn } = require('./index');
+
+const COLUMNS = [
+  ['invoices', 'payment_method', 'TEXT'],
+  ['invoices', 'ton_amount', 'REAL'],
+  ['invoices', 'ton_rate', 'REAL'],
+  ['invoices', 'ton_rate_source', 'TEXT'],
+  ['invoices', 'ton_quote_expires_at', 'DATETIME'],
+  ['chain_transfers', 'network', "TEXT DEFAULT 'tron'"]
+];
+
+module.exports = {
+  up(db) {
+    for (const [table, column, definition] of COLUMNS) {
+      if (!hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    db.exec("UPDATE invoices SET payment_method = 'usdt' WHERE status = 'paid' AND payment_method IS NULL");
+  },
+
+  down(db) {
+    for (const [table, column] of [...COLUMNS].reverse()) {
+      if (hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,68 @@
+// Display currencies. Prices stay in USD and invoices settle in USDT; each currency
+// has a rate in units per 1 USD. Invoices keep the client's currency and the rate
+// at issue time so that statements don't change when rates move.
+
+const { hasColumn } = require('./index');
+
+const COLUMNS = [
+  ['users', 'currency', "TEXT DEFAULT 'USD'"],
+  ['invoices', 'settlement_currency', "TEXT DEFAULT 'USDT'"],
+  ['invoices', 'display_currency', 'TEXT'],
+  ['invoices', 'display_rate', 'REAL'],
+  ['invoices', 'display_amount', 'REAL']
+];
+
+const DEFAULT_CURRENCIES = [
+  ['USD', '$', 1, 2, 0],
+  ['EUR', '€', 0.92, 2, 1],
+  ['RUB', '₽', 92, 0, 1],
+  ['UAH', '₴', 41, 0, 1]
+];
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS currencies (
+        code TEXT PRIMARY KEY,
+        symbol TEXT NOT NULL,
+        rate REAL NOT NULL,
+        decimals INTEGER DEFAULT 2,
+        auto_update INTEGER DEFAULT 1,
+        is_active INTEGER DEFAULT 1,
+        source TEXT DEFAULT 'manual',
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by TEXT,
+        CHECK (rate > 0)
+      );
+    `);
+
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO currencies (code, symbol, rate, decimals, auto_update)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    for (const currency of DEFAULT_CURRENCIES) {
+      insert.run(...currency);
+    }
+
+    for (const [table, column, definition] of COLUMNS) {
+      if (!hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    db.exec(`
+      UPDATE invoices SET display_currency = 'USD', display_rate = 1, display_amount = final_amount
+      WHERE display_currency IS NULL
+    `);
+  },
+
+  down(db) {
+    for (const [table, column] of [...COLUMNS].reverse()) {
+      if (hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+
+    db.exec('DROP TABLE IF EXISTS currencies');
+  }
+};
@@ -0,0 +1,70 @@
+// Payment deadlines for invoices: reminders before expires_at, then status 'expired'.
+// invoices.order_id is no longer unique so that an expired invoice can be reissued;
+// a partial unique index keeps at most one open invoice per order.
+
+const { hasColumn } = require('./index');
+
+const COLUMNS = [
+  ['expires_at', 'DATETIME'],
+  ['reminders_sent', 'INTEGER DEFAULT 0'],
+  ['expired_at', 'DATETIME'],
+  ['cashback_refunded', 'REAL DEFAULT 0'],
+  ['reissued_from', 'TEXT']
+];
+
+// Recreate invoices from its own CREATE statement with the order_id constraint swapped
+function rebuildInvoices(db, fromColumn, toColumn) {
+  const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'invoices'").get();
+  if (!sql.includes(fromColumn)) return;
+
+  db.exec(sql.replace(/CREATE TABLE (IF NOT EXISTS )?"?invoices"?/, 'CREATE TABLE invoices_rebuild').replace(fromColumn, toColumn));
+  db.exec('INSERT INTO invoices_rebuild SELECT * FROM invoices');
+  db.exec('DROP TABLE invoices');
+  db.exec('ALTER TABLE invoices_rebuild RENAME TO invoices');
+}
+
+module.exports = {
+  up(db) {
+    rebuildInvoices(db, 'order_id TEXT UNIQUE', 'order_id TEXT');
+
+    for (const [column, type] of COLUMNS) {
+      if (!hasColumn(db, 'invoices', column)) {
+        db.exec(`ALTER TABLE invoices ADD COLUMN ${column} ${type}`);
+      }
+    }
+
+    db.exec(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_open_order ON invoices(order_id) WHERE status = 'awaiting_payment';
+      CREATE INDEX IF NOT EXISTS idx_invoices_order ON invoices(order_id);
+      CREATE INDEX IF NOT EXISTS idx_invoices_expires ON invoices(status, expires_at);
+    `);
+
+    // Invoices issued before deadlines existed get the configured deadline from now,
+    // read the same way the server reads it
+    const ttlHours = parseFloat(process.env.INVOICE_TTL_HOURS) || 72;
+    db.prepare(`
+      UPDATE invoices SET expires_at = datetime('now', ?)
+      WHERE status = 'awaiting_payment' AND expires_at IS NULL
+    `).run(`+${ttlHours} hours`);
+  },
+
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_invoices_open_order');
+    db.exec('DROP INDEX IF EXISTS idx_invoices_order');
+    db.exec('DROP INDEX IF EXISTS idx_invoices_expires');
+
+    for (const [column] of COLUMNS) {
+      if (hasColumn(db, 'invoices', column)) {
+        db.exec(`ALTER TABLE invoices DROP COLUMN ${column}`);
+      }
+    }
+
+    // Reissued invoices share an order; only the latest one keeps the link
+    db.exec(`
+      UPDATE invoices SET status = 'cancelled' WHERE status = 'expired';
+      UPDATE invoices SET order_id = NULL
+      WHERE order_id IS NOT NULL AND rowid NOT IN (SELECT MAX(rowid) FROM invoices WHERE order_id IS NOT NULL GROUP BY order_id);
+    `);
+    rebuildInvoices(db, 'order_id TEXT,', 'order_id TEXT UNIQUE,');
+  }
+};
@@ -0,0 +1,81 @@
+// Several transactions per invoice: payments until the balance is covered, and refunds
+// recorded by admins. Amounts are in USD; TON payments keep the TON amount as well.
+// An invoice with some but not all of its amount received is 'partially_paid'.
+
+const { hasColumn } = require('./index');
+
+const COLUMNS = [
+  ['overpaid_amount', 'REAL DEFAULT 0'],
+  ['overdue_notified_at', 'DATETIME']
+];
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS invoice_payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        invoice_id TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'payment',
+        amount REAL NOT NULL,
+        network TEXT NOT NULL DEFAULT 'tron',
+        network_amount REAL,
+        tx_hash TEXT UNIQUE,
+        actor TEXT,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (invoice_id) REFERENCES invoices(id),
+        CHECK (kind IN ('payment', 'refund')),
+        CHECK (amount > 0)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice ON invoice_payments(invoice_id, created_at);
+    `);
+
+    for (const [column, type] of COLUMNS) {
+      if (!hasColumn(db, 'invoices', column)) {
+        db.exec(`ALTER TABLE invoices ADD COLUMN ${column} ${type}`);
+      }
+    }
+
+    // One open invoice per order now covers partially paid ones too
+    db.exec(`
+      DROP INDEX IF EXISTS idx_invoices_open_order;
+      CREATE UNIQUE INDEX idx_invoices_open_order ON invoices(order_id) WHERE status IN ('awaiting_payment', 'partially_paid');
+    `);
+
+    // Invoices paid before this table existed were paid in one transaction. Before
+    // replay protection one hash could confirm several invoices: only the earliest
+    // of them keeps it, the repeats are recorded without a hash.
+    db.exec(`
+      INSERT INTO invoice_payments (invoice_id, kind, amount, network, network_amount, tx_hash, actor, created_at)
+      SELECT id, 'payment', final_amount,
+        CASE WHEN payment_method = 'ton' THEN 'ton' ELSE 'tron' END,
+        CASE WHEN payment_method = 'ton' THEN ton_amount ELSE final_amount END,
+        CASE WHEN hash_rank = 1 AND tx_hash NOT IN (SELECT tx_hash FROM invoice_payments WHERE tx_hash IS NOT NULL) THEN tx_hash END,
+        'migration', COALESCE(paid_at, created_at)
+      FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY tx_hash ORDER BY COALESCE(paid_at, created_at), id) as hash_rank
+        FROM invoices
+        WHERE status = 'paid' AND final_amount > 0
+      )
+      WHERE id NOT IN (SELECT invoice_id FROM invoice_payments)
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      UPDATE invoices SET status = 'awaiting_payment' WHERE status = 'partially_paid';
+      UPDATE invoices SET status = 'cancelled' WHERE status = 'refunded';
+      DROP INDEX IF EXISTS idx_invoices_open_order;
+      CREATE UNIQUE INDEX idx_invoices_open_order ON invoices(order_id) WHERE status = 'awaiting_payment';
+    `);
+
+    for (const [column] of COLUMNS) {
+      if (hasColumn(db, 'invoices', column)) {
+        db.exec(`ALTER TABLE invoices DROP COLUMN ${column}`);
+      }
+    }
+
+    db.exec('DROP TABLE IF EXISTS invoice_payments');
+  }
+};
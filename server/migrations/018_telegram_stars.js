@@ -0,0 +1,29 @@
+// Telegram Stars (XTR) as a payment method. The Stars price of an invoice is fixed
+// when the bot sends the native invoice; the charge id is the payment's tx_hash.
+// A refund row points at the payment it returns, since Stars refunds have no id of their own.
+
+const { hasColumn } = require('./index');
+
+const COLUMNS = [
+  ['invoices', 'stars_amount', 'INTEGER'],
+  ['invoices', 'stars_rate', 'REAL'],
+  ['invoice_payments', 'refund_of', 'INTEGER']
+];
+
+module.exports = {
+  up(db) {
+    for (const [table, column, definition] of COLUMNS) {
+      if (!hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+  },
+
+  down(db) {
+    for (const [table, column] of [...COLUMNS].reverse()) {
+      if (hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  }
+};
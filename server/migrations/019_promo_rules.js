@@ -0,0 +1,37 @@
+// Promo code rules: fixed-amount discounts, a minimum order, a per-user cap,
+// first-order-only codes and product/category restrictions (JSON arrays).
+// promo_uses keeps the discount each redemption gave.
+
+const { hasColumn } = require('./index');
+
+const COLUMNS = [
+  ['promo_codes', 'discount_type', "TEXT DEFAULT 'percent'"],
+  ['promo_codes', 'discount_amount', 'REAL'],
+  ['promo_codes', 'min_order_amount', 'REAL'],
+  ['promo_codes', 'per_user_limit', 'INTEGER'],
+  ['promo_codes', 'first_order_only', 'INTEGER DEFAULT 0'],
+  ['promo_codes', 'product_ids', 'TEXT'],
+  ['promo_codes', 'categories', 'TEXT'],
+  ['products', 'category', 'TEXT'],
+  ['promo_uses', 'discount_amount', 'REAL']
+];
+
+module.exports = {
+  up(db) {
+    for (const [table, column, definition] of COLUMNS) {
+      if (!hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_promo_uses_promo_user ON promo_uses(promo_id, user_id)');
+  },
+
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_promo_uses_promo_user');
+    for (const [table, column] of [...COLUMNS].reverse()) {
+      if (hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,45 @@
+// Promo campaigns: a batch of unique single-use codes generated from a pattern
+// with shared rules. The rules are kept on the campaign for display and copied
+// to every code, so redemption goes through promo_codes like any other code.
+
+const { hasColumn } = require('./index');
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS promo_campaigns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        pattern TEXT NOT NULL,
+        code_count INTEGER NOT NULL,
+        discount_type TEXT NOT NULL DEFAULT 'percent',
+        discount_percent INTEGER NOT NULL DEFAULT 0,
+        discount_amount REAL,
+        min_order_amount REAL,
+        first_order_only INTEGER DEFAULT 0,
+        product_ids TEXT,
+        categories TEXT,
+        expires_at DATETIME,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME,
+        CHECK (status IN ('active', 'revoked'))
+      );
+    `);
+
+    if (!hasColumn(db, 'promo_codes', 'campaign_id')) {
+      db.exec('ALTER TABLE promo_codes ADD COLUMN campaign_id INTEGER');
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_promo_codes_campaign ON promo_codes(campaign_id)');
+  },
+
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_promo_codes_campaign');
+    if (hasColumn(db, 'promo_codes', 'campaign_id')) {
+      db.exec('ALTER TABLE promo_codes DROP COLUMN campaign_id');
+    }
+
+    db.exec('DROP TABLE IF EXISTS promo_campaigns');
+  }
+};
@@ -0,0 +1,61 @@
+// Referral programme rules edited from the admin panel (a single row) and one
+// referral_earnings row per commissioned order and tier. referral_id is the
+// referrals link the commission is paid out through; paid_at is set when the
+// admin marks that link paid. Commissions already in the ledger are copied over.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS referral_settings (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        first_order_percent REAL NOT NULL DEFAULT 25,
+        repeat_order_percent REAL NOT NULL DEFAULT 0,
+        second_tier_percent REAL NOT NULL DEFAULT 0,
+        cap_per_referral REAL,
+        lifetime_days INTEGER,
+        referee_discount_percent REAL NOT NULL DEFAULT 25,
+        updated_by TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      INSERT OR IGNORE INTO referral_settings (id) VALUES (1);
+
+      CREATE TABLE IF NOT EXISTS referral_earnings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        referral_id INTEGER,
+        referrer_id INTEGER NOT NULL,
+        referee_id INTEGER NOT NULL,
+        order_id TEXT NOT NULL,
+        tier INTEGER NOT NULL DEFAULT 1,
+        base_amount REAL,
+        percent REAL,
+        amount REAL NOT NULL,
+        paid_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (referral_id) REFERENCES referrals(id),
+        FOREIGN KEY (referrer_id) REFERENCES users(id),
+        FOREIGN KEY (referee_id) REFERENCES users(id),
+        FOREIGN KEY (order_id) REFERENCES orders(id),
+        UNIQUE (order_id, tier)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_referral_earnings_referrer ON referral_earnings(referrer_id, referee_id);
+      CREATE INDEX IF NOT EXISTS idx_referral_earnings_referral ON referral_earnings(referral_id);
+
+      INSERT OR IGNORE INTO referral_earnings (referral_id, referrer_id, referee_id, order_id, tier, base_amount, percent, amount, created_at)
+      SELECT r.id, e.user_id, o.user_id, o.id, 1, COALESCE(o.subtotal, o.base_price, o.total), 25, e.amount, t.created_at
+      FROM ledger_transactions t
+      JOIN ledger_entries e ON e.transaction_id = t.id AND e.account LIKE 'user:%:referral'
+      JOIN orders o ON o.id = t.ref_id
+      LEFT JOIN referrals r ON r.referrer_id = e.user_id AND r.referred_id = o.user_id
+      WHERE t.type = 'referral_commission' AND t.ref_type = 'order';
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS referral_earnings;
+      DROP TABLE IF EXISTS referral_settings;
+    `);
+  }
+};
@@ -0,0 +1,42 @@
+// Referral commissions are held before they reach the referrer's balance.
+// status: 'held' until available_at, 'review' when the pair looks like a
+// self-referral (flags is a JSON list of reasons), 'available' once credited
+// to the ledger, 'rejected' by an admin or when the order was cancelled.
+// Commissions recorded before this migration were already credited.
+
+const { hasColumn } = require('./index');
+
+const COLUMNS = [
+  ['referral_settings', 'hold_days', 'INTEGER NOT NULL DEFAULT 7'],
+  ['referral_earnings', 'status', "TEXT NOT NULL DEFAULT 'available'"],
+  ['referral_earnings', 'available_at', 'DATETIME'],
+  ['referral_earnings', 'released_at', 'DATETIME'],
+  ['referral_earnings', 'flags', 'TEXT'],
+  ['referral_earnings', 'reviewed_by', 'TEXT'],
+  ['referral_earnings', 'reviewed_at', 'DATETIME'],
+  ['referral_earnings', 'review_note', 'TEXT']
+];
+
+module.exports = {
+  up(db) {
+    for (const [table, column, definition] of COLUMNS) {
+      if (!hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    db.exec(`
+      UPDATE referral_earnings SET available_at = created_at, released_at = created_at WHERE released_at IS NULL AND status = 'available';
+      CREATE INDEX IF NOT EXISTS idx_referral_earnings_status ON referral_earnings(status, available_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_referral_earnings_status');
+    for (const [table, column] of [...COLUMNS].reverse()) {
+      if (hasColumn(db, table, column)) {
+        db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  }
+};
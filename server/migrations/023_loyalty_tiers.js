@@ -0,0 +1,46 @@
+// Loyalty tiers edited from the admin panel instead of being hardcoded on the
+// server and in the mini app. users.level holds a tier key; 'none' is the base
+// tier every client starts on. perks is a JSON list of strings. With
+// requalification on, the tier follows the spend of the last
+// requalification_months months and can go down.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS loyalty_tiers (
+        key TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        min_spent REAL NOT NULL DEFAULT 0,
+        discount_percent REAL NOT NULL DEFAULT 0,
+        cashback_percent REAL NOT NULL DEFAULT 5,
+        perks TEXT,
+        updated_by TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      INSERT OR IGNORE INTO loyalty_tiers (key, name, min_spent, discount_percent, cashback_percent) VALUES
+        ('none', 'New', 0, 0, 5),
+        ('bronze', 'Bronze', 100, 5, 5),
+        ('silver', 'Silver', 500, 10, 5),
+        ('gold', 'Gold', 1000, 15, 5),
+        ('platinum', 'Platinum', 10000, 20, 5);
+
+      CREATE TABLE IF NOT EXISTS loyalty_settings (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        requalification_enabled INTEGER NOT NULL DEFAULT 0,
+        requalification_months INTEGER NOT NULL DEFAULT 12,
+        updated_by TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      INSERT OR IGNORE INTO loyalty_settings (id) VALUES (1);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS loyalty_settings;
+      DROP TABLE IF EXISTS loyalty_tiers;
+    `);
+  }
+};
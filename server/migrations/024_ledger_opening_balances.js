@@ -0,0 +1,60 @@
+// Import balances that existed before the ledger: cashback_history rows become
+// entries, the remaining difference of each balance an opening balance, so the
+// ledger adds up to users.cashback and users.referral_earnings. Skipped when the
+// ledger already has entries (the import used to run on startup).
+
+const OPENING_ACCOUNT = 'platform:opening_balance';
+
+function roundMoney(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+function getBalance(db, account) {
+  const last = db.prepare('SELECT balance_after FROM ledger_entries WHERE account = ? ORDER BY id DESC LIMIT 1').get(account);
+  return last ? last.balance_after : 0;
+}
+
+// Same postings as postUserBalance: the user account against the opening balance account
+function post(db, userId, kind, amount, type, description, createdAt = null) {
+  amount = roundMoney(amount);
+  if (amount === 0) return;
+
+  const transaction = db.prepare(`
+    INSERT INTO ledger_transactions (type, description, created_at)
+    VALUES (?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `).run(type, description, createdAt);
+
+  const insertEntry = db.prepare(`
+    INSERT INTO ledger_entries (transaction_id, account, user_id, amount, balance_after, created_at)
+    VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `);
+  for (const [account, entryUserId, entryAmount] of [
+    [`user:${userId}:${kind}`, userId, amount],
+    [OPENING_ACCOUNT, null, -amount]
+  ]) {
+    const balanceAfter = roundMoney(getBalance(db, account) + entryAmount);
+    insertEntry.run(transaction.lastInsertRowid, account, entryUserId, entryAmount, balanceAfter, createdAt);
+  }
+}
+
+module.exports = {
+  up(db) {
+    const hasEntries = db.prepare('SELECT COUNT(*) as count FROM ledger_entries').get().count > 0;
+    if (hasEntries) return;
+
+    const users = db.prepare('SELECT * FROM users WHERE cashback != 0 OR referral_earnings != 0 OR id IN (SELECT user_id FROM cashback_history)').all();
+    for (const user of users) {
+      const history = db.prepare('SELECT * FROM cashback_history WHERE user_id = ? ORDER BY created_at, id').all(user.id);
+      for (const row of history) {
+        post(db, user.id, 'cashback', row.amount, 'legacy_history', row.description, row.created_at);
+      }
+
+      const cashbackDiff = (user.cashback || 0) - getBalance(db, `user:${user.id}:cashback`);
+      post(db, user.id, 'cashback', cashbackDiff, 'opening_balance', 'Начальный баланс');
+      post(db, user.id, 'referral', user.referral_earnings || 0, 'opening_balance', 'Начальный баланс');
+    }
+  },
+
+  // The imported entries are the ledger's history now; 005_ledger drops them with the tables
+  down() {}
+};
@@ -0,0 +1,67 @@
+// Move base64 data URLs left in orders.media by old clients into file storage;
+// orders.media then holds file ids only. Thumbnails are made on first request.
+// A media item that can't be decoded is dropped. Run VACUUM afterwards to give
+// the space back to the filesystem.
+
+const crypto = require('crypto');
+const { createStorage } = require('../storage');
+
+const DATA_URL = /^data:([^;,]*)(;base64)?,(.*)$/s;
+
+module.exports = {
+  up(db) {
+    const orders = db.prepare("SELECT id, user_id, media FROM orders WHERE media LIKE '%\"data:%'").all();
+    if (orders.length === 0) return;
+
+    const storage = createStorage(process.env.STORAGE_DRIVER || 'local', {
+      root: process.env.UPLOAD_DIR || 'uploads'
+    });
+    const insertFile = db.prepare(`
+      INSERT INTO files (id, user_id, order_id, original_name, mime_type, size, storage_key, sha256)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    for (const order of orders) {
+      let media;
+      try {
+        media = JSON.parse(order.media || '[]');
+      } catch (error) {
+        continue;
+      }
+
+      const fileIds = [];
+      for (const item of media) {
+        if (typeof item === 'string') {
+          fileIds.push(item);
+          continue;
+        }
+
+        const match = typeof item?.data === 'string' && item.data.match(DATA_URL);
+        if (!match) continue;
+
+        const buffer = match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]));
+        const id = crypto.randomBytes(16).toString('hex');
+        const storageKey = `${id.slice(0, 2)}/${id}`;
+        storage.putSync(storageKey, buffer);
+
+        // Files of unknown types are always served as downloads, so the declared type is kept as is
+        insertFile.run(
+          id,
+          order.user_id,
+          order.id,
+          item.name || 'file',
+          item.type || match[1] || 'application/octet-stream',
+          buffer.length,
+          storageKey,
+          crypto.createHash('sha256').update(buffer).digest('hex')
+        );
+        fileIds.push(id);
+      }
+
+      db.prepare('UPDATE orders SET media = ? WHERE id = ?').run(JSON.stringify(fileIds), order.id);
+    }
+  },
+
+  // Moved files stay in storage and orders keep pointing at them
+  down() {}
+};
@@ -0,0 +1,130 @@
+// Schema migration runner.
+// Migrations live next to this file as NNN_name.js and export:
+//   up(db)   - apply the change
+//   down(db) - revert it
+// Each migration runs in its own transaction and is recorded in schema_migrations.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE = /^(\d+)_(.+)\.js$/;
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+function loadMigrations(dir) {
+  return fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) return null;
+      return { version: parseInt(match[1], 10), name: match[2], file: path.join(dir, file) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+function createMigrator(db, { dir = __dirname, log = console.log } = {}) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const migrations = loadMigrations(dir);
+
+  const seen = new Set();
+  for (const migration of migrations) {
+    if (seen.has(migration.version)) {
+      throw new Error(`Duplicate migration version: ${migration.version}`);
+    }
+    seen.add(migration.version);
+  }
+
+  function applied() {
+    return db.prepare('SELECT * FROM schema_migrations ORDER BY version').all();
+  }
+
+  function status() {
+    const appliedByVersion = new Map(applied().map(row => [row.version, row]));
+    const known = migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: appliedByVersion.has(m.version),
+      applied_at: appliedByVersion.get(m.version)?.applied_at || null
+    }));
+
+    // Applied in the database but the file is gone
+    const missing = [...appliedByVersion.values()]
+      .filter(row => !migrations.some(m => m.version === row.version))
+      .map(row => ({ version: row.version, name: row.name, applied: true, applied_at: row.applied_at, missing: true }));
+
+    return [...known, ...missing].sort((a, b) => a.version - b.version);
+  }
+
+  function pending() {
+    const appliedVersions = new Set(applied().map(row => row.version));
+    return migrations.filter(m => !appliedVersions.has(m.version));
+  }
+
+  // Apply pending migrations in order. With dryRun only lists what would run.
+  function up({ dryRun = false, to = Infinity } = {}) {
+    const toApply = pending().filter(m => m.version <= to);
+
+    for (const migration of toApply) {
+      if (dryRun) {
+        log(`[dry-run] Would apply ${migrationLabel(migration)}`);
+        continue;
+      }
+
+      const { up: apply } = require(migration.file);
+      db.transaction(() => {
+        apply(db);
+        db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+      })();
+      log(`Migration: Applied ${migrationLabel(migration)}`);
+    }
+
+    return toApply;
+  }
+
+  // Revert the last `steps` applied migrations, newest first.
+  function down({ dryRun = false, steps = 1 } = {}) {
+    const toRevert = applied().reverse().slice(0, steps);
+
+    for (const row of toRevert) {
+      const migration = migrations.find(m => m.version === row.version);
+      if (!migration) {
+        throw new Error(`Migration file for version ${row.version} (${row.name}) not found`);
+      }
+
+      if (dryRun) {
+        log(`[dry-run] Would revert ${migrationLabel(migration)}`);
+        continue;
+      }
+
+      const { down: revert } = require(migration.file);
+      if (typeof revert !== 'function') {
+        throw new Error(`Migration ${migrationLabel(migration)} cannot be reverted`);
+      }
+
+      db.transaction(() => {
+        revert(db);
+        db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+      })();
+      log(`Migration: Reverted ${migrationLabel(migration)}`);
+    }
+
+    return toRevert;
+  }
+
+  return { status, pending, up, down };
+}
+
+module.exports = { createMigrator, hasColumn, migrationLabel };
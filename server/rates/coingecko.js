@@ -0,0 +1,55 @@
+// CoinGecko simple price API. Rates are cached to stay within the free tier limits.
+
+const API_URL = 'https://api.coingecko.com/api/v3';
+const CACHE_MS = 60 * 1000;
+
+const COIN_IDS = {
+  TON: 'the-open-network',
+  USDT: 'tether'
+};
+
+function createCoinGeckoProvider(options = {}) {
+  const apiUrl = options.apiUrl || API_URL;
+  const cacheMs = options.cacheMs ?? CACHE_MS;
+  const headers = { 'Accept': 'application/json' };
+  if (options.apiKey) {
+    headers['x-cg-demo-api-key'] = options.apiKey;
+  }
+
+  const cache = new Map();
+
+  async function getRate(asset) {
+    const cached = cache.get(asset);
+    if (cached && Date.now() - cached.fetchedAt < cacheMs) {
+      return cached;
+    }
+
+    const coinId = COIN_IDS[asset];
+    if (!coinId) {
+      throw new Error(`Unsupported asset: ${asset}`);
+    }
+
+    const params = new URLSearchParams({ ids: coinId, vs_currencies: 'usd' });
+    const response = await fetch(`${apiUrl}/simple/price?${params}`, { headers });
+    if (!response.ok) {
+      throw new Error(`CoinGecko API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const rate = Number(data[coinId]?.usd);
+    if (!(rate > 0)) {
+      throw new Error(`CoinGecko returned no rate for ${asset}`);
+    }
+
+    const result = { asset, rate, source: 'coingecko', fetchedAt: Date.now() };
+    cache.set(asset, result);
+    return result;
+  }
+
+  return {
+    name: 'coingecko',
+    getRate
+  };
+}
+
+module.exports = { createCoinGeckoProvider };
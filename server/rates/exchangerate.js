@@ -0,0 +1,47 @@
+// ExchangeRate-API open access endpoint (fiat currencies, updated daily, no key needed)
+
+const API_URL = 'https://open.er-api.com/v6';
+const CACHE_MS = 60 * 60 * 1000;
+
+function createExchangeRateProvider(options = {}) {
+  const apiUrl = options.apiUrl || API_URL;
+  const cacheMs = options.cacheMs ?? CACHE_MS;
+
+  let cached = null;
+
+  // All rates in one request, as units per 1 USD
+  async function getUsdRates() {
+    if (cached && Date.now() - cached.fetchedAt < cacheMs) {
+      return cached;
+    }
+
+    const response = await fetch(`${apiUrl}/latest/USD`, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`ExchangeRate API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.result !== 'success' || !data.rates) {
+      throw new Error(`ExchangeRate API error: ${data['error-type'] || 'no rates'}`);
+    }
+
+    cached = { rates: data.rates, fetchedAt: Date.now() };
+    return cached;
+  }
+
+  async function getRate(asset) {
+    const { rates, fetchedAt } = await getUsdRates();
+    const perUsd = Number(rates[asset]);
+    if (!(perUsd > 0)) {
+      throw new Error(`ExchangeRate API has no rate for ${asset}`);
+    }
+    return { asset, rate: 1 / perUsd, source: 'exchangerate', fetchedAt };
+  }
+
+  return {
+    name: 'exchangerate',
+    getRate
+  };
+}
+
+module.exports = { createExchangeRateProvider };
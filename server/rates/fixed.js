@@ -0,0 +1,20 @@
+// Fixed rates set by the operator (e.g. TON_USD_RATE). Used offline and as a fallback.
+
+function createFixedRateProvider(options = {}) {
+  const rates = options.rates || {};
+
+  async function getRate(asset) {
+    const rate = rates[asset];
+    if (!(rate > 0)) {
+      throw new Error(`No fixed rate for ${asset}`);
+    }
+    return { asset, rate, source: 'fixed', fetchedAt: Date.now() };
+  }
+
+  return {
+    name: 'fixed',
+    getRate
+  };
+}
+
+module.exports = { createFixedRateProvider };
@@ -0,0 +1,47 @@
+// Exchange rate provider factory.
+// A provider implements:
+//   getRate(asset) -> { asset, rate, source, fetchedAt }   rate is USD per 1 unit of the asset
+//
+// With options.fallbackRates the live provider falls back to those fixed rates
+// when it fails, so quotes keep working offline.
+
+const { createFixedRateProvider } = require('./fixed');
+const { createCoinGeckoProvider } = require('./coingecko');
+const { createExchangeRateProvider } = require('./exchangerate');
+
+function createRateProvider(name = 'coingecko', options = {}) {
+  let provider;
+  switch (name) {
+    case 'fixed':
+      provider = createFixedRateProvider({ rates: options.rates || options.fallbackRates });
+      break;
+    case 'coingecko':
+      provider = createCoinGeckoProvider(options);
+      break;
+    case 'exchangerate':
+      provider = createExchangeRateProvider(options);
+      break;
+    default:
+      throw new Error(`Unknown rate provider: ${name}`);
+  }
+
+  if (!options.fallbackRates || name === 'fixed') {
+    return provider;
+  }
+
+  const fallback = createFixedRateProvider({ rates: options.fallbackRates });
+
+  return {
+    name: provider.name,
+    async getRate(asset) {
+      try {
+        return await provider.getRate(asset);
+      } catch (error) {
+        console.error(`Rate provider ${provider.name} failed, using fixed rate:`, error.message);
+        return fallback.getRate(asset);
+      }
+    }
+  };
+}
+
+module.exports = { createRateProvider };
@@ -0,0 +1,20 @@
+// File storage factory.
+// A storage implements:
+//   put(key, buffer) -> void
+//   putSync(key, buffer) -> void   for migrations, which run synchronously
+//   get(key) -> Buffer | null
+//   createReadStream(key) -> Readable
+//   remove(key) -> void
+
+const { createLocalStorage } = require('./local');
+
+function createStorage(name = 'local', options = {}) {
+  switch (name) {
+    case 'local':
+      return createLocalStorage(options);
+    default:
+      throw new Error(`Unknown storage driver: ${name}`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,78 @@
+// Migration up/down checks on an in-memory database
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { createMigrator } = require('../migrations');
+
+function createDatabase() {
+  const db = new Database(':memory:');
+  return { db, migrator: createMigrator(db, { log: () => {} }) };
+}
+
+test('016 backfill gives open invoices the configured deadline', () => {
+  const { db, migrator } = createDatabase();
+  migrator.up({ to: 15 });
+
+  db.prepare("INSERT INTO users (id, telegram_id, name) VALUES (1, '100', 'Client')").run();
+  db.prepare("INSERT INTO invoices (id, user_id, amount, final_amount, status) VALUES ('INV1', 1, 10, 10, 'awaiting_payment')").run();
+
+  const previous = process.env.INVOICE_TTL_HOURS;
+  process.env.INVOICE_TTL_HOURS = '24';
+  try {
+    migrator.up({ to: 16 });
+  } finally {
+    if (previous === undefined) delete process.env.INVOICE_TTL_HOURS;
+    else process.env.INVOICE_TTL_HOURS = previous;
+  }
+
+  const { hours } = db.prepare(`
+    SELECT ROUND((julianday(expires_at) - julianday('now')) * 24) as hours FROM invoices WHERE id = 'INV1'
+  `).get();
+  assert.strictEqual(hours, 24);
+});
+
+test('017 backfill keeps a repeated tx hash only on the earliest paid invoice', () => {
+  const { db, migrator } = createDatabase();
+  migrator.up({ to: 16 });
+
+  db.prepare("INSERT INTO users (id, telegram_id, name) VALUES (1, '100', 'Client')").run();
+  const insertInvoice = db.prepare(`
+    INSERT INTO invoices (id, user_id, amount, final_amount, tx_hash, status, created_at, paid_at)
+    VALUES (?, 1, ?, ?, ?, ?, ?, ?)
+  `);
+  insertInvoice.run('INV2', 20, 20, 'a'.repeat(64), 'paid', '2024-01-02 10:00:00', '2024-01-02 11:00:00');
+  insertInvoice.run('INV1', 10, 10, 'a'.repeat(64), 'paid', '2024-01-01 10:00:00', '2024-01-01 11:00:00');
+  insertInvoice.run('INV3', 30, 30, 'b'.repeat(64), 'paid', '2024-01-03 10:00:00', '2024-01-03 11:00:00');
+  insertInvoice.run('INV4', 40, 40, null, 'awaiting_payment', '2024-01-04 10:00:00', null);
+
+  migrator.up({ to: 17 });
+
+  const payments = db.prepare('SELECT invoice_id, amount, tx_hash FROM invoice_payments ORDER BY invoice_id').all();
+  assert.deepStrictEqual(payments, [
+    { invoice_id: 'INV1', amount: 10, tx_hash: 'a'.repeat(64) },
+    { invoice_id: 'INV2', amount: 20, tx_hash: null },
+    { invoice_id: 'INV3', amount: 30, tx_hash: 'b'.repeat(64) }
+  ]);
+
+  migrator.down();
+  assert.strictEqual(db.prepare("SELECT name FROM sqlite_master WHERE name = 'invoice_payments'").get(), undefined);
+  assert.deepStrictEqual(migrator.pending().map(m => m.version)[0], 17);
+
+  migrator.up({ to: 17 });
+  assert.strictEqual(db.prepare('SELECT COUNT(*) as count FROM invoice_payments').get().count, 3);
+});
+
+test('all migrations apply and revert on an empty database', () => {
+  const { db, migrator } = createDatabase();
+  const applied = migrator.up();
+  assert.ok(applied.length > 0);
+  assert.strictEqual(migrator.pending().length, 0);
+
+  migrator.down({ steps: applied.length });
+  assert.strictEqual(migrator.pending().length, applied.length);
+
+  migrator.up();
+  assert.strictEqual(migrator.pending().length, 0);
+  db.close();
+});
@@ -0,0 +1,260 @@
+// Invoice payments end to end: the server runs in a temp directory with the fake chain
+// provider, and a local stub stands in for the Telegram Bot API.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const http = require('node:http');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const BOT_TOKEN = '123:test';
+const ADMIN_KEY = 'test-admin-key';
+
+let server;
+let baseUrl;
+let telegram;
+let adminToken;
+let workDir;
+const telegramCalls = []; // { method, body }
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Answers every Bot API method with success and remembers what was called
+function startTelegramStub() {
+  let messageId = 1;
+  const stub = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const method = req.url.split('/').pop();
+      let result = true;
+      if (method === 'getMe') result = { id: 1, is_bot: true, first_name: 'Test', username: 'test_bot' };
+      else if (method.startsWith('send')) result = { message_id: messageId++, date: 0, chat: { id: 1, type: 'private' } };
+
+      let parsed = null;
+      try { parsed = JSON.parse(body); } catch (error) { parsed = body; }
+      telegramCalls.push({ method, body: parsed });
+
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ ok: true, result }));
+    });
+  });
+
+  return new Promise(resolve => stub.listen(0, '127.0.0.1', () => resolve(stub)));
+}
+
+async function waitFor(check, what) {
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+async function request(method, url, body, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(baseUrl + url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  const text = await response.text();
+  let data = text;
+  try { data = JSON.parse(text); } catch (error) { /* not JSON */ }
+  return { status: response.status, data };
+}
+
+// Client requests without Telegram init data act as the demo user
+const client = (method, url, body) => request(method, url, body);
+const admin = (method, url, body) => request(method, url, body, adminToken);
+
+function sendUpdate(update) {
+  return request('POST', `/webhook/${BOT_TOKEN}`, update);
+}
+
+// An order for the demo user with a $10 invoice
+async function createInvoice() {
+  const { data: order } = await client('POST', '/api/cart-orders', { items: [{ product_id: 1, quantity: 1 }] });
+  assert.ok(order.orderId, JSON.stringify(order));
+
+  const { data: invoice } = await admin('POST', '/api/admin/invoices', { order_id: order.orderId, user_id: 1, amount: 10 });
+  assert.ok(invoice.id, JSON.stringify(invoice));
+  return invoice.id;
+}
+
+async function payOnChain(invoiceId, amount) {
+  const { data: transfer } = await admin('POST', '/api/admin/dev/chain-transfers', { amount, memo: invoiceId, from: 'TClientWallet' });
+  await admin('POST', '/api/admin/payments/poll');
+  return transfer;
+}
+
+test.before(async () => {
+  telegram = await startTelegramStub();
+  const port = await getFreePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-test-'));
+
+  let output = '';
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    cwd: workDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      BOT_TOKEN,
+      ADMIN_KEY,
+      ADMIN_CHAT_ID: '',
+      AUTO_MIGRATE: 'true',
+      TELEGRAM_API_ROOT: `http://127.0.0.1:${telegram.address().port}`,
+      WEBHOOK_URL: `${baseUrl}/webhook/${BOT_TOKEN}`,
+      CHAIN_PROVIDER: 'fake',
+      TON_PROVIDER: 'fake',
+      RATE_PROVIDER: 'fixed',
+      TON_USD_RATE: '5',
+      PAYMENT_WATCHER: 'off',
+      INVOICE_SCHEDULER: 'off',
+      REFERRAL_RELEASE: 'off',
+      LOYALTY_REQUALIFY: 'off'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.stdout.on('data', chunk => { output += chunk; });
+  server.stderr.on('data', chunk => { output += chunk; });
+
+  await waitFor(async () => {
+    if (server.exitCode !== null) throw new Error(`Server exited:\n${output}`);
+    try {
+      return (await fetch(`${baseUrl}/health`)).ok;
+    } catch (error) {
+      return false;
+    }
+  }, 'the server to start');
+
+  const setup = await request('POST', '/api/admin/auth/setup', { setupKey: ADMIN_KEY, username: 'owner', password: 'owner-password' });
+  adminToken = setup.data.token;
+  assert.ok(adminToken, JSON.stringify(setup.data));
+
+  await client('GET', '/api/user');
+});
+
+test.after(async () => {
+  if (server && server.exitCode === null) {
+    // SIGKILL: the SIGTERM handler stops the bot, which throws in webhook mode
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill('SIGKILL');
+    await exited;
+  }
+  if (telegram) {
+    telegram.closeAllConnections();
+    await new Promise(resolve => telegram.close(resolve));
+  }
+  if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('an on-chain transfer with the invoice number pays the invoice', async () => {
+  const invoiceId = await createInvoice();
+  const transfer = await payOnChain(invoiceId, 10);
+
+  const { data: invoice } = await client('GET', `/api/invoices/${invoiceId}`);
+  assert.strictEqual(invoice.status, 'paid');
+  assert.strictEqual(invoice.paid_amount, 10);
+  assert.strictEqual(invoice.outstanding_amount, 0);
+  assert.deepStrictEqual(invoice.payments.map(p => [p.kind, p.amount, p.txHash]), [['payment', 10, transfer.txHash]]);
+
+  // Polling again must not count the same transfer twice
+  await admin('POST', '/api/admin/payments/poll');
+  const { data: again } = await client('GET', `/api/invoices/${invoiceId}`);
+  assert.strictEqual(again.payments.length, 1);
+});
+
+test('a partial payment can be refunded, which closes the invoice', async () => {
+  const invoiceId = await createInvoice();
+  await payOnChain(invoiceId, 4);
+
+  const { data: partial } = await client('GET', `/api/invoices/${invoiceId}`);
+  assert.strictEqual(partial.status, 'partially_paid');
+  assert.strictEqual(partial.paid_amount, 4);
+  assert.strictEqual(partial.outstanding_amount, 6);
+
+  const tooMuch = await admin('POST', `/api/admin/invoices/${invoiceId}/refunds`, { amount: 5, tx_hash: 'c'.repeat(64) });
+  assert.strictEqual(tooMuch.status, 400);
+  assert.strictEqual(tooMuch.data.error, 'invalid_amount');
+
+  const refund = await admin('POST', `/api/admin/invoices/${invoiceId}/refunds`, { amount: 4, tx_hash: 'd'.repeat(64) });
+  assert.strictEqual(refund.status, 200, JSON.stringify(refund.data));
+  assert.strictEqual(refund.data.status, 'refunded');
+
+  const { data: refunded } = await client('GET', `/api/invoices/${invoiceId}`);
+  assert.strictEqual(refunded.refunded_amount, 4);
+  assert.deepStrictEqual(refunded.payments.map(p => p.kind).sort(), ['payment', 'refund']);
+});
+
+test('Telegram Stars: pre-checkout, successful payment and refund', async () => {
+  const invoiceId = await createInvoice();
+  const from = { id: 'demo_user', is_bot: false, first_name: 'Demo' };
+
+  const stars = await client('POST', `/api/invoices/${invoiceId}/stars`);
+  assert.strictEqual(stars.status, 200, JSON.stringify(stars.data));
+  const starsAmount = stars.data.amount;
+  assert.ok(telegramCalls.some(call => call.method === 'sendInvoice' && call.body.payload === `invoice:${invoiceId}`));
+
+  // The right amount is accepted, a wrong one is turned down
+  const answers = () => telegramCalls.filter(call => call.method === 'answerPreCheckoutQuery');
+  await sendUpdate({
+    update_id: 1,
+    pre_checkout_query: { id: 'q-ok', from, currency: 'XTR', total_amount: starsAmount, invoice_payload: `invoice:${invoiceId}` }
+  });
+  await sendUpdate({
+    update_id: 2,
+    pre_checkout_query: { id: 'q-bad', from, currency: 'XTR', total_amount: starsAmount + 100, invoice_payload: `invoice:${invoiceId}` }
+  });
+  await waitFor(() => answers().length >= 2, 'pre-checkout answers');
+  const answer = id => answers().find(call => call.body.pre_checkout_query_id === id).body;
+  assert.strictEqual(answer('q-ok').ok, true);
+  assert.strictEqual(answer('q-bad').ok, false);
+
+  await sendUpdate({
+    update_id: 3,
+    message: {
+      message_id: 10,
+      date: 1,
+      chat: { id: 1, type: 'private' },
+      from,
+      successful_payment: {
+        currency: 'XTR',
+        total_amount: starsAmount,
+        invoice_payload: `invoice:${invoiceId}`,
+        telegram_payment_charge_id: 'charge-1',
+        provider_payment_charge_id: ''
+      }
+    }
+  });
+  const paid = await waitFor(async () => {
+    const { data } = await client('GET', `/api/invoices/${invoiceId}`);
+    return data.status === 'paid' && data;
+  }, 'the Stars payment');
+  assert.strictEqual(paid.payment_method, 'stars');
+  const payment = paid.payments.find(p => p.kind === 'payment');
+  assert.strictEqual(payment.network, 'stars');
+  assert.strictEqual(payment.networkAmount, starsAmount);
+
+  const refund = await admin('POST', `/api/admin/invoices/${invoiceId}/payments/${payment.id}/refund-stars`, { note: 'test' });
+  assert.strictEqual(refund.status, 200, JSON.stringify(refund.data));
+  const refundCall = telegramCalls.find(call => call.method === 'refundStarPayment');
+  assert.strictEqual(refundCall.body.telegram_payment_charge_id, 'charge-1');
+
+  const repeated = await admin('POST', `/api/admin/invoices/${invoiceId}/payments/${payment.id}/refund-stars`, {});
+  assert.notStrictEqual(repeated.status, 200);
+  assert.strictEqual(telegramCalls.filter(call => call.method === 'refundStarPayment').length, 1);
+});